@@ -0,0 +1,150 @@
+import {
+  extractDiagnosisAges,
+  earlyOnsetThreshold,
+  assessDiagnosisAges,
+} from '../ageExtraction.js';
+import { runDecisionEngine } from '../decisionEngine.js';
+
+const CONFIG = {
+  default_threshold: 50,
+  thresholds: { breast: 50, prostate: 55, melanoma: 40 },
+};
+
+function ages(text) {
+  return extractDiagnosisAges(text).map((p) => [p.cancer_type, p.age]);
+}
+
+describe('DARA age at diagnosis — extraction', () => {
+  test.each([
+    ['Mother had breast cancer at 38.', [['breast', 38]]],
+    ['Father: dx age 47, prostate cancer.', [['prostate', 47]]],
+    ['Sister aged 41 at diagnosis of colon cancer.', [['colorectal', 41]]],
+    ['Uncle colon cancer (44).', [['colorectal', 44]]],
+    ['Grandmother had melanoma at the age of 36.', [['melanoma', 36]]],
+    ['Mother diagnosed at 45.', [['unspecified', 45]]],
+    ['Mère : cancer du sein à 38 ans.', [['breast', 38]]],
+    ['Diagnostiquée à 38 ans.', [['unspecified', 38]]],
+    ["Tante : cancer de l'ovaire à l'âge de 52 ans.", [['ovarian', 52]]],
+    ['Oncle cancer du côlon 44 ans.', [['colorectal', 44]]],
+    ['Sœur âgée de 41 ans au diagnostic.', [['unspecified', 41]]],
+    ['Père : mélanome (36 ans).', [['melanoma', 36]]],
+  ])('%s', (text, expected) => {
+    expect(ages(text)).toEqual(expected);
+  });
+
+  test('several pairs in one sentence keep their own condition', () => {
+    expect(
+      ages('Mother breast cancer at 38, maternal aunt ovarian cancer at 52.'),
+    ).toEqual([
+      ['breast', 38],
+      ['ovarian', 52],
+    ]);
+  });
+
+  test('a current age is not an age at diagnosis; the closest age is kept', () => {
+    expect(ages('Sister age 45, breast cancer at 62.')).toEqual([['breast', 62]]);
+    expect(ages('Sister aged 41 at diagnosis of colon cancer.')).toEqual([
+      ['colorectal', 41],
+    ]);
+    expect(ages('Breast cancer at 38, surgery at 52.')).toEqual([['breast', 38]]);
+  });
+
+  test('a duration is not an age at diagnosis: the age given with it is kept', () => {
+    expect(ages('Mother had breast cancer diagnosed 10 years ago, at 72.')).toEqual([
+      ['breast', 72],
+    ]);
+    expect(ages('Mère : cancer du sein diagnostiqué il y a 10 ans, à 72 ans.')).toEqual([
+      ['breast', 72],
+    ]);
+  });
+
+  test('offsets point into the original text', () => {
+    const text = 'FHx: Mother had Breast Cancer at 38.';
+    const [pair] = extractDiagnosisAges(text);
+    expect(text.slice(pair.start, pair.end)).toBe('Breast Cancer at 38');
+    expect(pair.condition).toBe('breast cancer');
+  });
+
+  test.each([
+    'No breast cancer at 40 in the family.',
+    'Ultrasound at 12 weeks: NT 3.5 mm.',
+    'Seizures since age 2.',
+    'Patient is 45 and has breast cancer.',
+    'Colon cancer, 3 cycles at 40 mg.',
+    'Seen at 10 am for breast cancer follow-up',
+    'Breast cancer clinic at 14:30.',
+    'Patiente de 40 ans, cancer du sein.',
+    'Patiente 40 ans, cancer du sein.',
+    'Cancer du sein il y a 5 ans.',
+    'Cancer du sein depuis 3 ans.',
+    'Pas de cancer du sein à 40 ans.',
+  ])('no age at diagnosis in: %s', (text) => {
+    expect(extractDiagnosisAges(text)).toEqual([]);
+  });
+});
+
+describe('DARA age at diagnosis — thresholds', () => {
+  test('per-cancer threshold, then default', () => {
+    expect(earlyOnsetThreshold('prostate', CONFIG)).toBe(55);
+    expect(earlyOnsetThreshold('renal', CONFIG)).toBe(50);
+    expect(earlyOnsetThreshold('renal', {})).toBe(50);
+  });
+
+  test('early onset is strictly below the threshold of the cancer type', () => {
+    const results = assessDiagnosisAges(
+      {
+        clinical_notes: 'Prostate cancer at 52.',
+        family_history_summary: 'Mother breast cancer at 50. Father melanoma at 39.',
+      },
+      CONFIG,
+    );
+    expect(results.map((r) => [r.field, r.cancer_type, r.early_onset])).toEqual([
+      ['clinical_notes', 'prostate', true],
+      ['family_history_summary', 'breast', false],
+      ['family_history_summary', 'melanoma', true],
+    ]);
+  });
+});
+
+describe('DARA age at diagnosis — engine', () => {
+  const base = {
+    pathway: 'oncogenetics',
+    patient_age: 35,
+    patient_sex: 'female',
+    chief_concern: 'Family history of cancer',
+  };
+
+  test('an extracted early-onset diagnosis suggests early_onset_cancer', () => {
+    const out = runDecisionEngine({
+      ...base,
+      family_history_summary: 'Mother had breast cancer at 38.',
+    });
+    expect(out.suggested_flags).toContain('early_onset_cancer');
+    expect(out.reasons.join(' ')).toMatch(/Early-onset breast cancer at 38/);
+    expect(out.age_at_diagnosis_mentions[0]).toMatchObject({
+      age: 38,
+      threshold: 50,
+      early_onset: true,
+    });
+  });
+
+  test('a diagnosis N years ago is not an early onset', () => {
+    const out = runDecisionEngine({
+      ...base,
+      family_history_summary: 'Mother had breast cancer diagnosed 10 years ago, at 72.',
+    });
+    expect(out.suggested_flags).not.toContain('early_onset_cancer');
+    expect(out.age_at_diagnosis_mentions).toEqual([
+      expect.objectContaining({ age: 72, early_onset: false }),
+    ]);
+  });
+
+  test('a late diagnosis does not suggest early_onset_cancer', () => {
+    const out = runDecisionEngine({
+      ...base,
+      family_history_summary: 'Mother had breast cancer at 67.',
+    });
+    expect(out.suggested_flags).not.toContain('early_onset_cancer');
+    expect(out.age_at_diagnosis_mentions).toHaveLength(1);
+  });
+});
@@ -0,0 +1,171 @@
+import {
+  MAX_BATCH_ROWS,
+  parseColumnMapping,
+  parseCsv,
+  parseCsvRecords,
+  parseNdjson,
+  readBatch,
+  runBatch,
+} from '../batch.js';
+
+const ONCO_NOTES = 'Mother with breast cancer at 40, aunt with ovarian cancer.';
+
+describe('DARA batch — parsing', () => {
+  test('NDJSON: one payload per line, blank lines skipped, bad lines reported', () => {
+    const entries = parseNdjson(
+      '{"pathway":"pediatric"}\n\n{bad\r\n{"pathway":"prenatal"}',
+    );
+    expect(entries).toEqual([
+      { row: 1, payload: { pathway: 'pediatric' } },
+      { row: 3, error: expect.stringContaining('Invalid JSON') },
+      { row: 4, payload: { pathway: 'prenatal' } },
+    ]);
+  });
+
+  test('CSV records: quotes, escaped quotes, line breaks in cells, CRLF', () => {
+    const text = 'a,b\r\n"x, y","say ""hi"""\n"two\nlines",\n\n';
+    expect(parseCsvRecords(text)).toEqual([
+      ['a', 'b'],
+      ['x, y', 'say "hi"'],
+      ['two\nlines', ''],
+    ]);
+    expect(() => parseCsvRecords('a\n"open')).toThrow('unterminated');
+  });
+
+  test('CSV: header columns are payload fields, empty cells left out', () => {
+    const entries = parseCsv(
+      `pathway,patient_age,clinical_notes\noncogenetics,42,"${ONCO_NOTES}"\npediatric,,Seizures\n`,
+    );
+    expect(entries).toEqual([
+      {
+        row: 1,
+        payload: {
+          pathway: 'oncogenetics',
+          patient_age: '42',
+          clinical_notes: ONCO_NOTES,
+        },
+      },
+      { row: 2, payload: { pathway: 'pediatric', clinical_notes: 'Seizures' } },
+    ]);
+  });
+
+  test('CSV: column mapping, ";" delimiter and JSON cells', () => {
+    const mapping = parseColumnMapping('Parcours:pathway, Âge:patient_age');
+    expect(mapping).toEqual({ Parcours: 'pathway', Âge: 'patient_age' });
+
+    const text =
+      'Parcours;Âge;relatives\n' +
+      'oncogenetics;42;"[{""relation"":""mother"",""condition"":""breast cancer""}]"\n';
+    expect(parseCsv(text, mapping)[0].payload).toEqual({
+      pathway: 'oncogenetics',
+      patient_age: '42',
+      relatives: [{ relation: 'mother', condition: 'breast cancer' }],
+    });
+  });
+
+  test('readBatch rejects unknown formats, empty and oversized batches', () => {
+    expect(() => readBatch('{}', 'xml')).toThrow('Unknown batch format');
+    expect(() => readBatch('  \n', 'ndjson')).toThrow('Empty batch');
+    expect(() => readBatch('pathway\n', 'csv')).toThrow('Empty batch');
+    const big = '{"pathway":"pediatric"}\n'.repeat(MAX_BATCH_ROWS + 1);
+    expect(() => readBatch(big, 'ndjson')).toThrow('Too many cases');
+  });
+});
+
+describe('DARA batch — triage', () => {
+  const entries = [
+    { row: 1, payload: { pathway: 'oncogenetics', clinical_notes: ONCO_NOTES } },
+    { row: 2, payload: { pathway: 'pediatric', clinical_notes: 'No concerns.' } },
+    { row: 3, error: 'Invalid JSON' },
+  ];
+
+  test('Step 1 by default: flags suggested, pending confirmation', () => {
+    const batch = runBatch(entries);
+    expect(batch.mode).toBe('propose_flags');
+    expect(batch.rows[0]).toMatchObject({
+      row: 1,
+      status: 'ok',
+      review_status: 'pending_confirmation',
+      triage: 'pending_confirmation',
+      priority_score: null,
+    });
+    expect(batch.rows[0].suggested_flags).toEqual(
+      expect.arrayContaining(['breast_cancer', 'ovarian_cancer']),
+    );
+    expect(batch.rows[2]).toEqual({ row: 3, status: 'error', error: 'Invalid JSON' });
+    expect(batch.summary).toMatchObject({
+      total: 3,
+      assessed: 2,
+      errors: 1,
+      by_triage: { pending_confirmation: 2, recommended: 0 },
+    });
+  });
+
+  test('autoConfirm: Step 2 on the suggested flags, labelled unreviewed', () => {
+    const batch = runBatch(entries, { autoConfirm: true });
+    expect(batch.mode).toBe('unreviewed');
+    const [onco, pedia] = batch.rows;
+    expect(onco.review_status).toBe('unreviewed');
+    expect(onco.used_flags).toEqual(onco.suggested_flags);
+    expect(onco.priority_score).toBeGreaterThan(0);
+    // nothing suggested: nothing to score
+    expect(pedia).toMatchObject({
+      review_status: 'unreviewed',
+      triage: 'not_prioritized',
+      priority_score: 0,
+    });
+    expect(batch.summary.by_triage.pending_confirmation).toBe(0);
+    expect(batch.summary.by_triage.not_prioritized).toBe(1);
+  });
+
+  test('rows sent with confirmed flags are scored as confirmed', () => {
+    const batch = runBatch([
+      {
+        row: 1,
+        payload: {
+          pathway: 'pediatric',
+          confirmed_flags: ['seizures', 'developmental_delay'],
+        },
+      },
+    ]);
+    expect(batch.rows[0]).toMatchObject({
+      review_status: 'confirmed',
+      triage: 'recommended',
+      priority_score: 70,
+    });
+  });
+
+  test('input errors: reported in lenient mode, row not assessed in strict mode', () => {
+    const bad = [{ row: 1, payload: { pathway: 'oncogenetics', patient_age: 'abc' } }];
+    const lenient = runBatch(bad);
+    expect(lenient.rows[0].status).toBe('ok');
+    expect(lenient.rows[0].input_errors.map((e) => e.field)).toEqual(['patient_age']);
+
+    const strict = runBatch(bad, { strict: true });
+    expect(strict.rows[0]).toMatchObject({ row: 1, status: 'invalid' });
+    expect(strict.summary).toMatchObject({ assessed: 0, invalid: 1 });
+  });
+
+  test('strict mode assesses plain-word HPO terms and any variant status the engine reads', () => {
+    const rows = [
+      {
+        row: 1,
+        payload: { pathway: 'pediatric', hpo_terms: ['Seizure', 'HP:0001263'] },
+      },
+      {
+        row: 2,
+        payload: {
+          pathway: 'oncogenetics',
+          clinical_notes: ONCO_NOTES,
+          known_family_variant: { status: 'oui', gene: 'BRCA1' },
+        },
+      },
+      { row: 3, payload: { pathway: 'oncogenetics', known_family_variant: true } },
+    ];
+    const strict = runBatch(rows, { strict: true });
+    expect(strict.rows.map((r) => r.status)).toEqual(['ok', 'ok', 'ok']);
+    expect(strict.summary).toMatchObject({ assessed: 3, invalid: 0 });
+    expect(strict.rows[0].suggested_flags).toContain('seizures');
+    expect(strict.rows[1].suggested_flags).toContain('known_family_variant');
+  });
+});
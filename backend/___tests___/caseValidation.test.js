@@ -0,0 +1,207 @@
+import { coerceCasePayload, validateCasePayload } from '../caseValidation.js';
+
+function fields(result) {
+  return result.errors.map((e) => `${e.field}:${e.code}`);
+}
+
+describe('DARA caseValidation — coercion', () => {
+  test('numeric strings become numbers, empty strings null', () => {
+    const { payload, coercions } = coerceCasePayload({
+      patient_age: ' 42 ',
+      gestational_weeks: '12,5',
+      pregnancy_losses: '',
+    });
+    expect(payload).toMatchObject({
+      patient_age: 42,
+      gestational_weeks: 12.5,
+      pregnancy_losses: null,
+    });
+    expect(coercions).toContainEqual({ field: 'patient_age', from: ' 42 ', to: 42 });
+  });
+
+  test('non-numeric text is left as sent', () => {
+    expect(coerceCasePayload({ patient_age: 'abc' }).payload.patient_age).toBe('abc');
+    expect(
+      coerceCasePayload({ gestational_weeks: '12+3' }).payload.gestational_weeks,
+    ).toBe('12+3');
+  });
+
+  test('a string list is split on commas and semicolons', () => {
+    const { payload } = coerceCasePayload({
+      hpo_terms: 'HP:0001250, HP:0001263;',
+      prenatal_findings: null,
+    });
+    expect(payload.hpo_terms).toEqual(['HP:0001250', 'HP:0001263']);
+    expect(payload.prenatal_findings).toEqual([]);
+  });
+
+  test('keywords are lower-cased with underscores', () => {
+    const { payload } = coerceCasePayload({
+      pathway: ' Prenatal ',
+      patient_sex: 'Female',
+      pregnancy_status: 'Not applicable',
+    });
+    expect(payload).toMatchObject({
+      pathway: 'prenatal',
+      patient_sex: 'female',
+      pregnancy_status: 'not_applicable',
+    });
+  });
+
+  test('entries of relatives[] and carrier_status[] are coerced too', () => {
+    const { payload, coercions } = coerceCasePayload({
+      relatives: [{ relation: 'mother', age_at_diagnosis: '45', side: 'Maternal' }],
+      carrier_status: [{ partner: 'Partner', gene: 'CFTR', status: 'not carrier' }],
+    });
+    expect(payload.relatives[0]).toMatchObject({
+      age_at_diagnosis: 45,
+      side: 'maternal',
+    });
+    expect(payload.carrier_status[0]).toMatchObject({
+      partner: 'partner',
+      status: 'not_carrier',
+    });
+    expect(coercions.map((c) => c.field)).toContain('relatives[0].age_at_diagnosis');
+  });
+
+  test('a bare known variant status becomes an object', () => {
+    const { payload } = coerceCasePayload({ known_family_variant: 'Yes' });
+    expect(payload.known_family_variant).toEqual({ status: 'yes' });
+  });
+
+  test('the original payload is not modified', () => {
+    const original = { patient_age: '42', relatives: [{ age_at_diagnosis: '45' }] };
+    coerceCasePayload(original);
+    expect(original).toEqual({
+      patient_age: '42',
+      relatives: [{ age_at_diagnosis: '45' }],
+    });
+  });
+});
+
+describe('DARA caseValidation — field-level errors', () => {
+  test('a well-formed payload is valid', () => {
+    const result = validateCasePayload({
+      pathway: 'oncogenetics',
+      patient_age: '42',
+      patient_sex: 'female',
+      chief_concern: 'Family history of cancer',
+      relatives: [
+        { relation: 'mother', condition: 'breast cancer', age_at_diagnosis: 45 },
+      ],
+    });
+    expect(result.valid).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.payload.patient_age).toBe(42);
+  });
+
+  test('wrong types are reported with their field and value', () => {
+    const result = validateCasePayload({
+      pathway: 'oncogenetics',
+      patient_age: 'abc',
+      hpo_terms: 12,
+      relatives: [{ relation: 'mother', age_at_diagnosis: 'unknown' }],
+    });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContainEqual({
+      field: 'patient_age',
+      code: 'type',
+      message: 'must be number or null',
+      value: 'abc',
+    });
+    expect(fields(result)).toEqual(
+      expect.arrayContaining(['hpo_terms:type', 'relatives[0].age_at_diagnosis:type']),
+    );
+  });
+
+  test('ranges and enums', () => {
+    const result = validateCasePayload({
+      pathway: 'oncogenetics',
+      patient_age: 150,
+      patient_sex: 'f',
+    });
+    expect(fields(result)).toEqual(['patient_age:maximum', 'patient_sex:enum']);
+    expect(result.errors[1].message).toBe('must be one of: female, male, unknown');
+  });
+
+  test('pathway is required and must be a loaded pack', () => {
+    expect(fields(validateCasePayload({}))).toEqual(['pathway:required']);
+    const unknown = validateCasePayload({ pathway: 'onco' });
+    expect(fields(unknown)).toEqual(['pathway:unknown_pathway']);
+    expect(unknown.errors[0].message).toContain('oncogenetics');
+  });
+
+  test('a body that is not an object', () => {
+    expect(fields(validateCasePayload([1, 2]))).toEqual(['null:type']);
+  });
+
+  test('prenatal: pregnancy status required, ISO dates', () => {
+    const result = validateCasePayload({ pathway: 'prenatal', lmp_date: '01/02/2026' });
+    expect(fields(result)).toEqual(['pregnancy_status:required', 'lmp_date:pattern']);
+    const ok = validateCasePayload({
+      pathway: 'prenatal',
+      pregnancy_status: 'pregnant',
+      lmp_date: '2026-01-02',
+      gestational_weeks: '12+3',
+    });
+    expect(ok.valid).toBe(true);
+  });
+
+  test('pediatric: HPO IDs must be well formed, plain words are searched as text', () => {
+    const result = validateCasePayload({
+      pathway: 'pediatric',
+      hpo_terms: 'HP:0001250, seizures, hp_1263, HP:12AB',
+    });
+    expect(fields(result)).toEqual(['hpo_terms[3]:pattern']);
+    expect(result.errors[0].value).toBe('HP:12AB');
+    expect(
+      validateCasePayload({
+        pathway: 'pediatric',
+        hpo_terms: ['Seizure', 'global developmental delay', 'HP:0001250 (Seizure)'],
+      }).valid,
+    ).toBe(true);
+  });
+
+  test.each([
+    ['yes'],
+    ['Oui'],
+    ['positive'],
+    ['known'],
+    ['negative'],
+    ['none'],
+    ['unknown'],
+    [true],
+    [false],
+    [{ status: 'true', gene: 'BRCA1' }],
+    [{ status: true }],
+    [{ status: 'Non' }],
+  ])('known_family_variant %j: every status the engine reads is valid', (value) => {
+    const result = validateCasePayload({
+      pathway: 'oncogenetics',
+      known_family_variant: value,
+    });
+    expect(result.errors).toEqual([]);
+  });
+
+  test('known_family_variant: an unreadable status is reported', () => {
+    const result = validateCasePayload({
+      pathway: 'oncogenetics',
+      known_family_variant: { status: 'maybe' },
+    });
+    expect(fields(result)).toEqual(['known_family_variant.status:enum']);
+  });
+
+  test('reproductive: each carrier names its partner', () => {
+    const result = validateCasePayload({
+      pathway: 'reproductive',
+      carrier_status: [{ gene: 'CFTR' }, { partner: 'partner', gene: 'CFTR' }],
+    });
+    expect(fields(result)).toEqual(['carrier_status[0].partner:required']);
+  });
+
+  test('unknown fields are allowed', () => {
+    expect(validateCasePayload({ pathway: 'cardiogenetics', source: 'emr' }).valid).toBe(
+      true,
+    );
+  });
+});
@@ -0,0 +1,117 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { EXIT_CODES, main, parseArgs } from '../cli.js';
+
+const DOCS = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'docs');
+const ONCO_FILE = path.join(DOCS, 'api_payload_oncogenetics.json');
+
+// Runs the CLI with in-memory input / output: { code, out, err }
+function run(argv, stdin = '') {
+  const out = [];
+  const err = [];
+  const code = main(argv, {
+    readFile: (file) => fs.readFileSync(file, 'utf8'),
+    readStdin: () => stdin,
+    out: (text) => out.push(text),
+    err: (text) => err.push(text),
+  });
+  return { code, out: out.join('\n'), err: err.join('\n') };
+}
+
+describe('DARA cli — arguments', () => {
+  test('defaults and options', () => {
+    expect(parseArgs(['case.json'])).toMatchObject({
+      file: 'case.json',
+      confirm: null,
+      format: 'table',
+      strict: false,
+    });
+    expect(
+      parseArgs(['-', '--confirm', 'a, b', '--format', 'json', '--now', '2026-03-01']),
+    ).toMatchObject({
+      file: '-',
+      confirm: ['a', 'b'],
+      format: 'json',
+      now: '2026-03-01',
+    });
+  });
+
+  test.each([
+    [['--format', 'xml'], 'unknown format'],
+    [['--confirm'], 'needs a value'],
+    [['--now', 'soon'], 'invalid date'],
+    [['--verbose'], 'unknown option'],
+    [['a.json', 'b.json'], 'one case file'],
+  ])('%j is a usage error', (argv, message) => {
+    expect(() => parseArgs(argv)).toThrow(message);
+    const { code, err } = run(argv);
+    expect(code).toBe(EXIT_CODES.usage_error);
+    expect(err).toContain(message);
+  });
+
+  test('--help', () => {
+    const { code, out } = run(['--help']);
+    expect(code).toBe(0);
+    expect(out).toContain('Exit codes');
+  });
+});
+
+describe('DARA cli — assessment', () => {
+  test('Step 1 from a file: suggested flags, exit code 10', () => {
+    const { code, out } = run([ONCO_FILE]);
+    expect(code).toBe(EXIT_CODES.pending_confirmation);
+    expect(out).toContain('Triage  pending_confirmation');
+    expect(out).toMatch(/breast_cancer\s+clinical_notes: "breast cancer"/);
+  });
+
+  test('Step 2 with --confirm: breakdown table, exit code of the tier', () => {
+    const { code, out } = run([ONCO_FILE, '--confirm', 'breast_cancer,ovarian_cancer']);
+    expect(code).toBe(EXIT_CODES.recommended);
+    expect(out).toMatch(/ovarian_cancer\s+rules\s+\+30/);
+    expect(out).toMatch(/Score\s+70\/100/);
+  });
+
+  test('JSON output from stdin is the /cases result', () => {
+    const stdin = JSON.stringify({
+      pathway: 'pediatric',
+      clinical_notes: 'No concerns.',
+      confirmed_flags: ['developmental_delay'],
+    });
+    const { code, out } = run(['-', '--format', 'json'], stdin);
+    const result = JSON.parse(out);
+    expect(result).toMatchObject({ pathway: 'pediatric', triage: 'discuss' });
+    expect(code).toBe(EXIT_CODES.discuss);
+  });
+
+  test('referral summary text', () => {
+    const { out } = run([ONCO_FILE, '--format', 'summary', '--confirm', 'breast_cancer']);
+    expect(out).toContain('Genetic Referral Summary (Educational)');
+    expect(out).toContain('Triage: discuss (score: 30/100)');
+    expect(out).toContain('Flags used for scoring\n- breast_cancer');
+  });
+
+  test('--language overrides the payload', () => {
+    const { out } = run([ONCO_FILE, '--language', 'fr', '--format', 'json']);
+    expect(JSON.parse(out).language).toBe('fr');
+  });
+
+  test('unreadable input is a usage error', () => {
+    expect(run(['-'], '{bad').code).toBe(EXIT_CODES.usage_error);
+    const missing = run(['no_such_case.json']);
+    expect(missing.code).toBe(EXIT_CODES.usage_error);
+    expect(missing.err).toContain('cannot read case');
+  });
+
+  test('input errors are reported, and stop the run with --strict', () => {
+    const stdin = JSON.stringify({ pathway: 'oncogenetics', patient_age: 'abc' });
+    const lenient = run(['-'], stdin);
+    expect(lenient.err).toContain('patient_age: must be number or null');
+    expect(lenient.code).toBe(EXIT_CODES.pending_confirmation);
+
+    const strict = run(['-', '--strict'], stdin);
+    expect(strict.code).toBe(EXIT_CODES.usage_error);
+    expect(strict.out).toBe('');
+  });
+});
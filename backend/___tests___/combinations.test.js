@@ -0,0 +1,61 @@
+import { evaluateCombinations, legacyCombinationFlags } from '../combinations.js';
+
+const BOTH = { id: 'a_b', weight: 20, flags: ['a', 'b'], reason: 'A + B.' };
+const TWO_OF_THREE = {
+  id: 'two_of_abc',
+  weight: 10,
+  flags: ['a', 'b', 'c'],
+  min_count: 2,
+  reason: 'Two of A, B, C.',
+};
+
+function ids(hits) {
+  return hits.map((h) => h.rule.id);
+}
+
+describe('DARA combinations — flags', () => {
+  test('every flag is needed by default', () => {
+    expect(ids(evaluateCombinations([BOTH], ['a', 'b']))).toEqual(['a_b']);
+    expect(ids(evaluateCombinations([BOTH], ['a']))).toEqual([]);
+  });
+
+  test('min_count: N flags of the set', () => {
+    const hits = evaluateCombinations([TWO_OF_THREE], ['c', 'a']);
+    expect(hits).toEqual([{ rule: TWO_OF_THREE, flags: ['a', 'c'] }]);
+    expect(evaluateCombinations([TWO_OF_THREE], ['b'])).toEqual([]);
+  });
+
+  test('no rules, no combination', () => {
+    expect(evaluateCombinations(undefined, ['a', 'b'])).toEqual([]);
+  });
+});
+
+describe('DARA combinations — patient conditions', () => {
+  const child = { ...BOTH, max_age: 18 };
+  const woman = { ...BOTH, sex: ['female'], min_age: 18 };
+
+  test.each([
+    [child, { patient_age: 4 }, true],
+    [child, { patient_age: '17' }, true],
+    [child, { patient_age: 30 }, false],
+    [child, {}, false],
+    [woman, { patient_sex: 'female', patient_age: 35 }, true],
+    [woman, { patient_sex: 'Female', patient_age: 35 }, true],
+    [woman, { patient_sex: 'male', patient_age: 35 }, false],
+    [woman, { patient_sex: 'female', patient_age: 12 }, false],
+    [woman, { patient_age: 35 }, false],
+  ])('%j with %j -> %s', (rule, payload, applies) => {
+    expect(evaluateCombinations([rule], ['a', 'b'], payload).length > 0).toBe(applies);
+  });
+});
+
+describe('DARA combinations — former flag ids', () => {
+  test('only combinations with a legacy weight are former flags', () => {
+    const legacy = { ...BOTH, legacy_weight: 30 };
+    expect(legacyCombinationFlags([legacy, TWO_OF_THREE], ['a_b', 'two_of_abc'])).toEqual(
+      [legacy],
+    );
+    expect(legacyCombinationFlags([legacy], ['a', 'b'])).toEqual([]);
+    expect(legacyCombinationFlags(undefined, ['a_b'])).toEqual([]);
+  });
+});
@@ -0,0 +1,212 @@
+import { GUIDELINES, areFirstDegree, evaluateGuidelineCriteria } from '../criteria.js';
+import { normalizeRelatives } from '../relatives.js';
+import { RULE_PACKS } from '../rulePacks.js';
+import { runDecisionEngine } from '../decisionEngine.js';
+
+function check(guideline, relatives, overrides = {}) {
+  const [result] = evaluateGuidelineCriteria(
+    { patient_sex: 'female', relatives, ...overrides },
+    [guideline],
+  );
+  return result;
+}
+
+function statusOf(result, id) {
+  return result.criteria.find((c) => c.id === id).status;
+}
+
+const LYNCH_FAMILY = [
+  { relation: 'self', condition: 'colon cancer, no polyposis', age_at_diagnosis: 44 },
+  { relation: 'mother', condition: 'endometrial cancer', age_at_diagnosis: 52 },
+  { relation: 'maternal aunt', condition: 'colorectal cancer', age_at_diagnosis: 58 },
+];
+
+describe('DARA criteria — kinship', () => {
+  test.each([
+    ['self', 'mother', true],
+    ['mother', 'maternal aunt', true],
+    ['mother', 'paternal aunt', false],
+    ['mother', 'aunt', null],
+    ['sister', 'maternal grandmother', false],
+    ['cousin', 'maternal aunt', null],
+  ])('%s / %s -> %s', (a, b, expected) => {
+    const [x, y] = normalizeRelatives([{ relation: a }, { relation: b }]);
+    expect(areFirstDegree(x, y)).toBe(expected);
+  });
+});
+
+describe('DARA criteria — HBOC', () => {
+  test('breast cancer at or before 45 in a close relative is met', () => {
+    const res = check('hboc', [
+      { relation: 'sister', condition: 'breast cancer', age_at_diagnosis: 41 },
+    ]);
+    expect(res.status).toBe('met');
+    expect(statusOf(res, 'breast_cancer_by_45')).toBe('met');
+    expect(res.criteria[0].detail).toBe('sister (breast cancer at 41)');
+  });
+
+  test('missing ages make criteria not evaluable instead of not met', () => {
+    const res = check('hboc', [{ relation: 'mother', condition: 'breast cancer' }]);
+    expect(statusOf(res, 'breast_cancer_by_45')).toBe('not_evaluable');
+    expect(res.status).toBe('not_evaluable');
+  });
+
+  test('two cancers on one side is partially met, three is met', () => {
+    const two = [
+      { relation: 'mother', condition: 'breast cancer', age_at_diagnosis: 60 },
+      { relation: 'maternal aunt', condition: 'breast cancer', age_at_diagnosis: 66 },
+    ];
+    expect(statusOf(check('hboc', two), 'three_on_same_side')).toBe('partially_met');
+
+    const three = [
+      ...two,
+      {
+        relation: 'maternal grandfather',
+        condition: 'prostate cancer',
+        age_at_diagnosis: 70,
+      },
+    ];
+    expect(statusOf(check('hboc', three), 'three_on_same_side')).toBe('met');
+  });
+
+  test('male breast cancer, ovarian and pancreatic cancer at any age', () => {
+    const res = check('hboc', [
+      { relation: 'father', condition: 'breast cancer', age_at_diagnosis: 70 },
+      { relation: 'paternal aunt', condition: 'ovarian cancer', age_at_diagnosis: 65 },
+      {
+        relation: 'maternal uncle',
+        condition: 'pancreatic cancer',
+        age_at_diagnosis: 72,
+      },
+    ]);
+    expect(statusOf(res, 'male_breast_cancer')).toBe('met');
+    expect(statusOf(res, 'ovarian_cancer')).toBe('met');
+    expect(statusOf(res, 'pancreatic_cancer')).toBe('met');
+  });
+
+  test('relatives without cancer: not met', () => {
+    expect(check('hboc', [{ relation: 'mother', condition: '' }]).status).toBe('not_met');
+  });
+
+  test('no pedigree entered: not evaluable, free-text notes are not used', () => {
+    const res = check('hboc', [], {
+      patient_age: 40,
+      clinical_notes: 'Breast cancer at 38. Mother ovarian cancer.',
+    });
+    expect(res.criteria.every((c) => c.status === 'not_evaluable')).toBe(true);
+    expect(res.status).toBe('not_evaluable');
+    expect(check('amsterdam_ii', []).status).toBe('not_evaluable');
+  });
+
+  test('patient_sex and patient_age are used for the patient', () => {
+    const self = [{ relation: 'self', condition: 'breast cancer' }];
+    const res = check('hboc', self, { patient_sex: 'male', patient_age: 40 });
+    expect(statusOf(res, 'male_breast_cancer')).toBe('met');
+    expect(statusOf(res, 'breast_cancer_by_45')).toBe('met');
+    expect(
+      statusOf(check('hboc', self, { patient_age: 50 }), 'breast_cancer_by_45'),
+    ).toBe('not_evaluable');
+  });
+});
+
+describe('DARA criteria — Amsterdam II', () => {
+  test('3 relatives, first-degree link, 2 generations, one before 50: met', () => {
+    const res = check('amsterdam_ii', LYNCH_FAMILY);
+    expect(res.criteria.map((c) => c.status)).toEqual([
+      'met',
+      'met',
+      'met',
+      'met',
+      'met',
+    ]);
+    expect(res.status).toBe('met');
+  });
+
+  test('all diagnosed after 50 -> partially met', () => {
+    const late = LYNCH_FAMILY.map((r) => ({ ...r, age_at_diagnosis: 62 }));
+    const res = check('amsterdam_ii', late);
+    expect(statusOf(res, 'diagnosed_before_50')).toBe('not_met');
+    expect(res.status).toBe('partially_met');
+  });
+
+  test('unknown family side -> first-degree link not evaluable', () => {
+    const res = check('amsterdam_ii', [
+      { relation: 'aunt', condition: 'colon cancer', age_at_diagnosis: 45 },
+      { relation: 'uncle', condition: 'colon cancer', age_at_diagnosis: 50 },
+      { relation: 'grandmother', condition: 'endometrial cancer', age_at_diagnosis: 60 },
+    ]);
+    expect(statusOf(res, 'first_degree_link')).toBe('not_evaluable');
+    expect(res.status).toBe('not_evaluable');
+  });
+
+  test('polyposis status not reported: FAP exclusion not evaluable', () => {
+    const unreported = LYNCH_FAMILY.map((r) => ({
+      ...r,
+      condition: r.condition.replace(', no polyposis', ''),
+    }));
+    const res = check('amsterdam_ii', unreported);
+    expect(statusOf(res, 'fap_excluded')).toBe('not_evaluable');
+    expect(res.status).toBe('not_evaluable');
+  });
+
+  test('polyposis in the family: FAP not excluded', () => {
+    const res = check('amsterdam_ii', [
+      ...LYNCH_FAMILY,
+      { relation: 'brother', condition: 'familial adenomatous polyposis' },
+    ]);
+    expect(statusOf(res, 'fap_excluded')).toBe('not_met');
+    expect(res.status).toBe('partially_met');
+  });
+});
+
+describe('DARA criteria — revised Bethesda', () => {
+  test('colorectal cancer in the patient before 50: met', () => {
+    const res = check('revised_bethesda', LYNCH_FAMILY);
+    expect(statusOf(res, 'colorectal_before_50')).toBe('met');
+    expect(statusOf(res, 'two_close_relatives')).toBe('met');
+    expect(statusOf(res, 'msi_high_before_60')).toBe('not_evaluable');
+    expect(res.status).toBe('met');
+  });
+
+  test('MSI-high written in the condition is used', () => {
+    const res = check('revised_bethesda', [
+      { relation: 'self', condition: 'colon cancer, MSI-high', age_at_diagnosis: 55 },
+    ]);
+    expect(statusOf(res, 'msi_high_before_60')).toBe('met');
+  });
+
+  test('no personal history entered: not evaluable; no colorectal cancer: not met', () => {
+    expect(check('revised_bethesda', LYNCH_FAMILY.slice(1)).status).toBe('not_evaluable');
+    expect(
+      check('revised_bethesda', [
+        { relation: 'self', condition: 'breast cancer', age_at_diagnosis: 50 },
+      ]).status,
+    ).toBe('not_met');
+  });
+});
+
+describe('DARA criteria — engine', () => {
+  test('oncogenetics results carry every guideline next to the score', () => {
+    expect(RULE_PACKS.oncogenetics.guideline_criteria).toEqual(GUIDELINES);
+
+    const res = runDecisionEngine({
+      pathway: 'oncogenetics',
+      patient_age: 44,
+      patient_sex: 'female',
+      chief_concern: 'Colon cancer at 44',
+      relatives: LYNCH_FAMILY,
+      confirmed_flags: ['early_onset_cancer'],
+    });
+    expect(res.priority_score).toBe(40);
+    expect(res.guideline_criteria.map((g) => [g.id, g.status])).toEqual([
+      ['hboc', 'not_met'],
+      ['amsterdam_ii', 'met'],
+      ['revised_bethesda', 'met'],
+    ]);
+  });
+
+  test('other pathways have no guideline criteria', () => {
+    const res = runDecisionEngine({ pathway: 'pediatric', hpo_terms: [] });
+    expect(res.guideline_criteria).toEqual([]);
+  });
+});
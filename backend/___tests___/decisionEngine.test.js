@@ -1,4 +1,5 @@
 import { runDecisionEngine } from '../decisionEngine.js';
+import { DEFAULT_TRIAGE, RULE_PACKS } from '../rulePacks.js';
 
 const getScore = (res) => res?.priority_score ?? res?.score;
 
@@ -93,7 +94,7 @@ describe('DARA decisionEngine — Step workflow and triage thresholds', () => {
     const res = runDecisionEngine(payload);
 
     expect(res.priority_score).toBe(100);
-    expect(res.triage).toBe('recommended');
+    expect(res.triage).toBe('urgent');
   });
 
   test("Prenatal normalization: 'NIPT positive' in free text suggests positive_screening in Step 1", () => {
@@ -162,3 +163,1195 @@ it("keeps score within valid bounds for Step 2 (confirmed flags)", () => {
   expect(result.triage).toBeDefined();
 });
 
+
+describe('DARA decisionEngine — negation and hedging in Step 1', () => {
+  test('negated mentions are not suggested and are reported in negated_matches', () => {
+    const res = runDecisionEngine({
+      pathway: 'pediatric',
+      patient_age: 4,
+      patient_sex: 'male',
+      chief_concern: 'Developmental delay',
+      clinical_notes: 'Global developmental delay. No seizures.',
+      family_history_summary: 'Denies family history of epilepsy.',
+    });
+
+    expect(res.suggested_flags).toContain('developmental_delay');
+    expect(res.suggested_flags).not.toContain('seizures');
+    expect(res.negated_matches.map((m) => m.flag)).toContain('seizures');
+  });
+
+  test('"ruled out" suppresses oncogenetics keyword flags', () => {
+    const res = runDecisionEngine({
+      pathway: 'oncogenetics',
+      clinical_notes: 'Ruled out ovarian cancer. No pancreatic cancer in the family.',
+    });
+
+    expect(res.suggested_flags).not.toContain('breast_and_ovarian_pattern');
+    expect(res.suggested_flags).not.toContain('pancreatic_cancer');
+  });
+
+  test('uncertain mentions are still suggested but reported in hedged_matches', () => {
+    const res = runDecisionEngine({
+      pathway: 'pediatric',
+      clinical_notes: 'Possible seizures during sleep.',
+    });
+
+    expect(res.suggested_flags).toContain('seizures');
+    expect(res.hedged_matches).toEqual([
+      expect.objectContaining({
+        flag: 'seizures',
+        status: 'uncertain',
+        trigger: 'possible',
+      }),
+    ]);
+  });
+
+  test('an affirmed mention wins over a negated one for the same flag', () => {
+    const res = runDecisionEngine({
+      pathway: 'pediatric',
+      clinical_notes: 'No seizures before age 2. Epilepsy diagnosed at age 3.',
+    });
+
+    expect(res.suggested_flags).toContain('seizures');
+    expect(res.negated_matches).toEqual([]);
+    expect(res.hedged_matches).toEqual([]);
+  });
+
+  test('a negation does not carry past a comma into the next clause', () => {
+    const res = runDecisionEngine({
+      pathway: 'oncogenetics',
+      clinical_notes: 'No known allergies, mother had breast cancer at 42.',
+    });
+
+    expect(res.suggested_flags).toEqual(
+      expect.arrayContaining(['breast_cancer', 'early_onset_cancer']),
+    );
+    expect(res.negated_matches).toEqual([]);
+  });
+
+  test.each([
+    [
+      'pediatric',
+      'No seizures, hypotonia or developmental delay.',
+      'developmental_delay',
+    ],
+    ['oncogenetics', 'Denies breast, ovarian or colon cancer.', 'colorectal_cancer'],
+    [
+      'pediatric',
+      'Sans épilepsie, hypotonie ou retard de développement.',
+      'developmental_delay',
+    ],
+  ])(
+    '%s: a negation carries through a comma list (%s)',
+    (pathway, clinical_notes, flag) => {
+      const res = runDecisionEngine({ pathway, clinical_notes });
+      expect(res.suggested_flags).not.toContain(flag);
+      expect(res.negated_matches.map((m) => m.flag)).toContain(flag);
+    },
+  );
+
+  test('negated prenatal free text does not add normalized findings', () => {
+    const res = runDecisionEngine({
+      pathway: 'prenatal',
+      pregnancy_status: 'pregnant',
+      gestational_weeks: 12,
+      clinical_notes: 'No increased nuchal translucency.',
+    });
+
+    expect(res.suggested_flags).not.toContain('increased_nt');
+  });
+});
+
+describe('DARA decisionEngine — evidence for suggested flags', () => {
+  test('every suggested flag has evidence with field, matched text and offsets', () => {
+    const payload = basePayload({
+      chief_concern: '  Breast and ovarian cancer in the family',
+      clinical_notes: 'No pancreatic cancer.',
+      family_history_summary: 'Uncle had pancreatic cancer.',
+    });
+    delete payload.confirmed_flags;
+
+    const res = runDecisionEngine(payload);
+
+    for (const flag of res.suggested_flags) {
+      expect(res.evidence.some((e) => e.flag === flag)).toBe(true);
+    }
+    for (const e of res.evidence.filter((x) => x.start !== null)) {
+      expect(payload[e.field].slice(e.start, e.end)).toBe(e.text);
+    }
+    expect(res.evidence).toContainEqual(
+      expect.objectContaining({
+        flag: 'pancreatic_cancer',
+        field: 'family_history_summary',
+        text: 'pancreatic',
+        start: 10,
+        end: 20,
+      }),
+    );
+    // The negated mention in clinical_notes is not evidence
+    expect(res.evidence.some((e) => e.field === 'clinical_notes')).toBe(false);
+  });
+
+  test('structured sources: prenatal findings and relatives point to the list item', () => {
+    const prenatal = runDecisionEngine({
+      pathway: 'prenatal',
+      pregnancy_status: 'pregnant',
+      gestational_weeks: 12,
+      prenatal_findings: ['increased_nt'],
+    });
+    expect(prenatal.evidence).toContainEqual(
+      expect.objectContaining({
+        flag: 'increased_nt',
+        field: 'prenatal_findings',
+        index: 0,
+      }),
+    );
+
+    const onco = runDecisionEngine(
+      basePayload({
+        family_history_summary: '',
+        relatives: [
+          { relation: 'mother', condition: 'breast cancer', age_at_diagnosis: 42 },
+        ],
+        confirmed_flags: undefined,
+      }),
+    );
+    expect(onco.evidence).toContainEqual(
+      expect.objectContaining({
+        flag: 'relative_diagnosed_under_50',
+        field: 'relatives',
+        index: 0,
+        text: 'mother (breast cancer at 42)',
+        start: null,
+      }),
+    );
+  });
+
+  test('repeated mentions give one entry per occurrence, overlaps are merged', () => {
+    const payload = basePayload({
+      pathway: 'pediatric',
+      clinical_notes: 'Seizures since age 2. Epilepsy treated.',
+      family_history_summary: '',
+    });
+    delete payload.confirmed_flags;
+
+    const res = runDecisionEngine(payload);
+    const seizures = res.evidence.filter((e) => e.flag === 'seizures');
+
+    expect(seizures.map((e) => e.text)).toEqual(['Seizures', 'Epilepsy']);
+  });
+});
+
+describe('DARA decisionEngine — Lynch-spectrum rules (oncogenetics)', () => {
+  function step1(overrides) {
+    const payload = basePayload({ family_history_summary: '', ...overrides });
+    delete payload.confirmed_flags;
+    return runDecisionEngine(payload);
+  }
+
+  test.each([
+    ['Colon cancer diagnosed last year.', 'colorectal_cancer'],
+    ['Father treated for CRC.', 'colorectal_cancer'],
+    ['Endometrial carcinoma in 2019.', 'endometrial_cancer'],
+    ['Grandfather had stomach cancer.', 'gastric_cancer'],
+    ['Urothelial carcinoma of the renal pelvis.', 'urothelial_cancer'],
+    ['Small bowel adenocarcinoma.', 'small_bowel_cancer'],
+    ['Tumor is MSI-H.', 'msi_high_dmmr'],
+    ['IHC: loss of MSH2 and MSH6 (dMMR).', 'msi_high_dmmr'],
+  ])('%s -> %s', (notes, flag) => {
+    expect(step1({ clinical_notes: notes }).suggested_flags).toContain(flag);
+  });
+
+  test('MSI-low and negated MSI-high tumors are not flagged', () => {
+    expect(step1({ clinical_notes: 'Tumor is MSI-low.' }).suggested_flags).not.toContain(
+      'msi_high_dmmr',
+    );
+    expect(step1({ clinical_notes: 'Not MSI-high.' }).suggested_flags).not.toContain(
+      'msi_high_dmmr',
+    );
+  });
+
+  test('colorectal + endometrial cancers in the family form the Lynch combination', () => {
+    const res = step1({
+      family_history_summary: 'Mother: endometrial cancer. Maternal uncle: colon cancer.',
+    });
+    expect(res.suggested_flags).toEqual(
+      expect.arrayContaining(['colorectal_cancer', 'endometrial_cancer']),
+    );
+    expect(res.combinations.map((c) => c.id)).toEqual(['colorectal_endometrial_pattern']);
+  });
+
+  test('confirmed Lynch flags are scored and add their own next steps', () => {
+    const res = runDecisionEngine(
+      basePayload({
+        clinical_notes: 'Colon cancer at 62, MSI-high.',
+        confirmed_flags: ['colorectal_cancer', 'msi_high_dmmr'],
+      }),
+    );
+    expect(getScore(res)).toBe(80);
+    expect(res.triage).toBe('recommended');
+    expect(res.next_steps).toContain(
+      'Refer for germline testing of the MMR genes (MLH1, MSH2, MSH6, PMS2, EPCAM).',
+    );
+    expect(res.next_steps).toContain(
+      'Request tumor MMR immunohistochemistry or MSI testing if not already done.',
+    );
+  });
+});
+
+describe('DARA decisionEngine — cardiogenetics pathway', () => {
+  function cardioCase(overrides = {}) {
+    return {
+      pathway: 'cardiogenetics',
+      patient_age: 28,
+      patient_sex: 'male',
+      chief_concern: 'Exertional syncope',
+      clinical_notes: '',
+      family_history_summary: '',
+      ...overrides,
+    };
+  }
+
+  test.each([
+    ['Brother died suddenly at 24.', 'sudden_death_under_40'],
+    ['Uncle: sudden cardiac death, age unknown.', 'sudden_unexplained_death'],
+    ['Father has HCM.', 'cardiomyopathy'],
+    ['ECG: QTc 490 ms.', 'long_qt_or_brugada'],
+    ['Type 1 Brugada pattern.', 'long_qt_or_brugada'],
+    ['Mother had an aortic dissection.', 'aortic_dissection_aneurysm'],
+    ['LDL 5.8 mmol/L, tendon xanthomas.', 'familial_hypercholesterolemia'],
+  ])('%s -> %s', (notes, flag) => {
+    expect(
+      runDecisionEngine(cardioCase({ clinical_notes: notes })).suggested_flags,
+    ).toContain(flag);
+  });
+
+  test('sudden death at 55 is not a sudden death under 40', () => {
+    const res = runDecisionEngine(
+      cardioCase({ clinical_notes: 'Father died suddenly at 55.' }),
+    );
+    expect(res.suggested_flags).not.toContain('sudden_death_under_40');
+    expect(res.suggested_flags).toContain('sudden_unexplained_death');
+  });
+
+  test('structured relative with sudden death before 40', () => {
+    const res = runDecisionEngine(
+      cardioCase({
+        relatives: [
+          {
+            relation: 'brother',
+            condition: 'sudden cardiac death',
+            age_at_diagnosis: 24,
+          },
+        ],
+      }),
+    );
+    expect(res.suggested_flags).toContain('relative_sudden_death_under_40');
+  });
+
+  test('one sudden death is suggested once, by its most specific flag', () => {
+    const brother = {
+      relation: 'brother',
+      condition: 'sudden cardiac death',
+      age_at_diagnosis: 30,
+    };
+    const notes = cardioCase({ clinical_notes: 'Brother died suddenly at 30.' });
+    expect(runDecisionEngine(notes).suggested_flags).toEqual(['sudden_death_under_40']);
+
+    const res = runDecisionEngine({ ...notes, relatives: [brother] });
+    expect(res.suggested_flags).toEqual(['relative_sudden_death_under_40']);
+    expect(res.evidence.map((e) => e.flag)).toEqual(['relative_sudden_death_under_40']);
+  });
+
+  test('Step 2: a fact confirmed under several flags is scored once', () => {
+    const res = runDecisionEngine(
+      cardioCase({
+        clinical_notes: 'Brother died suddenly at 30.',
+        confirmed_flags: [
+          'sudden_death_under_40',
+          'sudden_unexplained_death',
+          'relative_sudden_death_under_40',
+        ],
+      }),
+    );
+    expect(getScore(res)).toBe(50);
+    expect(res.triage).toBe('discuss');
+    expect(res.score_breakdown.contributions.map((c) => c.flag)).toEqual([
+      'relative_sudden_death_under_40',
+    ]);
+    expect(res.score_breakdown.superseded_flags).toEqual([
+      { flag: 'sudden_death_under_40', by: 'relative_sudden_death_under_40' },
+      { flag: 'sudden_unexplained_death', by: 'relative_sudden_death_under_40' },
+    ]);
+  });
+
+  test('ECG, echo and lipid panel are missing info until mentioned', () => {
+    const none = runDecisionEngine(cardioCase());
+    expect(none.missing_info).toEqual(
+      expect.arrayContaining([
+        '12-lead ECG result',
+        'Echocardiogram result',
+        'Lipid panel (LDL cholesterol)',
+      ]),
+    );
+
+    const some = runDecisionEngine(
+      cardioCase({
+        clinical_notes: 'Normal ECG. No echocardiogram yet. LDL 3.1 mmol/L.',
+      }),
+    );
+    expect(some.missing_info).not.toContain('12-lead ECG result');
+    expect(some.missing_info).toContain('Echocardiogram result');
+    expect(some.missing_info).not.toContain('Lipid panel (LDL cholesterol)');
+  });
+
+  test('Step 2: confirmed flags are scored, with cardiogenetics next steps', () => {
+    const res = runDecisionEngine(
+      cardioCase({
+        clinical_notes: 'Brother died suddenly at 24. QTc 480 ms.',
+        confirmed_flags: ['sudden_death_under_40', 'long_qt_or_brugada'],
+      }),
+    );
+    expect(getScore(res)).toBe(95);
+    expect(res.triage).toBe('recommended');
+    expect(res.rules_version).toBe(RULE_PACKS.cardiogenetics.version);
+    expect(res.next_steps).toContain(
+      'Collect ECG, echocardiogram and lipid panel results.',
+    );
+  });
+});
+
+describe('DARA decisionEngine — reproductive pathway', () => {
+  function reproCase(overrides = {}) {
+    return {
+      pathway: 'reproductive',
+      patient_age: 31,
+      patient_sex: 'female',
+      chief_concern: 'Planning a first pregnancy',
+      clinical_notes: '',
+      family_history_summary: '',
+      ...overrides,
+    };
+  }
+
+  test('Step 1: structured inputs suggest flags with evidence and a strategy', () => {
+    const res = runDecisionEngine(
+      reproCase({
+        consanguinity: 'first_cousins',
+        ancestry_groups: ['south_asian'],
+        pregnancy_losses: 3,
+      }),
+    );
+    expect(res.triage).toBe('pending_confirmation');
+    expect(res.suggested_flags).toEqual(
+      expect.arrayContaining([
+        'consanguinity',
+        'elevated_carrier_frequency_ancestry',
+        'recurrent_pregnancy_loss',
+      ]),
+    );
+    expect(res.reasons).toContain(
+      'Partners are first cousins (coefficient of relationship 1/8).',
+    );
+    expect(res.evidence).toContainEqual(
+      expect.objectContaining({
+        flag: 'consanguinity',
+        field: 'consanguinity',
+        text: 'first cousins',
+        start: null,
+      }),
+    );
+    expect(res.carrier_screening.strategy).toBe('expanded');
+    expect(res.next_steps).toContain(
+      'Offer expanded carrier screening (consanguineous couple).',
+    );
+    expect(res.next_steps).toContain('Offer karyotype analysis to both partners.');
+  });
+
+  test('free-text mentions are detected too', () => {
+    const res = runDecisionEngine(
+      reproCase({
+        clinical_notes: 'Consanguineous couple. Two miscarriages. Partner is a carrier.',
+      }),
+    );
+    expect(res.suggested_flags).toEqual(
+      expect.arrayContaining([
+        'consanguinity',
+        'recurrent_pregnancy_loss',
+        'known_carrier',
+      ]),
+    );
+  });
+
+  test('missing info asks for consanguinity and ancestry', () => {
+    const res = runDecisionEngine(reproCase());
+    expect(res.missing_info).toEqual(
+      expect.arrayContaining([
+        'Consanguinity (are the partners related, and how?)',
+        'Ancestry of both partners',
+      ]),
+    );
+    expect(res.carrier_screening.strategy).toBe('standard');
+  });
+
+  test('Step 2: a carrier couple is recommended for referral', () => {
+    const res = runDecisionEngine(
+      reproCase({
+        carrier_status: [
+          {
+            partner: 'patient',
+            gene: 'CFTR',
+            condition: 'cystic fibrosis',
+            status: 'carrier',
+          },
+          { partner: 'partner', gene: 'CFTR', status: 'carrier' },
+        ],
+        confirmed_flags: ['carrier_couple_same_gene'],
+      }),
+    );
+    expect(getScore(res)).toBe(70);
+    expect(res.triage).toBe('recommended');
+    expect(res.carrier_screening.strategy).toBe('couple_at_risk');
+    expect(res.next_steps[0]).toBe(
+      'Couple at risk (25% per pregnancy) for: CFTR (cystic fibrosis).',
+    );
+  });
+
+  test('other pathways have no carrier-screening strategy', () => {
+    const res = runDecisionEngine(reproCase({ pathway: 'oncogenetics' }));
+    expect(res.carrier_screening).toBeNull();
+  });
+});
+
+describe('DARA decisionEngine — French notes and output language', () => {
+  test.each([
+    ['oncogenetics', 'Sa mère a eu un cancer du sein à 45 ans.', 'breast_cancer'],
+    ['oncogenetics', 'Tumeur avec perte d’expression de MSH2.', 'msi_high_dmmr'],
+    ['pediatric', 'Retard de développement et convulsions.', 'seizures'],
+    ['pediatric', 'Retard de développement et convulsions.', 'developmental_delay'],
+    ['prenatal', 'Clarté nucale augmentée à 12 SA.', 'increased_nt'],
+    ['prenatal', 'Mesure de la CN à 4,2 mm.', 'increased_nt'],
+    [
+      'cardiogenetics',
+      'Son frère est décédé subitement à 24 ans.',
+      'sudden_death_under_40',
+    ],
+    ['cardiogenetics', "Sur l'ECG de repos, QTc à 490 ms.", 'long_qt_or_brugada'],
+    ['reproductive', 'Couple consanguin avec deux fausses couches.', 'consanguinity'],
+  ])('%s: %s -> %s', (pathway, notes, flag) => {
+    const res = runDecisionEngine({
+      pathway,
+      patient_age: 30,
+      patient_sex: 'female',
+      chief_concern: 'Consultation',
+      clinical_notes: notes,
+    });
+    expect(res.suggested_flags).toContain(flag);
+    expect(res.language).toBe('fr');
+  });
+
+  test('French notes get French reasons, next steps, missing info and message', () => {
+    const res = runDecisionEngine({
+      pathway: 'pediatric',
+      chief_concern: 'Convulsions chez un enfant de 2 ans',
+      clinical_notes: 'Retard de développement.',
+    });
+    expect(res.language_detection).toMatchObject({ language: 'fr', source: 'detected' });
+    expect(res.reasons).toContain('Crises convulsives mentionnées.');
+    expect(res.next_steps).toContain(
+      'Envisager une orientation en consultation de génétique pédiatrique.',
+    );
+    expect(res.missing_info).toEqual(
+      expect.arrayContaining(['Âge du patient', 'Sexe du patient']),
+    );
+    expect(res.message).toBe(
+      "Veuillez confirmer les signaux d'alerte pertinents pour calculer un score et un triage.",
+    );
+  });
+
+  test('French negation: "pas de convulsions" is not suggested', () => {
+    const res = runDecisionEngine({
+      pathway: 'pediatric',
+      clinical_notes: 'Pas de convulsions. Retard de développement.',
+    });
+    expect(res.suggested_flags).not.toContain('seizures');
+    expect(res.suggested_flags).toContain('developmental_delay');
+  });
+
+  test('mixed-language notes match both dictionaries', () => {
+    const res = runDecisionEngine({
+      pathway: 'oncogenetics',
+      clinical_notes:
+        'Patiente avec un cancer du côlon à 44 ans. Her mother had endometrial cancer.',
+    });
+    expect(res.suggested_flags).toEqual(
+      expect.arrayContaining(['colorectal_cancer', 'endometrial_cancer']),
+    );
+    expect(res.language_detection.mixed).toBe(true);
+  });
+
+  test('an explicit language sets the output language of English notes', () => {
+    const res = runDecisionEngine({
+      pathway: 'cardiogenetics',
+      language: 'fr',
+      clinical_notes: 'Father has HCM.',
+      confirmed_flags: ['cardiomyopathy'],
+    });
+    expect(res.language_detection.source).toBe('explicit');
+    expect(res.next_steps).toContain(
+      "Recueillir les comptes rendus d'échocardiographie et d'IRM cardiaque.",
+    );
+    expect(res.disclaimer).toMatch(/^Cet outil/);
+  });
+
+  test('French reasons, pedigree and guideline criteria are fully in French', () => {
+    const res = runDecisionEngine({
+      pathway: 'oncogenetics',
+      language: 'fr',
+      family_history_summary: 'Mère : cancer du sein à 38 ans.',
+      relatives: [
+        { relation: 'mother', condition: 'cancer du sein', age_at_diagnosis: 38 },
+        { relation: 'maternal aunt', condition: "cancer de l'ovaire" },
+      ],
+    });
+    expect(res.reasons).toEqual(
+      expect.arrayContaining([
+        'Diagnostic précoce (cancer du sein) à 38 ans (seuil pour le cancer du sein : avant 50 ans).',
+        'Apparenté ayant eu un diagnostic de cancer avant 50 ans : mère (cancer du sein à 38 ans).',
+      ]),
+    );
+    expect(res.missing_info).toContain(
+      "Âge au diagnostic pour : tante côté maternel (cancer de l'ovaire)",
+    );
+    const [hboc] = res.guideline_criteria;
+    expect(hboc.name).toBe(
+      "Critères d'orientation du syndrome sein-ovaire héréditaire (HBOC)",
+    );
+    expect(hboc.criteria[0]).toEqual({
+      id: 'breast_cancer_by_45',
+      label:
+        'Cancer du sein diagnostiqué à 45 ans ou avant (patient(e) ou apparenté proche)',
+      status: 'met',
+      detail: 'mère (cancer du sein à 38 ans)',
+    });
+  });
+
+  test('English stays the default', () => {
+    const res = runDecisionEngine({ pathway: 'pediatric', clinical_notes: 'Seizures.' });
+    expect(res.language).toBe('en');
+    expect(res.reasons).toContain('Seizures mentioned.');
+  });
+});
+
+describe('DARA decisionEngine — per-pathway triage thresholds', () => {
+  const onco = (confirmed_flags) =>
+    runDecisionEngine({ pathway: 'oncogenetics', clinical_notes: '', confirmed_flags });
+  const prenatal = (confirmed_flags) =>
+    runDecisionEngine({
+      pathway: 'prenatal',
+      pregnancy_status: 'pregnant',
+      gestational_weeks: 12,
+      confirmed_flags,
+    });
+
+  test('the same score is triaged differently per pathway', () => {
+    // 40 points in both pathways
+    expect(onco(['early_onset_cancer']).triage).toBe('discuss');
+    expect(prenatal(['increased_nt']).triage).toBe('recommended');
+  });
+
+  test('prenatal has an urgent tier above recommended', () => {
+    const res = prenatal(['abnormal_ultrasound', 'positive_screening']);
+    expect(getScore(res)).toBeGreaterThanOrEqual(70);
+    expect(res.triage).toBe('urgent');
+    expect(res.next_steps[0]).toBe(
+      'Urgent referral: contact the genetics team without delay.',
+    );
+  });
+
+  test('the thresholds used are returned in both steps', () => {
+    const step1 = runDecisionEngine({ pathway: 'prenatal', clinical_notes: '' });
+    expect(step1.triage_thresholds).toEqual({
+      not_prioritized: 10,
+      recommended: 40,
+      urgent: 70,
+      max_score: 100,
+    });
+    expect(onco(['multiple_primaries']).triage_thresholds).toEqual({
+      not_prioritized: 20,
+      recommended: 70,
+      urgent: null,
+      max_score: 100,
+    });
+  });
+
+  test('the score cap and thresholds can be overridden by a pack', () => {
+    const pack = {
+      ...RULE_PACKS.oncogenetics,
+      triage: { not_prioritized: 10, recommended: 30, urgent: 45, max_score: 50 },
+    };
+    const res = runDecisionEngine(
+      {
+        pathway: 'oncogenetics',
+        confirmed_flags: ['early_onset_cancer', 'multiple_relatives_cancer'],
+      },
+      { rulePacks: { oncogenetics: pack } },
+    );
+    expect(getScore(res)).toBe(50);
+    expect(res.triage).toBe('urgent');
+  });
+
+  test('unknown pathways use the default thresholds', () => {
+    const res = runDecisionEngine({
+      pathway: 'invalid_pathway',
+      confirmed_flags: ['anything'],
+    });
+    expect(res.triage_thresholds).toEqual(DEFAULT_TRIAGE);
+  });
+});
+
+describe('DARA decisionEngine — prenatal urgency', () => {
+  const NOW = '2026-03-02T09:00:00Z';
+  function prenatalCase(overrides = {}) {
+    return {
+      pathway: 'prenatal',
+      patient_age: 36,
+      patient_sex: 'female',
+      chief_concern: 'Increased nuchal translucency',
+      pregnancy_status: 'pregnant',
+      gestational_weeks: 12,
+      clinical_notes: 'Increased nuchal translucency.',
+      ...overrides,
+    };
+  }
+
+  test('Step 1 returns the urgency with the next deadline', () => {
+    const res = runDecisionEngine(prenatalCase(), { now: NOW });
+    expect(res.urgency).toMatchObject({
+      level: 'high',
+      deadline: '2026-03-16',
+      days_remaining: 14,
+      window: { id: 'cvs' },
+    });
+    expect(res.created_at).toBe('2026-03-02T09:00:00.000Z');
+    expect(res.next_steps[0]).toBe(
+      'Chorionic villus sampling (CVS): deadline 2026-03-16 (14 days left).',
+    );
+  });
+
+  test('Step 2 keeps the urgency next to the triage', () => {
+    const res = runDecisionEngine(
+      prenatalCase({ gestational_weeks: 19, confirmed_flags: ['increased_nt'] }),
+      { now: NOW },
+    );
+    expect(res.triage).toBe('recommended');
+    expect(res.urgency).toMatchObject({
+      level: 'critical',
+      window: { id: 'amniocentesis' },
+    });
+  });
+
+  test('missing gestational age: unknown urgency', () => {
+    const res = runDecisionEngine(prenatalCase({ gestational_weeks: null }), {
+      now: NOW,
+    });
+    expect(res.urgency.level).toBe('unknown');
+    expect(res.missing_info).toContain(
+      'Gestational age (weeks, LMP, EDD or dating ultrasound)',
+    );
+  });
+
+  test('every window passed: the next step says so', () => {
+    const res = runDecisionEngine(prenatalCase({ gestational_weeks: 30 }), { now: NOW });
+    expect(res.urgency.level).toBe('passed');
+    expect(res.next_steps[0]).toMatch(/^All prenatal testing windows have passed/);
+  });
+
+  test('other pathways have no urgency', () => {
+    const res = runDecisionEngine(prenatalCase({ pathway: 'oncogenetics' }));
+    expect(res.urgency).toBeNull();
+  });
+});
+
+describe('DARA decisionEngine — gestational age dating', () => {
+  const NOW = '2026-03-02T09:00:00Z';
+  function pregnantCase(overrides = {}) {
+    return {
+      pathway: 'prenatal',
+      patient_age: 33,
+      patient_sex: 'female',
+      chief_concern: 'Dating scan',
+      pregnancy_status: 'pregnant',
+      clinical_notes: 'Increased nuchal translucency.',
+      ...overrides,
+    };
+  }
+
+  test('GA computed from the LMP drives the urgency', () => {
+    const res = runDecisionEngine(pregnantCase({ lmp_date: '2025-12-08' }), { now: NOW });
+    expect(res.gestational_age).toMatchObject({ label: '12+0', source: 'lmp' });
+    expect(res.urgency).toMatchObject({ gestational_weeks: 12, days_remaining: 14 });
+    expect(res.missing_info).not.toContain(
+      'Gestational age (weeks, LMP, EDD or dating ultrasound)',
+    );
+  });
+
+  test('weeks and days entered in the form are kept', () => {
+    const res = runDecisionEngine(
+      pregnantCase({ gestational_weeks: 12, gestational_days: 5 }),
+      { now: NOW },
+    );
+    expect(res.gestational_age.label).toBe('12+5');
+    expect(res.urgency.days_remaining).toBe(9);
+  });
+
+  test('mismatching sources are flagged in missing_info', () => {
+    const res = runDecisionEngine(
+      pregnantCase({
+        lmp_date: '2025-11-24',
+        ultrasound_date: '2026-02-20',
+        ultrasound_ga: '10+4',
+      }),
+      { now: NOW },
+    );
+    expect(res.missing_info).toContain(
+      'Gestational age mismatch: the LMP gives 14+0, the dating ultrasound gives 12+0 (14 days apart), check the dating',
+    );
+  });
+
+  test('invalid dates are flagged in missing_info', () => {
+    const res = runDecisionEngine(pregnantCase({ edd_date: '14/09/2026' }), { now: NOW });
+    expect(res.missing_info).toEqual(
+      expect.arrayContaining([
+        'Check the EDD: not a valid date (YYYY-MM-DD)',
+        'Gestational age (weeks, LMP, EDD or dating ultrasound)',
+      ]),
+    );
+  });
+
+  test('other pathways have no gestational age', () => {
+    const res = runDecisionEngine({ pathway: 'pediatric', lmp_date: '2025-12-08' });
+    expect(res.gestational_age).toBeNull();
+  });
+});
+
+describe('DARA decisionEngine — follow-up questions', () => {
+  test('Step 1 asks the questions of the suggested flags', () => {
+    const res = runDecisionEngine({
+      pathway: 'pediatric',
+      clinical_notes: 'Seizures since infancy.',
+    });
+    expect(res.follow_up_questions.map((q) => q.field)).toEqual(
+      expect.arrayContaining(['seizure_onset_age', 'eeg_result', 'brain_mri_result']),
+    );
+    expect(res.follow_up_answers).toEqual([]);
+  });
+
+  test('answers are returned and invalid ones reported in missing_info', () => {
+    const res = runDecisionEngine({
+      pathway: 'oncogenetics',
+      clinical_notes: 'Breast cancer and ovarian cancer in the family.',
+      follow_up_answers: { youngest_age_at_diagnosis: '38', lineage_side: 'left' },
+    });
+    expect(res.follow_up_answers).toEqual([
+      {
+        field: 'youngest_age_at_diagnosis',
+        question: 'Youngest age at diagnosis of breast or ovarian cancer in the family',
+        answer: 38,
+      },
+    ]);
+    expect(res.follow_up_questions.map((q) => q.field)).toEqual([
+      'lineage_side',
+      'breast_receptor_status',
+    ]);
+    expect(res.missing_info).toContain(
+      'Invalid answer, please check: Side of the family of the affected relatives',
+    );
+  });
+
+  test('Step 2 follows the confirmed flags only', () => {
+    const res = runDecisionEngine({
+      pathway: 'cardiogenetics',
+      clinical_notes: 'QTc 490 ms. Father has HCM.',
+      confirmed_flags: ['long_qt_or_brugada'],
+    });
+    expect(res.follow_up_questions.map((q) => q.field)).toEqual(['qtc_ms']);
+  });
+});
+
+describe('DARA decisionEngine — score breakdown', () => {
+  const onco = (confirmed_flags) =>
+    runDecisionEngine({ pathway: 'oncogenetics', clinical_notes: '', confirmed_flags });
+
+  test('lists what each confirmed flag adds and where it comes from', () => {
+    const res = onco([
+      'early_onset_cancer',
+      'pancreatic_cancer',
+      'melanoma',
+      'relative_diagnosed_under_50',
+    ]);
+    const { contributions } = res.score_breakdown;
+    expect(contributions.map((c) => [c.flag, c.weight, c.source])).toEqual([
+      ['early_onset_cancer', 40, 'rules'],
+      ['melanoma', 10, 'rules'],
+      ['relative_diagnosed_under_50', 40, 'relative_rules'],
+      ['pancreatic_cancer', 45, 'extra_flags'],
+      ['pancreas_melanoma_pattern', 5, 'combination'],
+    ]);
+    expect(contributions[0].reason).toEqual(expect.any(String));
+  });
+
+  test('reports the score cap', () => {
+    const res = onco(['early_onset_cancer', 'msi_high_dmmr', 'pancreatic_cancer']);
+    expect(getScore(res)).toBe(100);
+    expect(res.score_breakdown).toMatchObject({
+      raw_score: 135,
+      max_score: 100,
+      cap_applied: true,
+      capped_points: 35,
+      next_tier: null,
+    });
+  });
+
+  test('reports confirmed flags the pack does not know', () => {
+    const res = onco(['early_onset_cancer', 'made_up_flag', 'made_up_flag']);
+    expect(getScore(res)).toBe(40);
+    expect(res.score_breakdown.ignored_flags).toEqual(['made_up_flag']);
+    expect(res.score_breakdown.cap_applied).toBe(false);
+  });
+
+  test('gives the points needed to reach the next tier', () => {
+    expect(onco(['early_onset_cancer']).score_breakdown.next_tier).toEqual({
+      tier: 'recommended',
+      threshold: 70,
+      points_needed: 30,
+    });
+    expect(onco(['gastric_cancer']).score_breakdown.next_tier).toEqual({
+      tier: 'discuss',
+      threshold: 21,
+      points_needed: 1,
+    });
+    const prenatal = runDecisionEngine({
+      pathway: 'prenatal',
+      pregnancy_status: 'pregnant',
+      gestational_weeks: 12,
+      confirmed_flags: ['abnormal_ultrasound'],
+    });
+    expect(prenatal.score_breakdown.next_tier).toEqual({
+      tier: 'urgent',
+      threshold: 70,
+      points_needed: 20,
+    });
+  });
+
+  test('is null in Step 1', () => {
+    const res = runDecisionEngine({ pathway: 'oncogenetics', clinical_notes: '' });
+    expect(res.score_breakdown).toBeNull();
+  });
+});
+
+describe('DARA decisionEngine — combination rules', () => {
+  const onco = (extra) =>
+    runDecisionEngine({ pathway: 'oncogenetics', clinical_notes: '', ...extra });
+
+  test('confirmed flags that form a combination add its weight and reason', () => {
+    const res = onco({ confirmed_flags: ['breast_cancer', 'ovarian_cancer'] });
+    expect(getScore(res)).toBe(70);
+    expect(res.triage).toBe('recommended');
+    expect(res.combinations).toEqual([
+      expect.objectContaining({
+        id: 'breast_and_ovarian_pattern',
+        weight: 10,
+        flags: ['breast_cancer', 'ovarian_cancer'],
+      }),
+    ]);
+    expect(res.score_breakdown.contributions).toContainEqual(
+      expect.objectContaining({
+        flag: 'breast_and_ovarian_pattern',
+        weight: 10,
+        source: 'combination',
+      }),
+    );
+    expect(res.reasons).toContain(res.combinations[0].reason);
+  });
+
+  test('one flag of the pair is not enough', () => {
+    const res = onco({ confirmed_flags: ['breast_cancer'] });
+    expect(getScore(res)).toBe(30);
+    expect(res.combinations).toEqual([]);
+  });
+
+  test('Step 1 reports the combinations formed by the suggested flags', () => {
+    const res = onco({
+      family_history_summary: 'Father had pancreatic cancer, his brother a melanoma.',
+    });
+    expect(res.suggested_flags).toEqual(
+      expect.arrayContaining(['pancreatic_cancer', 'melanoma']),
+    );
+    expect(res.combinations.map((c) => c.id)).toEqual(['pancreas_melanoma_pattern']);
+    expect(res.reasons.join(' ')).toMatch(/CDKN2A/);
+  });
+
+  test('combinations attach their own next steps', () => {
+    const res = onco({ confirmed_flags: ['colorectal_cancer', 'endometrial_cancer'] });
+    expect(res.next_steps.join(' ')).toMatch(/Amsterdam II criteria/);
+  });
+
+  // Scores of these payloads before rules 1.8.0, when the combinations were flags
+  test.each([
+    [['breast_and_ovarian_pattern'], 30],
+    [['pancreas_melanoma_pattern'], 15],
+    [['pancreatic_cancer', 'pancreas_melanoma_pattern'], 60],
+    [['colorectal_endometrial_pattern'], 25],
+    [['early_onset_cancer', 'breast_and_ovarian_pattern'], 70],
+  ])('a former flag id %j keeps its former score', (confirmed_flags, score) => {
+    const res = onco({ confirmed_flags });
+    expect(getScore(res)).toBe(score);
+    expect(res.used_flags).toEqual(confirmed_flags);
+    expect(res.combinations).toEqual([]);
+    expect(res.score_breakdown.ignored_flags).toEqual([]);
+  });
+
+  test('a former flag id is scored as one flag, not as the flags it combines', () => {
+    const res = onco({ confirmed_flags: ['breast_and_ovarian_pattern'] });
+    expect(res.score_breakdown.contributions).toEqual([
+      expect.objectContaining({
+        flag: 'breast_and_ovarian_pattern',
+        weight: 30,
+        source: 'legacy_combination',
+      }),
+    ]);
+
+    // sent with the flags it combines: only the combination counts
+    const both = onco({
+      confirmed_flags: ['breast_cancer', 'ovarian_cancer', 'breast_and_ovarian_pattern'],
+    });
+    expect(getScore(both)).toBe(70);
+  });
+
+  test('breast and pancreas + melanoma mentions score as before rules 1.8.0', () => {
+    const scoreOf = (family_history_summary) => {
+      const step1 = onco({ family_history_summary });
+      const confirmed_flags = step1.suggested_flags;
+      return getScore(onco({ family_history_summary, confirmed_flags }));
+    };
+    expect(scoreOf('Mother with breast cancer.')).toBe(30);
+    expect(scoreOf('Father had pancreatic cancer, his brother a melanoma.')).toBe(60);
+  });
+
+  test('pediatric: seizures + delay + dysmorphism in a child', () => {
+    const confirmed_flags = ['seizures', 'developmental_delay', 'congenital_anomalies'];
+    const child = runDecisionEngine({
+      pathway: 'pediatric',
+      patient_age: 4,
+      confirmed_flags,
+    });
+    expect(child.combinations.map((c) => c.id)).toEqual(['seizures_delay_dysmorphism']);
+    const adult = runDecisionEngine({
+      pathway: 'pediatric',
+      patient_age: 30,
+      confirmed_flags,
+    });
+    expect(adult.combinations).toEqual([]);
+  });
+
+  test('sex conditions and N-of-set combinations from the pack', () => {
+    const pack = {
+      ...RULE_PACKS.oncogenetics,
+      combinations: [
+        {
+          id: 'lynch_spectrum_two_of',
+          weight: 15,
+          flags: ['colorectal_cancer', 'endometrial_cancer', 'gastric_cancer'],
+          min_count: 2,
+          sex: ['female'],
+          reason: 'Two Lynch-spectrum cancers.',
+        },
+      ],
+    };
+    const run = (patient_sex) =>
+      runDecisionEngine(
+        {
+          pathway: 'oncogenetics',
+          patient_sex,
+          confirmed_flags: ['gastric_cancer', 'colorectal_cancer'],
+        },
+        { rulePacks: { oncogenetics: pack } },
+      );
+    expect(getScore(run('female'))).toBe(65);
+    expect(getScore(run('male'))).toBe(50);
+  });
+
+  test('French reason for a combination', () => {
+    const res = onco({
+      language: 'fr',
+      confirmed_flags: ['breast_cancer', 'ovarian_cancer'],
+    });
+    expect(res.combinations[0].reason).toMatch(/cancer de l'ovaire/);
+  });
+});
+
+describe('DARA decisionEngine — physician-added flags', () => {
+  test('splits used flags into auto-suggested and physician-added', () => {
+    const res = runDecisionEngine({
+      pathway: 'oncogenetics',
+      clinical_notes: 'Colon cancer at 62.',
+      confirmed_flags: ['colorectal_cancer', 'msi_high_dmmr', 'made_up_flag'],
+    });
+    expect(res.used_flag_origins).toEqual({
+      auto_suggested: ['colorectal_cancer'],
+      physician_added: ['msi_high_dmmr'],
+    });
+    // Added flags are scored like the others, unknown ones are ignored
+    expect(getScore(res)).toBe(80);
+    expect(res.score_breakdown.ignored_flags).toEqual(['made_up_flag']);
+    expect(res.reasons).toContain(
+      `Added by the physician: ${RULE_PACKS.oncogenetics.rules.find((r) => r.id === 'msi_high_dmmr').reason}`,
+    );
+  });
+
+  test('a case with no suggestion can be scored from added flags', () => {
+    const res = runDecisionEngine({
+      pathway: 'pediatric',
+      clinical_notes: '',
+      confirmed_flags: ['seizures'],
+    });
+    expect(res.triage).not.toBe('pending_confirmation');
+    expect(res.used_flag_origins.physician_added).toEqual(['seizures']);
+  });
+
+  test('Step 1 has no used flags yet', () => {
+    const res = runDecisionEngine({ pathway: 'oncogenetics', clinical_notes: '' });
+    expect(res.used_flag_origins).toEqual({ auto_suggested: [], physician_added: [] });
+  });
+});
+
+describe('DARA decisionEngine — known family variant, personal history, completeness', () => {
+  const onco = (extra) =>
+    runDecisionEngine({
+      pathway: 'oncogenetics',
+      patient_age: 42,
+      patient_sex: 'female',
+      chief_concern: 'Family history of cancer',
+      clinical_notes: '',
+      family_history_summary: 'Mother: breast cancer.',
+      ...extra,
+    });
+
+  test('a known familial variant suggests cascade testing with its details', () => {
+    const res = onco({
+      known_family_variant: { status: 'yes', gene: 'BRCA1', details: 'c.68_69del' },
+    });
+    expect(res.suggested_flags).toContain('known_family_variant');
+    expect(res.known_family_variant).toEqual({
+      status: 'yes',
+      details: 'BRCA1 c.68_69del',
+    });
+    expect(res.reasons).toContain('Familial variant: BRCA1 c.68_69del.');
+    expect(res.evidence).toContainEqual(
+      expect.objectContaining({
+        flag: 'known_family_variant',
+        field: 'known_family_variant',
+        text: 'BRCA1 c.68_69del',
+      }),
+    );
+    expect(res.next_steps.join(' ')).toMatch(/Cascade testing/);
+  });
+
+  test('the cascade-testing flag alone makes the referral recommended', () => {
+    const res = onco({
+      known_family_variant: { status: 'yes', details: 'BRCA2' },
+      confirmed_flags: ['known_family_variant'],
+    });
+    expect(getScore(res)).toBe(70);
+    expect(res.triage).toBe('recommended');
+  });
+
+  test('prenatal: a known familial variant is urgent and points to prenatal diagnosis', () => {
+    const res = runDecisionEngine({
+      pathway: 'prenatal',
+      pregnancy_status: 'pregnant',
+      gestational_weeks: 11,
+      known_family_variant: { status: 'yes', details: 'CFTR F508del' },
+      confirmed_flags: ['known_family_variant'],
+    });
+    expect(res.triage).toBe('urgent');
+    expect(res.next_steps.join(' ')).toMatch(
+      /Prenatal diagnosis of the familial variant/,
+    );
+  });
+
+  test('missing variant report, or unknown testing status in the family', () => {
+    expect(onco({ known_family_variant: { status: 'yes' } }).missing_info).toContain(
+      'Familial variant report (gene, variant and laboratory report of the tested relative)',
+    );
+    expect(onco({ known_family_variant: { status: 'unknown' } }).missing_info).toContain(
+      'Genetic testing in the family (is a familial variant known?)',
+    );
+    const no = onco({ known_family_variant: { status: 'no', details: '' } });
+    expect(no.suggested_flags).not.toContain('known_family_variant');
+    expect(no.missing_info.join(' ')).not.toMatch(/familial variant/i);
+  });
+
+  test('personal history flags drive their rules directly', () => {
+    const res = runDecisionEngine({
+      pathway: 'pediatric',
+      patient_age: 4,
+      clinical_notes: '',
+      personal_history_flags: ['developmental_delay', 'Seizures', 'autism'],
+      personal_history_details: 'Treated with valproate.',
+    });
+    expect(res.suggested_flags).toEqual(
+      expect.arrayContaining(['developmental_delay', 'seizures']),
+    );
+    expect(res.evidence).toContainEqual(
+      expect.objectContaining({
+        flag: 'seizures',
+        field: 'personal_history_flags',
+        index: 1,
+      }),
+    );
+    expect(res.missing_info).toContain(
+      'Personal history flags not recognized in this pathway (describe them in the clinical notes): autism',
+    );
+  });
+
+  test('personal history details are searched like the clinical notes', () => {
+    const res = onco({ personal_history_details: 'Colon cancer at 62, MSI-high.' });
+    expect(res.evidence).toContainEqual(
+      expect.objectContaining({
+        flag: 'msi_high_dmmr',
+        field: 'personal_history_details',
+      }),
+    );
+  });
+
+  test('declared completeness is checked against the missing items', () => {
+    const high = onco({
+      data_completeness_level: 'high',
+      patient_sex: 'unknown',
+      family_history_summary: '',
+    });
+    expect(high.data_completeness).toEqual({
+      declared: 'high',
+      assessed: 'medium',
+      missing_items: 2,
+    });
+    expect(high.missing_info).toEqual([
+      'Patient sex',
+      'Family history summary',
+      'Data completeness declared high, but 2 items are missing',
+    ]);
+    expect(onco({ data_completeness_level: 'high' }).missing_info).toEqual([]);
+    expect(
+      onco({ data_completeness_level: 'high', family_history_summary: '' }).missing_info,
+    ).toContain('Data completeness declared high, but 1 item is missing');
+
+    const low = onco({ data_completeness_level: 'low' });
+    expect(low.missing_info[0]).toMatch(/marked as incomplete/);
+
+    const none = onco({});
+    expect(none.data_completeness.declared).toBeNull();
+    expect(none.missing_info.join(' ')).not.toMatch(/completeness/);
+  });
+});
@@ -0,0 +1,91 @@
+import { evaluateFollowUp, validateAnswer } from '../followUp.js';
+import { RULE_PACKS } from '../rulePacks.js';
+
+const ONCO = RULE_PACKS.oncogenetics.questions;
+const PEDIATRIC = RULE_PACKS.pediatric.questions;
+
+function fields(result) {
+  return result.questions.map((q) => q.field);
+}
+
+describe('DARA follow-up — answer validation', () => {
+  const number = { answer_type: 'number', min: 0, max: 120 };
+  const choice = {
+    answer_type: 'choice',
+    options: [
+      { value: 'normal', label: 'Normal' },
+      { value: 'abnormal', label: 'Abnormal' },
+    ],
+  };
+
+  test.each([
+    [number, '42', { value: 42 }],
+    [number, '4,5', { value: 4.5 }],
+    [number, 150, { error: 'range' }],
+    [number, 'forty', { error: 'number' }],
+    [{ answer_type: 'boolean' }, 'yes', { value: true }],
+    [{ answer_type: 'boolean' }, 'non', { value: false }],
+    [{ answer_type: 'boolean' }, 'maybe', { error: 'boolean' }],
+    [{ answer_type: 'date' }, '2026-01-31', { value: '2026-01-31' }],
+    [{ answer_type: 'date' }, '31/01/2026', { error: 'date' }],
+    [choice, 'abnormal', { value: 'abnormal' }],
+    [choice, 'weird', { error: 'option' }],
+    [{ ...choice, answer_type: 'multi_choice' }, ['normal'], { value: ['normal'] }],
+    [{ answer_type: 'text' }, '  heart and kidneys ', { value: 'heart and kidneys' }],
+  ])('%j: %j -> %j', (question, raw, expected) => {
+    expect(validateAnswer(question, raw)).toEqual(expected);
+  });
+});
+
+describe('DARA follow-up — questions of the flags', () => {
+  test('breast cancer asks for age, lineage side and receptor status', () => {
+    const res = evaluateFollowUp(ONCO, ['breast_cancer']);
+    expect(fields(res)).toEqual([
+      'youngest_age_at_diagnosis',
+      'lineage_side',
+      'breast_receptor_status',
+    ]);
+    expect(res.questions[0]).toMatchObject({
+      answer_type: 'number',
+      unit: 'years',
+      flags: ['breast_cancer'],
+    });
+    expect(res.questions[1].options.map((o) => o.value)).toEqual([
+      'maternal',
+      'paternal',
+      'both',
+      'unknown',
+    ]);
+  });
+
+  test('seizures ask for onset age, EEG and MRI', () => {
+    const res = evaluateFollowUp(PEDIATRIC, ['seizures']);
+    expect(fields(res)).toEqual(
+      expect.arrayContaining(['seizure_onset_age', 'eeg_result', 'brain_mri_result']),
+    );
+  });
+
+  test('no flag, no question', () => {
+    expect(evaluateFollowUp(ONCO, []).questions).toEqual([]);
+  });
+
+  test('answered questions are not asked again; invalid answers are', () => {
+    const res = evaluateFollowUp(PEDIATRIC, ['seizures'], {
+      seizure_onset_age: 14,
+      eeg_result: 'maybe',
+    });
+    expect(fields(res)).not.toContain('seizure_onset_age');
+    expect(res.questions.find((q) => q.field === 'eeg_result').error).toBe('option');
+    expect(res.answers).toEqual([
+      { field: 'seizure_onset_age', question: 'Age at seizure onset', answer: 14 },
+    ]);
+    expect(res.invalid.map((i) => i.field)).toEqual(['eeg_result']);
+  });
+
+  test('questions and option labels follow the output language', () => {
+    const res = evaluateFollowUp(PEDIATRIC, ['seizures'], {}, 'fr');
+    const eeg = res.questions.find((q) => q.field === 'eeg_result');
+    expect(eeg.question).toBe("Résultat de l'EEG");
+    expect(eeg.options.map((o) => o.label)).toEqual(['Normal', 'Anormal', 'Non réalisé']);
+  });
+});
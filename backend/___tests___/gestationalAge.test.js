@@ -0,0 +1,117 @@
+import {
+  evaluateGestationalAge,
+  formatGestationalAge,
+  parseDate,
+  parseGestationalAge,
+} from '../gestationalAge.js';
+
+const TODAY = new Date('2026-03-02T15:30:00Z');
+
+function dating(payload) {
+  return evaluateGestationalAge(payload, TODAY);
+}
+
+describe('DARA gestational age — parsing', () => {
+  test.each([
+    [12, undefined, 84],
+    [12.5, undefined, 88],
+    ['12', undefined, 84],
+    ['12+3', undefined, 87],
+    ['12w3d', undefined, 87],
+    ['12 weeks 3 days', undefined, 87],
+    ['12 SA 3 j', undefined, 87],
+    ['12', 3, 87],
+    ['12', '6', 90],
+    ['12', 9, null],
+    ['twelve', undefined, null],
+    [50, undefined, null],
+    ['', undefined, null],
+  ])('%j + %j days -> %j', (value, days, expected) => {
+    expect(parseGestationalAge(value, days)).toBe(expected);
+  });
+
+  test('dates must be valid ISO dates', () => {
+    expect(parseDate('2026-02-28')?.toISOString()).toBe('2026-02-28T00:00:00.000Z');
+    expect(parseDate('2026-02-30')).toBeNull();
+    expect(parseDate('28/02/2026')).toBeNull();
+  });
+
+  test('weeks+days label', () => {
+    expect(formatGestationalAge(87)).toBe('12+3');
+    expect(formatGestationalAge(84)).toBe('12+0');
+  });
+});
+
+describe('DARA gestational age — dating sources', () => {
+  test('no dating input: null', () => {
+    expect(dating({ pathway: 'prenatal' })).toBeNull();
+  });
+
+  test('LMP: days since the last menstrual period', () => {
+    const ga = dating({ lmp_date: '2025-12-08' });
+    expect(ga).toMatchObject({
+      weeks: 12,
+      days: 0,
+      total_days: 84,
+      label: '12+0',
+      source: 'lmp',
+      edd: '2026-09-14',
+    });
+  });
+
+  test('EDD: 280 days minus the days left', () => {
+    expect(dating({ edd_date: '2026-09-14' })).toMatchObject({
+      label: '12+0',
+      source: 'edd',
+    });
+  });
+
+  test('dating ultrasound: measured GA plus the days since the scan', () => {
+    const ga = dating({ ultrasound_date: '2026-02-20', ultrasound_ga: '10+4' });
+    expect(ga).toMatchObject({ label: '12+0', source: 'ultrasound' });
+  });
+
+  test('the ultrasound wins over LMP, and a mismatch above 7 days is reported', () => {
+    const ga = dating({
+      lmp_date: '2025-11-24',
+      ultrasound_date: '2026-02-20',
+      ultrasound_ga: '10+4',
+      gestational_weeks: 12,
+    });
+    expect(ga.source).toBe('ultrasound');
+    expect(ga.estimates.map((e) => [e.source, e.label])).toEqual([
+      ['ultrasound', '12+0'],
+      ['lmp', '14+0'],
+      ['entered', '12+0'],
+    ]);
+    expect(ga.mismatches).toEqual([
+      { source: 'lmp', label: '14+0', difference_days: 14 },
+    ]);
+  });
+
+  test('differences of 7 days or less are accepted', () => {
+    const ga = dating({ lmp_date: '2025-12-01', gestational_weeks: 12 });
+    expect(ga.mismatches).toEqual([]);
+  });
+
+  test('invalid inputs are listed and skipped', () => {
+    const ga = dating({
+      lmp_date: '2026-04-01',
+      edd_date: 'soon',
+      ultrasound_date: '2026-02-20',
+      gestational_weeks: '12+3',
+    });
+    expect(ga.invalid).toEqual([
+      { field: 'ultrasound', problem: 'incomplete' },
+      { field: 'edd_date', problem: 'invalid_date' },
+      { field: 'lmp_date', problem: 'future' },
+    ]);
+    expect(ga).toMatchObject({ source: 'entered', label: '12+3' });
+  });
+
+  test('nothing usable: no gestational age, only problems', () => {
+    const ga = dating({ lmp_date: '2024-01-01' });
+    expect(ga).toMatchObject({ total_days: null, source: null });
+    expect(ga.invalid).toEqual([{ field: 'lmp_date', problem: 'out_of_range' }]);
+  });
+});
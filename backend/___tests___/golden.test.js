@@ -0,0 +1,178 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+  checkGoldenCase,
+  diffRuleChange,
+  formatDiffReport,
+  loadGoldenCases,
+  main,
+  replayCase,
+  runGoldenCorpus,
+} from '../golden.js';
+import { RULE_PACKS } from '../rulePacks.js';
+
+const CASES = loadGoldenCases();
+
+const PEDIATRIC = {
+  id: 'pediatric_case',
+  description: 'Seizures and developmental delay.',
+  payload: {
+    pathway: 'pediatric',
+    clinical_notes: 'Seizures and global developmental delay.',
+  },
+  confirmed_flags: ['seizures', 'developmental_delay'],
+  expected: {
+    suggested_flags: ['seizures', 'developmental_delay'],
+    triage: 'recommended',
+    priority_score: 70,
+  },
+};
+
+// Current packs with one pediatric rule edited
+function editedPediatric(edit) {
+  const pediatric = structuredClone(RULE_PACKS.pediatric);
+  edit(pediatric);
+  return { ...RULE_PACKS, pediatric: { ...pediatric, version: '9.9.9' } };
+}
+
+function writeCases(cases) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dara-golden-'));
+  cases.forEach((c, i) => {
+    fs.writeFileSync(path.join(dir, `${i}.json`), JSON.stringify(c));
+  });
+  return dir;
+}
+
+describe('DARA golden corpus', () => {
+  test('covers every pathway, Step 1 and Step 2', () => {
+    const pathways = new Set(CASES.map((c) => c.payload.pathway));
+    expect([...pathways].sort()).toEqual(Object.keys(RULE_PACKS).sort());
+    expect(CASES.some((c) => !c.confirmed_flags)).toBe(true);
+    expect(CASES.filter((c) => c.example).length).toBe(3);
+  });
+
+  test.each(CASES.map((c) => [c.id, c]))('%s', (_, goldenCase) => {
+    expect(checkGoldenCase(goldenCase, replayCase(goldenCase))).toEqual([]);
+  });
+});
+
+describe('DARA golden — runner', () => {
+  test('flags are compared as sets, score and triage exactly', () => {
+    const result = replayCase(PEDIATRIC);
+    expect(checkGoldenCase(PEDIATRIC, result)).toEqual([]);
+
+    const wrong = {
+      ...PEDIATRIC,
+      expected: { suggested_flags: ['seizures'], triage: 'urgent', priority_score: 70 },
+    };
+    expect(checkGoldenCase(wrong, result)).toEqual([
+      {
+        field: 'suggested_flags',
+        expected: ['seizures'],
+        actual: ['developmental_delay', 'seizures'],
+      },
+      { field: 'triage', expected: 'urgent', actual: 'recommended' },
+    ]);
+  });
+
+  test('response example fields are checked, case_id and created_at aside', () => {
+    const example = {
+      case_id: 'ped_001',
+      created_at: '2020-01-01T00:00:00Z',
+      triage: 'recommended',
+      priority_score: 78,
+    };
+    expect(checkGoldenCase({ ...PEDIATRIC, example }, replayCase(PEDIATRIC))).toEqual([
+      { field: 'response_example.priority_score', expected: 78, actual: 70 },
+    ]);
+  });
+
+  test('corpus run counts the failing cases', () => {
+    const failing = { ...PEDIATRIC, id: 'failing', expected: { triage: 'discuss' } };
+    const run = runGoldenCorpus([PEDIATRIC, failing]);
+    expect(run).toMatchObject({ total: 2, passed: 1, failed: 1 });
+    expect(run.cases[1]).toMatchObject({ id: 'failing', passed: false });
+  });
+
+  test('invalid cases and duplicate ids are rejected', () => {
+    const noPayload = {
+      id: 'x',
+      description: 'No payload.',
+      expected: { triage: 'urgent' },
+    };
+    expect(() => loadGoldenCases(writeCases([noPayload]))).toThrow('Invalid golden case');
+    expect(() => loadGoldenCases(writeCases([PEDIATRIC, PEDIATRIC]))).toThrow(
+      'id "pediatric_case" is used twice',
+    );
+  });
+});
+
+describe('DARA golden — rule change diff', () => {
+  test('same rules: nothing changed', () => {
+    const diff = diffRuleChange(CASES, RULE_PACKS);
+    expect(diff.summary).toMatchObject({ total: CASES.length, changed: 0 });
+    expect(formatDiffReport(diff)).toContain('No case changed.');
+  });
+
+  test('a threshold edit moves the triage tier', () => {
+    const baseline = editedPediatric((p) => {
+      p.triage.recommended = 80;
+    });
+    const diff = diffRuleChange([PEDIATRIC], baseline);
+    expect(diff.cases[0]).toMatchObject({
+      changed: true,
+      rules_version: { baseline: '9.9.9', current: RULE_PACKS.pediatric.version },
+      score: { baseline: 70, current: 70, change: 0 },
+      triage: { baseline: 'discuss', current: 'recommended', change: 'up' },
+    });
+    expect(diff.summary).toMatchObject({ changed: 1, triage_up: 1, triage_down: 0 });
+  });
+
+  test('a pattern edit changes the flags and the score', () => {
+    const current = editedPediatric((p) => {
+      p.rules = p.rules.filter((r) => r.id !== 'seizures');
+    });
+    const diff = diffRuleChange([PEDIATRIC], RULE_PACKS, current);
+    expect(diff.cases[0]).toMatchObject({
+      flags_added: [],
+      flags_removed: ['seizures'],
+      score: { baseline: 70, current: 35, change: -35 },
+      triage: { baseline: 'recommended', current: 'discuss', change: 'down' },
+    });
+
+    const report = formatDiffReport(diff);
+    expect(report).toContain(`rules ${RULE_PACKS.pediatric.version} -> 9.9.9`);
+    expect(report).toContain('- flags: seizures');
+    expect(report).toContain('score: 70 -> 35 (-35)');
+    expect(report).toContain('triage: recommended -> discuss (down)');
+  });
+});
+
+describe('DARA golden — command line', () => {
+  function run(argv) {
+    const out = [];
+    const err = [];
+    const code = main(argv, { out: (t) => out.push(t), err: (t) => err.push(t) });
+    return { code, out: out.join('\n'), err: err.join('\n') };
+  }
+
+  test('exit code 0 when the corpus passes, 1 when a case fails', () => {
+    const passing = run([]);
+    expect(passing.code).toBe(0);
+    expect(passing.out).toContain(
+      `${CASES.length}/${CASES.length} golden case(s) passed.`,
+    );
+
+    const failing = { ...PEDIATRIC, expected: { triage: 'urgent' } };
+    const { code, out } = run(['--dir', writeCases([failing])]);
+    expect(code).toBe(1);
+    expect(out).toContain('triage: expected "urgent", got "recommended"');
+  });
+
+  test('usage and corpus errors exit with 2', () => {
+    expect(run(['--baseline']).code).toBe(2);
+    expect(run(['--dir', 'no_such_dir']).err).toContain('golden:');
+  });
+});
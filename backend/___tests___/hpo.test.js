@@ -0,0 +1,155 @@
+import {
+  HPO,
+  normalizeHpoId,
+  hpoAncestors,
+  isHpoDescendant,
+  resolveHpoTerms,
+  matchHpoRules,
+} from '../hpo.js';
+import { RULE_PACKS } from '../rulePacks.js';
+import { runDecisionEngine } from '../decisionEngine.js';
+
+// Tiny ontology to test obsolete IDs without depending on the bundled data
+const ONTOLOGY = {
+  terms: {
+    'HP:0000001': { name: 'All', parents: [] },
+    'HP:0001250': { name: 'Seizure', parents: ['HP:0000001'] },
+    'HP:0007359': { name: 'Focal-onset seizure', parents: ['HP:0001250'] },
+  },
+  obsolete: {
+    'HP:0000002': { name: 'Old seizure term', replaced_by: 'HP:0001250' },
+  },
+};
+
+function pediatricCase(hpo_terms, overrides = {}) {
+  return {
+    pathway: 'pediatric',
+    patient_age: 4,
+    patient_sex: 'male',
+    chief_concern: 'Evaluation',
+    hpo_terms,
+    ...overrides,
+  };
+}
+
+describe('DARA HPO — IDs and ontology', () => {
+  test.each([
+    ['HP:0001250', 'HP:0001250'],
+    ['hp_1250', 'HP:0001250'],
+    ['HP:0001250 (Seizure)', 'HP:0001250'],
+    ['seizures', null],
+    ['HP:12AB', null],
+  ])('normalizeHpoId(%s)', (input, expected) => {
+    expect(normalizeHpoId(input)).toBe(expected);
+  });
+
+  test('ancestors follow is_a links up to the root', () => {
+    const ancestors = hpoAncestors('HP:0002069');
+    expect(ancestors.has('HP:0002197')).toBe(true);
+    expect(ancestors.has('HP:0001250')).toBe(true);
+    expect(ancestors.has('HP:0000001')).toBe(true);
+    expect(isHpoDescendant('HP:0002069', 'HP:0001250')).toBe(true);
+    expect(isHpoDescendant('HP:0001250', 'HP:0002069')).toBe(false);
+  });
+
+  test('every parent in the bundled subset is itself a term', () => {
+    for (const term of Object.values(HPO.terms)) {
+      for (const parent of term.parents) {
+        expect(HPO.terms[parent]).toBeDefined();
+      }
+    }
+  });
+
+  test('entries are split into known, malformed, not bundled and obsolete; plain words are skipped', () => {
+    const out = resolveHpoTerms(
+      ['HP:0007359', 'HP:9999999', 'HP:0000002', 'seizures', 'HP:12AB'],
+      ONTOLOGY,
+    );
+
+    expect(out.terms).toEqual([
+      { index: 0, input: 'HP:0007359', id: 'HP:0007359', name: 'Focal-onset seizure' },
+    ]);
+    expect(out.not_bundled.map((t) => t.id)).toEqual(['HP:9999999']);
+    expect(out.malformed.map((t) => t.input)).toEqual(['HP:12AB']);
+    expect(out.obsolete[0]).toMatchObject({
+      id: 'HP:0000002',
+      replaced_by: 'HP:0001250',
+    });
+  });
+
+  test('rules are matched through descendants', () => {
+    const { terms } = resolveHpoTerms(['HP:0007359'], ONTOLOGY);
+    const rules = [{ id: 'seizures', hpo: ['HP:0001250'] }, { id: 'other' }];
+
+    const hits = matchHpoRules(terms, rules, ONTOLOGY);
+    expect(hits).toHaveLength(1);
+    expect(hits[0]).toMatchObject({ rule: { id: 'seizures' }, via: 'HP:0001250' });
+  });
+
+  test('every obsolete ID of the bundled subset is replaced by a bundled term', () => {
+    const obsolete = Object.entries(HPO.obsolete);
+    expect(obsolete.length).toBeGreaterThan(0);
+    for (const [id, { replaced_by }] of obsolete) {
+      expect(HPO.terms[id]).toBeUndefined();
+      expect(HPO.terms[replaced_by]).toBeDefined();
+    }
+  });
+
+  test('pediatric pack maps to seizures, developmental delay and congenital anomalies', () => {
+    const ids = RULE_PACKS.pediatric.rules.filter((r) => r.hpo).map((r) => r.id);
+    expect(ids).toEqual(
+      expect.arrayContaining(['seizures', 'developmental_delay', 'congenital_anomalies']),
+    );
+  });
+});
+
+describe('DARA HPO — engine', () => {
+  test('HP:0001250 alone raises the seizures flag', () => {
+    const res = runDecisionEngine(pediatricCase(['HP:0001250']));
+    expect(res.suggested_flags).toContain('seizures');
+    expect(res.hpo_terms_resolved[0]).toMatchObject({
+      id: 'HP:0001250',
+      name: 'Seizure',
+    });
+    expect(res.evidence).toContainEqual(
+      expect.objectContaining({ flag: 'seizures', field: 'hpo_terms', index: 0 }),
+    );
+  });
+
+  test('descendant terms map to their flag, with the ancestor named in the reason', () => {
+    const res = runDecisionEngine(
+      pediatricCase(['HP:0001263', 'HP:0001629', 'HP:0002069']),
+    );
+    expect(res.suggested_flags).toEqual(
+      expect.arrayContaining(['developmental_delay', 'congenital_anomalies', 'seizures']),
+    );
+    expect(res.reasons).toContain(
+      'HPO HP:0002069 (Bilateral tonic-clonic seizure) is a descendant of HP:0001250 (Seizure).',
+    );
+  });
+
+  test('malformed IDs are reported in missing_info', () => {
+    const res = runDecisionEngine(pediatricCase(['HP:12AB']));
+    expect(res.suggested_flags).toEqual([]);
+    expect(res.missing_info).toContain(
+      'Malformed HPO term IDs (expected HP:0000000): HP:12AB',
+    );
+  });
+
+  test('retired IDs of the bundled subset are reported with their replacement', () => {
+    const res = runDecisionEngine(pediatricCase(['HP:0002391']));
+    expect(res.hpo_terms_resolved).toEqual([]);
+    expect(res.missing_info).toContain(
+      'Obsolete HPO term IDs (update them): HP:0002391 (replaced by HP:0001250)',
+    );
+    expect(res.missing_info.join(' ')).not.toMatch(/malformed|offline subset/i);
+  });
+
+  test('valid IDs outside the bundled subset are not reported as wrong', () => {
+    const res = runDecisionEngine(pediatricCase(['HP:0000717']));
+    expect(res.missing_info).toContain(
+      'HPO terms outside the offline subset, not used for suggestions (describe them in the notes): HP:0000717',
+    );
+    expect(res.missing_info.join(' ')).not.toMatch(/malformed|check the ID/i);
+  });
+});
@@ -0,0 +1,89 @@
+import { allPatterns, detectLanguage, localized, resolveLanguage, t } from '../i18n.js';
+
+describe('DARA i18n — language detection', () => {
+  test.each([
+    [
+      'Mother diagnosed with breast cancer at 42, and her sister has ovarian cancer.',
+      'en',
+    ],
+    [
+      'Mère atteinte d’un cancer du sein à 42 ans, et sa soeur a un cancer de l’ovaire.',
+      'fr',
+    ],
+    ['DPNI à haut risque.', 'fr'],
+    ['BRCA1', null],
+  ])('%s -> %s', (text, language) => {
+    expect(detectLanguage(text).language).toBe(language);
+  });
+
+  test('notes mixing both languages are reported as mixed', () => {
+    const res = detectLanguage(
+      'Patiente de 35 ans avec un cancer du sein. Her mother and her sister had ovarian cancer.',
+    );
+    expect(res.mixed).toBe(true);
+    expect(res.scores.en).toBeGreaterThanOrEqual(2);
+    expect(res.scores.fr).toBeGreaterThanOrEqual(2);
+  });
+
+  test('an explicit language wins over detection', () => {
+    const res = resolveLanguage({
+      language: 'FR',
+      clinical_notes: 'Mother had breast cancer.',
+    });
+    expect(res).toMatchObject({ language: 'fr', source: 'explicit', detected: 'en' });
+  });
+
+  test('"auto" or an unsupported language falls back to detection, then English', () => {
+    const notes = 'Retard de développement chez un garçon de 3 ans.';
+    expect(resolveLanguage({ language: 'auto', clinical_notes: notes })).toMatchObject({
+      language: 'fr',
+      source: 'detected',
+    });
+    expect(resolveLanguage({ language: 'de', clinical_notes: notes }).language).toBe(
+      'fr',
+    );
+    expect(resolveLanguage({})).toMatchObject({ language: 'en', source: 'default' });
+  });
+});
+
+describe('DARA i18n — messages and dictionaries', () => {
+  test('placeholders are filled and list messages stay arrays', () => {
+    expect(t('fr', 'pregnancy_losses_reason', { count: 3 })).toBe(
+      '3 pertes de grossesse rapportées.',
+    );
+    expect(t('en', 'next_steps_prenatal')).toHaveLength(2);
+  });
+
+  test('plural messages follow the count and the language', () => {
+    const mismatch = (language, count) =>
+      t(language, 'missing_completeness_mismatch', { declared: 'high', count });
+    expect(mismatch('en', 1)).toBe(
+      'Data completeness declared high, but 1 item is missing',
+    );
+    expect(mismatch('en', 2)).toBe(
+      'Data completeness declared high, but 2 items are missing',
+    );
+    expect(mismatch('fr', 1)).toMatch(/mais 1 élément manque$/);
+    expect(mismatch('fr', 3)).toMatch(/mais 3 éléments manquent$/);
+  });
+
+  test('messages missing in a language fall back to English; unknown keys throw', () => {
+    expect(t('xx', 'missing_patient_age')).toBe('Patient age');
+    expect(() => t('en', 'no_such_message')).toThrow(/Unknown message/);
+  });
+
+  test('rule patterns of every language are merged; texts follow the language', () => {
+    const rule = {
+      patterns: ['seizure'],
+      reason: 'Seizures mentioned.',
+      i18n: {
+        fr: { patterns: ['convulsion'], reason: 'Crises convulsives mentionnées.' },
+      },
+    };
+    expect(allPatterns(rule)).toEqual(['seizure', 'convulsion']);
+    expect(allPatterns(rule, 'requires_any')).toEqual([]);
+    expect(localized(rule, 'reason', 'fr')).toBe('Crises convulsives mentionnées.');
+    expect(localized(rule, 'reason', 'en')).toBe('Seizures mentioned.');
+    expect(localized(rule, 'next_steps', 'fr')).toBeUndefined();
+  });
+});
@@ -0,0 +1,80 @@
+import { classifyMention, findMentions } from '../negation.js';
+
+// Classifies the first occurrence of `keyword` in `text`
+function classify(text, keyword) {
+  const start = text.toLowerCase().indexOf(keyword);
+  return classifyMention(text, start, start + keyword.length);
+}
+
+describe('DARA negation — NegEx-style context detection', () => {
+  test.each([
+    ['No seizures reported.', 'seizures', 'no'],
+    ['Denies family history of breast cancer.', 'breast cancer', 'denies'],
+    ['Ruled out ovarian cancer.', 'ovarian cancer', 'ruled out'],
+    ['Ovarian cancer was ruled out last year.', 'ovarian cancer', 'ruled out'],
+    ['Negative for trisomy 21', 'trisomy 21', 'negative for'],
+  ])('negated: %s', (text, keyword, trigger) => {
+    expect(classify(text, keyword)).toEqual({ status: 'negated', trigger });
+  });
+
+  test.each([
+    ['Possible seizures at night.', 'seizures', 'possible'],
+    ['Rule out trisomy 21.', 'trisomy 21', 'rule out'],
+    ['Epilepsy? Mother unsure.', 'epilepsy', '?'],
+    ['Ovarian cancer not ruled out.', 'ovarian cancer', 'not ruled out'],
+  ])('uncertain: %s', (text, keyword, trigger) => {
+    expect(classify(text, keyword)).toEqual({ status: 'uncertain', trigger });
+  });
+
+  test('historical: "history of" downgrades but does not negate', () => {
+    expect(classify('History of epilepsy in infancy.', 'epilepsy')).toEqual({
+      status: 'historical',
+      trigger: 'history of',
+    });
+    expect(classify('No history of epilepsy.', 'epilepsy').status).toBe('negated');
+  });
+
+  test('scope ends at the sentence boundary and at terminators like "but"', () => {
+    expect(
+      classify('No seizures. Global developmental delay.', 'developmental delay'),
+    ).toEqual({ status: 'affirmed', trigger: null });
+    expect(
+      classify('No seizures but developmental delay.', 'developmental delay'),
+    ).toEqual({ status: 'affirmed', trigger: null });
+  });
+
+  test.each([
+    ['No known allergies, mother had breast cancer at 42.', 'breast cancer'],
+    ["Pas d'allergie connue, sa mère a eu un cancer du sein à 42 ans.", 'cancer du sein'],
+  ])('scope ends at a comma that opens a new clause: %s', (text, keyword) => {
+    expect(classify(text, keyword)).toEqual({ status: 'affirmed', trigger: null });
+  });
+
+  test.each([
+    ['No seizures, hypotonia or developmental delay.', 'developmental delay', 'no'],
+    ['Denies breast, ovarian or colon cancer.', 'colon cancer', 'denies'],
+    ['Sans épilepsie, hypotonie ou retard de développement.', 'retard', 'sans'],
+    ['Aucune épilepsie, hypotonie ou retard.', 'retard', 'aucune'],
+  ])('scope carries through a comma list: %s', (text, keyword, trigger) => {
+    expect(classify(text, keyword)).toEqual({ status: 'negated', trigger });
+  });
+
+  test('scope window: a trigger too far before the keyword is ignored', () => {
+    const text = 'No issues at birth, then at age two she developed seizures.';
+    expect(classify(text, 'seizures').status).toBe('affirmed');
+  });
+
+  test('pseudo-triggers ("no increase") do not negate', () => {
+    expect(classify('No increase in seizures since March.', 'seizures').status).toBe(
+      'affirmed',
+    );
+  });
+
+  test('findMentions classifies every occurrence independently', () => {
+    const mentions = findMentions(
+      'No seizures in 2020. Seizures since 2022.',
+      'seizures',
+    );
+    expect(mentions.map((m) => m.status)).toEqual(['negated', 'affirmed']);
+  });
+});
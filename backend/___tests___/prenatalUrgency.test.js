@@ -0,0 +1,89 @@
+import { evaluateUrgency, gestationalWeeks } from '../prenatalUrgency.js';
+import { RULE_PACKS } from '../rulePacks.js';
+
+const CONFIG = RULE_PACKS.prenatal.urgency;
+const TODAY = new Date('2026-03-02T09:00:00Z');
+
+function urgencyAt(weeks) {
+  return evaluateUrgency(weeks, CONFIG, TODAY);
+}
+
+describe('DARA prenatal urgency — gestational age', () => {
+  test.each([
+    [12, 12],
+    ['13.5', 13.5],
+    ['', null],
+    [null, null],
+    ['twelve', null],
+    [-1, null],
+    [60, null],
+  ])('%j -> %j', (value, weeks) => {
+    expect(gestationalWeeks(value)).toBe(weeks);
+  });
+
+  test('without a gestational age the level is unknown', () => {
+    expect(urgencyAt(null)).toMatchObject({
+      level: 'unknown',
+      deadline: null,
+      windows: [],
+    });
+  });
+});
+
+describe('DARA prenatal urgency — windows and levels', () => {
+  test('inside the CVS window: deadline at 14 weeks', () => {
+    const u = urgencyAt(12);
+    expect(u.window).toEqual({
+      id: 'cvs',
+      label: 'Chorionic villus sampling (CVS)',
+      status: 'open',
+    });
+    expect(u.days_remaining).toBe(14);
+    expect(u.weeks_remaining).toBe(2);
+    expect(u.deadline).toBe('2026-03-16');
+    expect(u.level).toBe('high');
+  });
+
+  test('less than a week left is critical', () => {
+    const u = urgencyAt(13.3);
+    expect(u.days_remaining).toBe(5);
+    expect(u.level).toBe('critical');
+  });
+
+  test('between windows, the next deadline is amniocentesis (upcoming)', () => {
+    const u = urgencyAt(14);
+    expect(u.window.id).toBe('amniocentesis');
+    expect(u.window.status).toBe('upcoming');
+    expect(u.days_remaining).toBe(42);
+    expect(u.level).toBe('moderate');
+    expect(u.windows.find((w) => w.id === 'cvs')).toMatchObject({
+      status: 'closed',
+      deadline: null,
+      days_remaining: 0,
+    });
+    expect(u.windows.find((w) => w.id === 'amniocentesis').opens_on).toBe('2026-03-09');
+  });
+
+  test('the local decision deadline is the last window', () => {
+    const u = urgencyAt(22);
+    expect(u.window.id).toBe('local_decision_deadline');
+    expect(u.level).toBe('high');
+  });
+
+  test('after every window the level is passed', () => {
+    const u = urgencyAt(30);
+    expect(u.level).toBe('passed');
+    expect(u.deadline).toBeNull();
+    expect(u.windows.every((w) => w.status === 'closed')).toBe(true);
+  });
+
+  test('levels follow the configured days', () => {
+    const config = { windows: CONFIG.windows, critical_days: 14, high_days: 28 };
+    expect(evaluateUrgency(12, config, TODAY).level).toBe('critical');
+    expect(evaluateUrgency(8, config, TODAY).level).toBe('moderate');
+  });
+
+  test('window labels follow the output language', () => {
+    expect(evaluateUrgency(16, CONFIG, TODAY, 'fr').window.label).toBe('Amniocentèse');
+  });
+});
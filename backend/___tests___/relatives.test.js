@@ -0,0 +1,177 @@
+import {
+  describeRelative,
+  normalizeRelatives,
+  evaluateRelativeRules,
+} from '../relatives.js';
+import { runDecisionEngine } from '../decisionEngine.js';
+
+function oncoCase(relatives, overrides = {}) {
+  return {
+    pathway: 'oncogenetics',
+    patient_age: 40,
+    patient_sex: 'female',
+    chief_concern: 'Family history of cancer',
+    relatives,
+    ...overrides,
+  };
+}
+
+describe('DARA relatives — structured pedigree', () => {
+  test('degree, side and sex are inferred from the relation when missing', () => {
+    const [aunt, brother] = normalizeRelatives([
+      { relation: 'Maternal aunt', condition: 'ovarian cancer', age_at_diagnosis: '52' },
+      { relation: 'brother', vital_status: 'Deceased' },
+    ]);
+
+    expect(aunt).toMatchObject({
+      degree: 2,
+      side: 'maternal',
+      sex: 'female',
+      age_at_diagnosis: 52,
+    });
+    expect(brother).toMatchObject({
+      degree: 1,
+      side: 'both',
+      sex: 'male',
+      vital_status: 'deceased',
+    });
+  });
+
+  test('explicit fields win over inferred ones; invalid entries are dropped', () => {
+    const list = normalizeRelatives([
+      { relation: 'cousin', degree: 2, side: 'paternal' },
+      'x',
+      null,
+    ]);
+    expect(list).toHaveLength(1);
+    expect(list[0]).toMatchObject({ degree: 2, side: 'paternal' });
+  });
+
+  test('same_side rules do not mix the maternal and paternal sides', () => {
+    const rule = {
+      id: 'two_same_side',
+      weight: 10,
+      filter: { condition: ['cancer'] },
+      min_count: 2,
+      same_side: true,
+      reason: 'Two relatives on the same side',
+    };
+    const split = normalizeRelatives([
+      { relation: 'mother', condition: 'breast cancer' },
+      { relation: 'father', condition: 'colon cancer' },
+    ]);
+    expect(evaluateRelativeRules(split, [rule])).toEqual([]);
+  });
+
+  test.each([
+    ['no cancer'],
+    ['No history of cancer'],
+    ['breast cancer ruled out'],
+    ['pas de cancer'],
+  ])('a negated condition (%s) is not an affected relative', (condition) => {
+    const rule = {
+      id: 'relative_with_cancer',
+      weight: 10,
+      filter: { condition: ['cancer'] },
+      reason: 'Relative with cancer',
+    };
+    const relatives = normalizeRelatives([{ relation: 'mother', condition }]);
+    expect(evaluateRelativeRules(relatives, [rule])).toEqual([]);
+
+    const affected = normalizeRelatives([
+      { relation: 'mother', condition: 'breast cancer, no diabetes' },
+    ]);
+    expect(evaluateRelativeRules(affected, [rule])).toHaveLength(1);
+  });
+
+  test('relatives are described in the output language', () => {
+    const [aunt, mother, other] = normalizeRelatives([
+      { relation: 'Maternal aunt', condition: 'ovarian cancer', age_at_diagnosis: 52 },
+      { relation: 'mother', condition: 'cancer du sein' },
+      { relation: 'belle-sœur', condition: 'mélanome', age_at_diagnosis: 40 },
+    ]);
+    expect(describeRelative(aunt)).toBe('Maternal aunt (ovarian cancer at 52)');
+    expect(describeRelative(aunt, 'fr')).toBe(
+      'tante côté maternel (ovarian cancer à 52 ans)',
+    );
+    expect(describeRelative(mother, 'fr')).toBe('mère (cancer du sein)');
+    // relations the engine does not know are shown as entered
+    expect(describeRelative(other, 'fr')).toBe('belle-sœur (mélanome à 40 ans)');
+  });
+});
+
+describe('DARA decisionEngine — relative-aware oncogenetic rules', () => {
+  test('two first-degree relatives on the same side, reason names them', () => {
+    const res = runDecisionEngine(
+      oncoCase([
+        { relation: 'mother', condition: 'breast cancer', age_at_diagnosis: 58 },
+        { relation: 'sister', condition: 'ovarian cancer', age_at_diagnosis: 61 },
+      ]),
+    );
+
+    expect(res.suggested_flags).toContain('first_degree_relatives_same_side');
+    expect(res.suggested_flags).not.toContain('relative_diagnosed_under_50');
+    expect(res.reasons).toContain(
+      'Two or more first-degree relatives with cancer on the same side of the family: ' +
+        'mother (breast cancer at 58), sister (ovarian cancer at 61).',
+    );
+  });
+
+  test('any relative diagnosed under 50', () => {
+    const res = runDecisionEngine(
+      oncoCase([
+        {
+          relation: 'aunt',
+          side: 'paternal',
+          condition: 'colorectal cancer',
+          age_at_diagnosis: 44,
+        },
+      ]),
+    );
+
+    expect(res.suggested_flags).toContain('relative_diagnosed_under_50');
+    expect(res.reasons.join(' ')).toContain('paternal aunt (colorectal cancer at 44)');
+  });
+
+  test('male breast cancer in the family', () => {
+    const res = runDecisionEngine(
+      oncoCase([
+        { relation: 'grandfather', side: 'maternal', condition: 'breast cancer' },
+      ]),
+    );
+
+    expect(res.suggested_flags).toContain('male_breast_cancer_in_family');
+    expect(res.missing_info.join(' ')).toContain(
+      'Age at diagnosis for: maternal grandfather',
+    );
+  });
+
+  test('relatives without cancer do not raise relative rules', () => {
+    const res = runDecisionEngine(
+      oncoCase([
+        { relation: 'mother', condition: 'no cancer', age_at_diagnosis: 45 },
+        { relation: 'sister', condition: 'cancer ruled out', age_at_diagnosis: 41 },
+      ]),
+    );
+
+    expect(res.suggested_flags).not.toContain('first_degree_relatives_same_side');
+    expect(res.suggested_flags).not.toContain('relative_diagnosed_under_50');
+  });
+
+  test('relative rule weights are used in Step 2', () => {
+    const res = runDecisionEngine(
+      oncoCase(
+        [{ relation: 'brother', condition: 'breast cancer', age_at_diagnosis: 48 }],
+        {
+          confirmed_flags: [
+            'male_breast_cancer_in_family',
+            'relative_diagnosed_under_50',
+          ],
+        },
+      ),
+    );
+
+    expect(res.priority_score).toBe(80);
+    expect(res.triage).toBe('recommended');
+  });
+});
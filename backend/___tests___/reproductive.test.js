@@ -0,0 +1,197 @@
+import {
+  carrierScreeningNextSteps,
+  evaluateCarrierScreening,
+  normalizeCarrierStatus,
+  normalizeConsanguinity,
+} from '../reproductive.js';
+import { RULE_PACKS } from '../rulePacks.js';
+
+const CONFIG = RULE_PACKS.reproductive.carrier_screening;
+
+function evaluate(payload) {
+  return evaluateCarrierScreening(payload, CONFIG);
+}
+
+function flagsOf(result) {
+  return result.hits.map((h) => h.flag);
+}
+
+describe('DARA reproductive — consanguinity', () => {
+  test.each([
+    ['first_cousins', 'related', 1 / 8],
+    ['First cousins', 'related', 1 / 8],
+    [{ degree: 'uncle-niece' }, 'related', 1 / 4],
+    ['none', 'not_related', 0],
+    ['distant village', 'unknown', null],
+  ])('%j -> %s', (value, answer, coefficient) => {
+    const c = normalizeConsanguinity(value);
+    expect(c.answer).toBe(answer);
+    expect(c.coefficient).toBe(coefficient);
+  });
+
+  test('unanswered question -> null and missing info', () => {
+    expect(normalizeConsanguinity(undefined)).toBeNull();
+    expect(evaluate({}).missing).toContain(
+      'Consanguinity (are the partners related, and how?)',
+    );
+  });
+
+  test('second cousins or closer suggest the consanguinity flag', () => {
+    const res = evaluate({ consanguinity: 'first_cousins' });
+    expect(flagsOf(res)).toEqual(['consanguinity']);
+    expect(res.hits[0].reason).toBe(
+      'Partners are first cousins (coefficient of relationship 1/8).',
+    );
+    expect(res.carrier_screening.strategy).toBe('expanded');
+  });
+
+  test('more distant relatedness is recorded but not flagged', () => {
+    const res = evaluate({ consanguinity: 'third_cousins' });
+    expect(flagsOf(res)).toEqual([]);
+    expect(res.carrier_screening.consanguinity).toMatchObject({
+      degree: 'third_cousins',
+      consanguineous: false,
+    });
+  });
+});
+
+describe('DARA reproductive — ancestry and carriers', () => {
+  test('ancestry groups list the conditions to screen for', () => {
+    const res = evaluate({ ancestry_groups: ['ashkenazi_jewish', 'Mediterranean'] });
+    expect(flagsOf(res)).toEqual(['elevated_carrier_frequency_ancestry']);
+    expect(res.carrier_screening.strategy).toBe('ancestry_based');
+    expect(res.carrier_screening.conditions).toEqual(
+      expect.arrayContaining(['Tay-Sachs disease', 'beta-thalassemia']),
+    );
+    expect(res.hits[0].evidence).toHaveLength(2);
+  });
+
+  test('"other" is a valid answer, unknown groups are reported', () => {
+    const res = evaluate({ ancestry_groups: ['other', 'atlantean'] });
+    expect(flagsOf(res)).toEqual([]);
+    expect(res.unknown_ancestry_groups).toEqual(['atlantean']);
+    expect(res.missing).not.toContain('Ancestry of both partners');
+    expect(evaluate({ ancestry_groups: [] }).missing).toContain(
+      'Ancestry of both partners',
+    );
+  });
+
+  test('carrier entries are normalized (gene upper-cased, status never assumed)', () => {
+    expect(
+      normalizeCarrierStatus([
+        { partner: 'Partner', gene: 'cftr', status: 'Carrier' },
+        { partner: 'patient', status: 'not carrier', condition: 'SMA' },
+        { partner: 'patient' },
+        'CFTR',
+        { partner: 'partner', gene: 'HBB' },
+      ]),
+    ).toEqual([
+      { index: 0, partner: 'partner', gene: 'CFTR', condition: '', status: 'carrier' },
+      { index: 1, partner: 'patient', gene: '', condition: 'SMA', status: 'not_carrier' },
+      { index: 4, partner: 'partner', gene: 'HBB', condition: '', status: 'unknown' },
+    ]);
+  });
+
+  test.each([
+    ['non-carrier', 'not_carrier'],
+    ['negative', 'not_carrier'],
+    ['Tested negative', 'not_carrier'],
+    ['non porteuse', 'not_carrier'],
+    ['heterozygous', 'carrier'],
+    ['pending', 'unknown'],
+    ['', 'unknown'],
+  ])('carrier status "%s" -> %s', (status, expected) => {
+    const [entry] = normalizeCarrierStatus([
+      { partner: 'partner', gene: 'CFTR', status },
+    ]);
+    expect(entry.status).toBe(expected);
+  });
+
+  test('one known carrier -> targeted testing of the other partner', () => {
+    const res = evaluate({
+      carrier_status: [
+        {
+          partner: 'patient',
+          gene: 'CFTR',
+          condition: 'cystic fibrosis',
+          status: 'carrier',
+        },
+      ],
+    });
+    expect(flagsOf(res)).toEqual(['known_carrier']);
+    expect(res.carrier_screening.strategy).toBe('partner_testing');
+    expect(res.missing).toContain(
+      'Carrier status of the other partner for: CFTR (cystic fibrosis)',
+    );
+    expect(carrierScreeningNextSteps(res.carrier_screening)).toEqual([
+      'Offer targeted carrier testing of the other partner for: CFTR (cystic fibrosis).',
+    ]);
+  });
+
+  test('both partners carrying the same gene -> couple at risk', () => {
+    const res = evaluate({
+      consanguinity: 'first_cousins',
+      carrier_status: [
+        { partner: 'patient', gene: 'HBB', status: 'carrier' },
+        {
+          partner: 'partner',
+          gene: 'hbb',
+          condition: 'beta-thalassemia',
+          status: 'carrier',
+        },
+      ],
+    });
+    expect(flagsOf(res)).toEqual([
+      'consanguinity',
+      'carrier_couple_same_gene',
+      'known_carrier',
+    ]);
+    expect(res.carrier_screening.strategy).toBe('couple_at_risk');
+    expect(res.carrier_screening.at_risk).toEqual(['HBB']);
+  });
+
+  test.each(['not_carrier', 'non-carrier', 'negative'])(
+    'a partner tested negative ("%s") for the same gene -> no partner testing',
+    (status) => {
+      const res = evaluate({
+        carrier_status: [
+          { partner: 'patient', gene: 'CFTR', status: 'carrier' },
+          { partner: 'partner', gene: 'CFTR', status },
+        ],
+      });
+      expect(flagsOf(res)).toEqual(['known_carrier']);
+      expect(res.carrier_screening.strategy).toBe('standard');
+      expect(res.missing).toEqual([
+        'Consanguinity (are the partners related, and how?)',
+        'Ancestry of both partners',
+      ]);
+    },
+  );
+
+  test('an unclear result is missing info, not a carrier', () => {
+    const res = evaluate({
+      carrier_status: [
+        { partner: 'patient', gene: 'CFTR', status: 'carrier' },
+        { partner: 'partner', gene: 'CFTR', status: 'pending' },
+      ],
+    });
+    expect(flagsOf(res)).toEqual(['known_carrier']);
+    expect(res.carrier_screening.strategy).toBe('partner_testing');
+    expect(res.missing).toEqual(
+      expect.arrayContaining([
+        'Carrier status of the other partner for: CFTR',
+        'Carrier test result (carrier or not carrier), not counted until given: partner CFTR',
+      ]),
+    );
+  });
+
+  test('recurrent pregnancy loss from the number of losses', () => {
+    expect(flagsOf(evaluate({ pregnancy_losses: 2 }))).toEqual([
+      'recurrent_pregnancy_loss',
+    ]);
+    expect(flagsOf(evaluate({ pregnancy_losses: 1 }))).toEqual([]);
+    expect(
+      evaluate({ pregnancy_losses: '' }).carrier_screening.pregnancy_losses,
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,336 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+  DEFAULT_TRIAGE,
+  RULE_PACKS,
+  flagCatalog,
+  loadRulePacks,
+  triageThresholds,
+  validateRulePack,
+} from '../rulePacks.js';
+import { runDecisionEngine } from '../decisionEngine.js';
+
+function minimalPack(overrides = {}) {
+  return {
+    pathway: 'oncogenetics',
+    version: '2.0.0',
+    rules: [
+      {
+        id: 'multiple_primaries',
+        weight: 60,
+        patterns: ['second primary'],
+        reason: 'Multiple primary cancers mentioned in the same person.',
+      },
+    ],
+    ...overrides,
+  };
+}
+
+function tempDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dara-rules-'));
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+describe('DARA rulePacks — loading and validation', () => {
+  test('bundled packs load at startup with a semantic version per pathway', () => {
+    expect(Object.keys(RULE_PACKS).sort()).toEqual([
+      'cardiogenetics',
+      'oncogenetics',
+      'pediatric',
+      'prenatal',
+      'reproductive',
+    ]);
+    for (const pack of Object.values(RULE_PACKS)) {
+      expect(pack.version).toMatch(/^\d+\.\d+\.\d+/);
+    }
+  });
+
+  test('YAML packs are supported', () => {
+    const dir = tempDir({
+      'pediatric.yaml': [
+        'pathway: pediatric',
+        'version: 1.2.3',
+        'rules:',
+        '  - id: seizures',
+        '    weight: 35',
+        '    patterns: [seizure, { mode: token, value: EEG }]',
+        '    reason: Seizures mentioned.',
+      ].join('\n'),
+    });
+
+    const packs = loadRulePacks(dir);
+    expect(packs.pediatric.version).toBe('1.2.3');
+    expect(packs.pediatric.rules[0].patterns[1]).toEqual({ mode: 'token', value: 'EEG' });
+  });
+
+  test.each([
+    ['missing version', minimalPack({ version: undefined }), /version/],
+    ['non-semantic version', minimalPack({ version: 'v2' }), /version/],
+    [
+      'unknown match mode',
+      minimalPack({
+        rules: [
+          { id: 'x', weight: 1, patterns: [{ mode: 'fuzzy', value: 'x' }], reason: 'x' },
+        ],
+      }),
+      /patterns/,
+    ],
+    [
+      'invalid regex',
+      minimalPack({
+        rules: [
+          { id: 'x', weight: 1, patterns: [{ mode: 'regex', value: '(' }], reason: 'x' },
+        ],
+      }),
+      /regular expression/,
+    ],
+    [
+      'duplicate flag id',
+      minimalPack({
+        extra_flags: [
+          { id: 'multiple_primaries', weight: 5, patterns: ['x'], reason: 'Duplicate.' },
+        ],
+      }),
+      /duplicate flag id "multiple_primaries"/,
+    ],
+    [
+      'HPO ID missing from the bundled subset',
+      minimalPack({
+        rules: [
+          { id: 'x', weight: 1, patterns: ['x'], hpo: ['HP:9999999'], reason: 'x' },
+        ],
+      }),
+      /unknown HPO term HP:9999999/,
+    ],
+    [
+      'weight above 100',
+      minimalPack({ rules: [{ id: 'x', weight: 150, patterns: ['x'], reason: 'x' }] }),
+      /weight/,
+    ],
+    [
+      'a question pointing to an unknown flag',
+      minimalPack({
+        questions: [
+          { field: 'age', flags: ['nope'], question: 'Age?', answer_type: 'number' },
+        ],
+      }),
+      /question "age": flag "nope" does not match any flag id/,
+    ],
+    [
+      'a choice question without options',
+      minimalPack({
+        questions: [
+          {
+            field: 'side',
+            flags: ['multiple_primaries'],
+            question: 'Side?',
+            answer_type: 'choice',
+          },
+        ],
+      }),
+      /options are required/,
+    ],
+    [
+      'a known_variant flag that is not a rule',
+      minimalPack({ known_variant: { flag: 'nope' } }),
+      /known_variant flag "nope" does not match any rule id/,
+    ],
+    [
+      'a combination of an unknown flag',
+      minimalPack({
+        combinations: [
+          { id: 'combo', weight: 10, flags: ['multiple_primaries', 'nope'], reason: 'x' },
+        ],
+      }),
+      /combination "combo": flag "nope" does not match any flag id/,
+    ],
+    [
+      'a rule superseding an unknown flag',
+      minimalPack({
+        rules: [{ ...minimalPack().rules[0], supersedes: ['nope'] }],
+      }),
+      /flag "multiple_primaries": supersedes "nope", which is not another flag id/,
+    ],
+    [
+      'flags superseding each other',
+      minimalPack({
+        rules: [
+          { ...minimalPack().rules[0], supersedes: ['second_rule'] },
+          {
+            ...minimalPack().rules[0],
+            id: 'second_rule',
+            supersedes: ['multiple_primaries'],
+          },
+        ],
+      }),
+      /flag "multiple_primaries": supersedes cycle/,
+    ],
+    [
+      'an extra flag superseding an unknown flag',
+      minimalPack({
+        extra_flags: [
+          { id: 'extra', weight: 10, patterns: ['x'], reason: 'x', supersedes: ['nope'] },
+        ],
+      }),
+      /flag "extra": supersedes "nope", which is not another flag id/,
+    ],
+    [
+      'an extra flag and a rule superseding each other',
+      minimalPack({
+        rules: [{ ...minimalPack().rules[0], supersedes: ['extra'] }],
+        extra_flags: [
+          {
+            id: 'extra',
+            weight: 10,
+            patterns: ['x'],
+            reason: 'x',
+            supersedes: ['multiple_primaries'],
+          },
+        ],
+      }),
+      /flag "extra": supersedes cycle/,
+    ],
+    [
+      'a combination needing more flags than it lists',
+      minimalPack({
+        combinations: [
+          {
+            id: 'combo',
+            weight: 10,
+            flags: ['multiple_primaries', 'multiple_primaries_bis'],
+            min_count: 3,
+            reason: 'x',
+          },
+        ],
+      }),
+      /min_count exceeds the number of flags/,
+    ],
+    [
+      'triage thresholds out of order',
+      minimalPack({ triage: { not_prioritized: 50, recommended: 40 } }),
+      /not_prioritized must be below recommended/,
+    ],
+    [
+      'an urgent tier below recommended',
+      minimalPack({ triage: { recommended: 70, urgent: 60 } }),
+      /urgent must be above recommended/,
+    ],
+    [
+      'a threshold above the score cap',
+      minimalPack({ triage: { recommended: 70, max_score: 50 } }),
+      /cannot exceed max_score/,
+    ],
+  ])('rejects a pack with %s', (_, pack, message) => {
+    const clean = JSON.parse(JSON.stringify(pack));
+    expect(() => validateRulePack(clean, 'test.json')).toThrow(message);
+  });
+
+  test('a pathway defined twice in the same folder stops loading', () => {
+    const json = JSON.stringify(minimalPack());
+    const dir = tempDir({ 'a.json': json, 'b.json': json });
+    expect(() => loadRulePacks(dir)).toThrow(/defined twice/);
+  });
+});
+
+describe('DARA rulePacks — used by the decision engine', () => {
+  test('every result carries the rules_version of its pathway', () => {
+    const step1 = runDecisionEngine({
+      pathway: 'pediatric',
+      clinical_notes: 'Seizures.',
+    });
+    expect(step1.rules_version).toBe(RULE_PACKS.pediatric.version);
+
+    const unknown = runDecisionEngine({ pathway: 'invalid_pathway' });
+    expect(unknown.rules_version).toBeNull();
+  });
+
+  test('weights and patterns come from the pack (options.rulePacks override)', () => {
+    const rulePacks = { oncogenetics: minimalPack() };
+    const res = runDecisionEngine(
+      {
+        pathway: 'oncogenetics',
+        clinical_notes: 'Second primary tumour.',
+        confirmed_flags: ['multiple_primaries'],
+      },
+      { rulePacks },
+    );
+
+    expect(res.priority_score).toBe(60);
+    expect(res.rules_version).toBe('2.0.0');
+  });
+
+  test('an extra flag superseding a rule replaces it in the score', () => {
+    const rulePacks = {
+      oncogenetics: minimalPack({
+        extra_flags: [
+          {
+            id: 'second_primary_confirmed',
+            weight: 70,
+            patterns: ['confirmed second primary'],
+            reason: 'Second primary cancer confirmed by pathology.',
+            supersedes: ['multiple_primaries'],
+          },
+        ],
+      }),
+    };
+    validateRulePack(rulePacks.oncogenetics);
+    const res = runDecisionEngine(
+      {
+        pathway: 'oncogenetics',
+        clinical_notes: 'Pathology: confirmed second primary.',
+        confirmed_flags: ['multiple_primaries', 'second_primary_confirmed'],
+      },
+      { rulePacks },
+    );
+
+    expect(res.priority_score).toBe(70);
+    expect(res.score_breakdown.superseded_flags).toEqual([
+      { flag: 'multiple_primaries', by: 'second_primary_confirmed' },
+    ]);
+  });
+
+  test('triage thresholds come from the pack, with defaults for missing values', () => {
+    expect(triageThresholds(minimalPack())).toEqual(DEFAULT_TRIAGE);
+    expect(triageThresholds(minimalPack({ triage: { recommended: 50 } }))).toEqual({
+      ...DEFAULT_TRIAGE,
+      recommended: 50,
+    });
+    expect(triageThresholds(RULE_PACKS.prenatal).urgent).toBe(70);
+  });
+});
+
+describe('DARA rulePacks — flag catalog', () => {
+  test('lists rules, extra flags and relative rules with label and weight', () => {
+    const flags = flagCatalog('oncogenetics');
+    expect(flags.map((f) => f.id)).toEqual(
+      expect.arrayContaining([
+        'early_onset_cancer',
+        'pancreatic_cancer',
+        'relative_diagnosed_under_50',
+      ]),
+    );
+    expect(flags.find((f) => f.id === 'early_onset_cancer')).toEqual({
+      id: 'early_onset_cancer',
+      label: 'Early onset cancer',
+      description: RULE_PACKS.oncogenetics.rules[0].reason,
+      weight: 40,
+      source: 'rules',
+    });
+    expect(flags.find((f) => f.id === 'pancreatic_cancer').source).toBe('extra_flags');
+  });
+
+  test('descriptions follow the output language', () => {
+    const [first] = flagCatalog('pediatric', 'fr');
+    expect(first.description).toBe('Retard de développement mentionné.');
+  });
+
+  test('unknown pathway -> null', () => {
+    expect(flagCatalog('invalid_pathway')).toBeNull();
+    expect(flagCatalog(' Pediatric ')).toHaveLength(RULE_PACKS.pediatric.rules.length);
+  });
+});
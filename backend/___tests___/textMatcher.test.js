@@ -0,0 +1,106 @@
+import { findPatternMatches, normalizePattern, stem } from '../textMatcher.js';
+import { runDecisionEngine } from '../decisionEngine.js';
+
+// Step 1 payload for a pathway with some free text
+function step1(pathway, clinical_notes) {
+  return runDecisionEngine({
+    pathway,
+    patient_age: 30,
+    patient_sex: 'female',
+    clinical_notes,
+  });
+}
+
+/**
+ * Corpus of KNOWN false positives from the substring matcher.
+ * [pathway, text, flag that must NOT be suggested]
+ */
+const FALSE_POSITIVES = [
+  ['prenatal', 'Patient attends for routine review.', 'increased_nt'],
+  ['prenatal', 'Informed consent obtained for the scan.', 'increased_nt'],
+  ['prenatal', 'Current pregnancy is progressing well.', 'increased_nt'],
+  ['prenatal', 'Routine ultrasound at 20 weeks, normal.', 'abnormal_ultrasound'],
+  ['prenatal', 'Reference PT21-88 on the requisition form.', 'previous_aneuploidy'],
+  ['prenatal', 'NT 1.2 mm, normal.', 'increased_nt'],
+  ['prenatal', 'Nuchal translucency within normal limits.', 'increased_nt'],
+  ['prenatal', 'Anomaly scan at 20 weeks was normal.', 'abnormal_ultrasound'],
+  ['prenatal', 'NIPT low risk. Positive pregnancy test', 'positive_screening'],
+  ['prenatal', 'Clarté nucale normale.', 'increased_nt'],
+  ['pediatric', 'Seen by Dr Lagdd-Smith in clinic.', 'developmental_delay'],
+  ['pediatric', 'Anomaliescope colour vision test was normal.', 'congenital_anomalies'],
+];
+
+/**
+ * Corpus of true positives that must keep working.
+ * [pathway, text, flag that MUST be suggested]
+ */
+const TRUE_POSITIVES = [
+  ['prenatal', 'Increased NT at first trimester scan.', 'increased_nt'],
+  ['prenatal', 'NT 3.8 mm at 12 weeks.', 'increased_nt'],
+  ['prenatal', 'Nuchal translucency 4.1 mm.', 'increased_nt'],
+  ['prenatal', 'Cardiac anomaly on the 20-week scan.', 'abnormal_ultrasound'],
+  ['prenatal', 'NIPT high risk for trisomy 21.', 'positive_screening'],
+  ['prenatal', 'DPNI à haut risque.', 'positive_screening'],
+  ['prenatal', 'Previous pregnancy with T21.', 'previous_aneuploidy'],
+  ['prenatal', 'Previous pregnancy with trisomy-21.', 'previous_aneuploidy'],
+  ['pediatric', 'GDD noted at 18 months.', 'developmental_delay'],
+  ['pediatric', 'Recurrent seizures since age 2.', 'seizures'],
+  ['pediatric', 'Multiple congenital anomalies.', 'congenital_anomalies'],
+  ['pediatric', 'MCA on the newborn exam.', 'congenital_anomalies'],
+  ['oncogenetics', 'Mother dx at 45 with breast cancer.', 'early_onset_cancer'],
+];
+
+describe('DARA textMatcher — token-aware matching corpus', () => {
+  test.each(FALSE_POSITIVES)('[%s] "%s" does not suggest %s', (pathway, text, flag) => {
+    expect(step1(pathway, text).suggested_flags).not.toContain(flag);
+  });
+
+  test.each(TRUE_POSITIVES)('[%s] "%s" suggests %s', (pathway, text, flag) => {
+    expect(step1(pathway, text).suggested_flags).toContain(flag);
+  });
+});
+
+describe('DARA textMatcher — match modes', () => {
+  test('phrase mode matches whole words only, case/accent-insensitive, with offsets', () => {
+    const text = 'Current patient: Nuchal Translucency increased.';
+    expect(findPatternMatches(text, 'nuchal translucency')).toEqual([
+      { pattern: 'nuchal translucency', start: 17, end: 36, text: 'Nuchal Translucency' },
+    ]);
+    expect(findPatternMatches(text, { mode: 'token', value: 'nt' })).toEqual([]);
+    expect(findPatternMatches('Retard de développement', 'developpement')).toHaveLength(
+      1,
+    );
+  });
+
+  test('phrase mode handles plurals and abbreviations on both sides', () => {
+    expect(stem('seizures')).toBe('seizure');
+    expect(stem('anomalies')).toBe('anomaly');
+    expect(stem('diagnosis')).toBe('diagnosis');
+    expect(findPatternMatches('Two seizures last week', 'seizure')).toHaveLength(1);
+    expect(findPatternMatches('Thickened NT', 'thickened nuchal translucency')).toEqual([
+      expect.objectContaining({ text: 'Thickened NT' }),
+    ]);
+  });
+
+  test('token mode is exact: no stemming, no abbreviation expansion', () => {
+    const gdd = { mode: 'token', value: 'gdd' };
+    expect(findPatternMatches('GDD since birth', gdd)).toHaveLength(1);
+    expect(findPatternMatches('Global developmental delay', gdd)).toHaveLength(0);
+    expect(
+      findPatternMatches('seizures', { mode: 'token', value: 'seizure' }),
+    ).toHaveLength(0);
+  });
+
+  test('regex mode runs on the raw text', () => {
+    const p = { mode: 'regex', value: 'NT\\s*\\d+(?:\\.\\d+)?\\s*mm' };
+    expect(findPatternMatches('NT 3.5 mm', p)).toEqual([
+      { pattern: '/NT\\s*\\d+(?:\\.\\d+)?\\s*mm/', start: 0, end: 9, text: 'NT 3.5 mm' },
+    ]);
+    expect(findPatternMatches('nt 3.5 mm', p)).toHaveLength(0);
+  });
+
+  test('unknown match modes are rejected', () => {
+    expect(() => normalizePattern({ mode: 'fuzzy', value: 'x' })).toThrow(/match mode/);
+    expect(() => normalizePattern({ mode: 'token' })).toThrow(/non-empty/);
+  });
+});
@@ -0,0 +1,200 @@
+import { RULE_PACKS } from '../rulePacks.js';
+import { evaluateWhatIf } from '../whatIf.js';
+
+const ONCO = {
+  pathway: 'oncogenetics',
+  patient_age: 40,
+  patient_sex: 'female',
+  chief_concern: 'Family history of cancer',
+  clinical_notes: 'Mother with breast cancer at 45.',
+  confirmed_flags: ['breast_cancer'],
+};
+
+// Pediatric pack with an urgent tier, so the combination rule can move a tier
+const PACKS = {
+  ...RULE_PACKS,
+  pediatric: {
+    ...RULE_PACKS.pediatric,
+    triage: { not_prioritized: 20, recommended: 60, urgent: 100, max_score: 120 },
+  },
+};
+
+describe('DARA whatIf — alternatives', () => {
+  test('baseline of the confirmed flags', () => {
+    const res = evaluateWhatIf(ONCO);
+    expect(res.pathway).toBe('oncogenetics');
+    expect(res.rules_version).toBe(RULE_PACKS.oncogenetics.version);
+    expect(res.baseline).toEqual({
+      confirmed_flags: ['breast_cancer'],
+      score: 30,
+      triage: 'discuss',
+    });
+  });
+
+  test('extra flags that would move the case up a tier, with their score', () => {
+    const { add_flags } = evaluateWhatIf(ONCO);
+    expect(add_flags).toContainEqual({
+      flag: 'ovarian_cancer',
+      label: 'Ovarian cancer',
+      score: 70,
+      score_change: 40,
+      triage: 'recommended',
+    });
+    expect(add_flags.map((a) => a.flag)).not.toContain('breast_cancer');
+    expect(add_flags.every((a) => a.triage === 'recommended')).toBe(true);
+    // highest resulting score first
+    const scores = add_flags.map((a) => a.score);
+    expect(scores).toEqual([...scores].sort((a, b) => b - a));
+  });
+
+  test('confirmed flags whose removal would drop a tier', () => {
+    const res = evaluateWhatIf({
+      pathway: 'pediatric',
+      clinical_notes: 'Seizures and developmental delay.',
+      confirmed_flags: ['seizures', 'developmental_delay'],
+    });
+    expect(res.baseline.triage).toBe('recommended');
+    expect(res.remove_flags).toEqual([
+      {
+        flag: 'seizures',
+        label: 'Seizures',
+        score: 35,
+        score_change: -35,
+        triage: 'discuss',
+      },
+      {
+        flag: 'developmental_delay',
+        label: 'Developmental delay',
+        score: 35,
+        score_change: -35,
+        triage: 'discuss',
+      },
+    ]);
+  });
+
+  test('removing the only confirmed flag scores 0', () => {
+    const res = evaluateWhatIf({ ...ONCO, confirmed_flags: ['ovarian_cancer'] });
+    expect(res.baseline.triage).toBe('discuss');
+    expect(res.remove_flags).toEqual([
+      {
+        flag: 'ovarian_cancer',
+        label: 'Ovarian cancer',
+        score: 0,
+        score_change: -30,
+        triage: 'not_prioritized',
+      },
+    ]);
+  });
+
+  test('missing patient age that a combination rule depends on', () => {
+    const payload = {
+      pathway: 'pediatric',
+      clinical_notes: 'Seizures.',
+      known_family_variant: 'no',
+      confirmed_flags: ['seizures', 'developmental_delay', 'congenital_anomalies'],
+    };
+    const res = evaluateWhatIf(payload, { rulePacks: PACKS });
+    expect(res.baseline).toMatchObject({ score: 95, triage: 'recommended' });
+    expect(res.add_info).toEqual([
+      {
+        field: 'patient_age',
+        value: 18,
+        added_flags: [],
+        score: 115,
+        score_change: 20,
+        triage: 'urgent',
+      },
+    ]);
+
+    // age known: nothing to ask
+    const known = evaluateWhatIf({ ...payload, patient_age: 30 }, { rulePacks: PACKS });
+    expect(known.add_info).toEqual([]);
+  });
+
+  test('unknown family variant: the variant flag it would add', () => {
+    const res = evaluateWhatIf({ ...ONCO, known_family_variant: 'unknown' });
+    expect(res.add_info).toEqual([
+      {
+        field: 'known_family_variant',
+        value: { status: 'yes' },
+        added_flags: ['known_family_variant'],
+        score: 100,
+        score_change: 70,
+        triage: 'recommended',
+      },
+    ]);
+
+    const answered = evaluateWhatIf({ ...ONCO, known_family_variant: 'no' });
+    expect(answered.add_info).toEqual([]);
+  });
+
+  test('untested partner of a known carrier', () => {
+    const payload = {
+      pathway: 'reproductive',
+      clinical_notes: 'Planning a pregnancy.',
+      known_family_variant: 'no',
+      carrier_status: [
+        {
+          partner: 'patient',
+          gene: 'CFTR',
+          condition: 'cystic fibrosis',
+          status: 'carrier',
+        },
+      ],
+    };
+    const res = evaluateWhatIf(payload);
+    expect(res.baseline).toMatchObject({ confirmed_flags: ['known_carrier'], score: 35 });
+    expect(res.add_info).toEqual([
+      {
+        field: 'carrier_status',
+        value: {
+          partner: 'partner',
+          gene: 'CFTR',
+          condition: 'cystic fibrosis',
+          status: 'carrier',
+        },
+        added_flags: ['carrier_couple_same_gene'],
+        score: 100,
+        score_change: 65,
+        triage: 'recommended',
+      },
+    ]);
+
+    // partner tested: nothing to ask
+    const tested = evaluateWhatIf({
+      ...payload,
+      carrier_status: [
+        ...payload.carrier_status,
+        { partner: 'partner', gene: 'CFTR', status: 'not carrier' },
+      ],
+    });
+    expect(tested.add_info).toEqual([]);
+  });
+
+  test('pedigree and gestational dating are not tried: they do not enter the score', () => {
+    const res = evaluateWhatIf({
+      pathway: 'prenatal',
+      clinical_notes: 'Increased nuchal translucency at the first trimester scan.',
+      known_family_variant: 'no',
+    });
+    expect(res.add_info.map((a) => a.field)).toEqual([]);
+  });
+
+  test('without confirmed flags, the suggested flags are taken as confirmed', () => {
+    const res = evaluateWhatIf({
+      pathway: 'pediatric',
+      clinical_notes: 'Seizures since infancy and global developmental delay.',
+    });
+    expect(res.baseline.confirmed_flags.sort()).toEqual([
+      'developmental_delay',
+      'seizures',
+    ]);
+    expect(res.baseline.triage).toBe('recommended');
+  });
+
+  test('the payload is not modified', () => {
+    const payload = structuredClone(ONCO);
+    evaluateWhatIf(payload);
+    expect(payload).toEqual(ONCO);
+  });
+});
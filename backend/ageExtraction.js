@@ -0,0 +1,327 @@
+/**
+ * ageExtraction.js
+ * ------------------------------------------------------------
+ * Extracts (condition, age at diagnosis) pairs from free text, e.g.
+ *   "breast cancer at 38", "dx age 47", "aged 41 at diagnosis", "colon cancer (44)",
+ *   "cancer du sein à 38 ans", "diagnostiquée à 45 ans", "cancer du côlon 44 ans".
+ *
+ * Each pair is then compared to the early-onset threshold of its cancer type,
+ * configured per pathway in the rule pack:
+ *
+ *   "early_onset": {
+ *     "flag": "early_onset_cancer",
+ *     "default_threshold": 50,
+ *     "thresholds": { "breast": 50, "prostate": 55, ... }
+ *   }
+ *
+ * Early onset = age at diagnosis strictly BELOW the threshold ("before 50").
+ * Negated conditions ("no breast cancer at 40") are ignored.
+ */
+import { classifyMention } from './negation.js';
+import { foldCase } from './textMatcher.js';
+
+// Free-text fields searched for ages at diagnosis
+export const AGE_FIELDS = ['clinical_notes', 'family_history_summary'];
+
+// organ word -> cancer type
+const ORGAN_TYPES = {
+  breast: 'breast',
+  ovarian: 'ovarian',
+  ovary: 'ovarian',
+  colorectal: 'colorectal',
+  colon: 'colorectal',
+  rectal: 'colorectal',
+  bowel: 'colorectal',
+  endometrial: 'endometrial',
+  uterine: 'endometrial',
+  prostate: 'prostate',
+  pancreatic: 'pancreatic',
+  pancreas: 'pancreatic',
+  gastric: 'gastric',
+  stomach: 'gastric',
+  endometrium: 'endometrial',
+  'small bowel': 'small_bowel',
+  'small intestine': 'small_bowel',
+  'small intestinal': 'small_bowel',
+  'renal pelvis': 'urothelial',
+  ureter: 'urothelial',
+  ureteral: 'urothelial',
+  urothelial: 'urothelial',
+  bladder: 'bladder',
+  kidney: 'renal',
+  renal: 'renal',
+  biliary: 'biliary',
+  'bile duct': 'biliary',
+  brain: 'brain',
+  sebaceous: 'sebaceous',
+  'fallopian tube': 'ovarian',
+  peritoneal: 'ovarian',
+  thyroid: 'thyroid',
+  lung: 'lung',
+};
+
+// Conditions named without an organ word -> cancer type
+const STANDALONE_TYPES = {
+  glioma: 'brain',
+  glioblastoma: 'brain',
+  leukaemia: 'leukemia',
+};
+
+// French organ words (accent-folded, "cancer du sein") -> cancer type
+const FR_ORGAN_TYPES = {
+  sein: 'breast',
+  ovaire: 'ovarian',
+  ovaires: 'ovarian',
+  colon: 'colorectal',
+  rectum: 'colorectal',
+  colorectal: 'colorectal',
+  endometre: 'endometrial',
+  uterus: 'endometrial',
+  prostate: 'prostate',
+  pancreas: 'pancreatic',
+  estomac: 'gastric',
+  gastrique: 'gastric',
+  'intestin grele': 'small_bowel',
+  vessie: 'bladder',
+  rein: 'renal',
+  renal: 'renal',
+  thyroide: 'thyroid',
+  poumon: 'lung',
+  pulmonaire: 'lung',
+  cerveau: 'brain',
+};
+
+const FR_STANDALONE_TYPES = {
+  melanome: 'melanoma',
+  leucemie: 'leukemia',
+  lymphome: 'lymphoma',
+  sarcome: 'sarcoma',
+  gliome: 'brain',
+  glioblastome: 'brain',
+};
+
+// Accent-tolerant pattern of a folded French word ("colon" also matches "côlon")
+const ACCENTS = { a: '[aàâ]', e: '[eéèê]', i: '[iîï]', o: '[oô]', u: '[uùû]' };
+function frWord(word) {
+  return word.replace(/[aeiou]/g, (c) => ACCENTS[c]).replace(/ /g, '\\s+');
+}
+
+// French first: "cancer du sein" must not stop at "cancer"
+const CONDITION_RE = new RegExp(
+  '\\b(?<frWord>cancer|carcinome|ad[eé]nocarcinome|tumeur)s?\\s+' +
+    `(?:(?:du|des|de\\s+la|de)\\s+|de\\s+l['’]|d['’])?(?<frOrgan>${Object.keys(
+      FR_ORGAN_TYPES,
+    )
+      .map(frWord)
+      .join('|')})\\b` +
+    `|\\b(?<frStandalone>${Object.keys(FR_STANDALONE_TYPES).map(frWord).join('|')})s?\\b` +
+    `|\\b(?:(?<organ>${Object.keys(ORGAN_TYPES).join('|')})\\s+)?` +
+    '(?<word>cancer|carcinoma|adenocarcinoma|tumou?r)\\b' +
+    '|\\b(?<standalone>melanoma|leuka?emia|lymphoma|sarcoma|glioblastoma|glioma)\\b',
+  'gi',
+);
+
+// Numbers followed by these units are not ages ("at 12 weeks", "NT 3 mm", "at 40 mg",
+// "at 10 am", "at 10:30"), nor durations ("diagnosed 10 years ago")
+const NOT_AN_AGE =
+  '(?!\\s*(?:(?:weeks?|wks?|months?|days?|mm|cm|kg|mg|mcg|ml|am|pm|h|hrs?|hours?)\\b|%|[.,:]\\d' +
+  '|(?:years?|yrs?|y)\\s+(?:ago|earlier|before|later)\\b))';
+
+// French ages are written with "ans" ("à 38 ans"), never a duration ("il y a 5 ans",
+// "3 ans après"). \b is ASCII-only: (?<!\p{L}) starts words such as "âgée".
+const FR_AGE = `(\\d{1,3})\\s*ans\\b(?!\\s+(?:plus\\s+tard|apr[eè]s|avant|auparavant)\\b)`;
+
+const AGE_RES = [
+  // "diagnosed at 45", "dx age 47", "diagnosis at the age of 40"
+  new RegExp(
+    `\\b(?:diagnosed|dx|diagnosis)\\s+(?:at\\s+)?(?:the\\s+)?(?:age\\s+)?(?:of\\s+)?(\\d{1,3})\\b${NOT_AN_AGE}`,
+    'gi',
+  ),
+  // "breast cancer at 38", "at age 44"
+  new RegExp(
+    `\\bat\\s+(?:the\\s+)?(?:age\\s+)?(?:of\\s+)?(\\d{1,3})\\b${NOT_AN_AGE}`,
+    'gi',
+  ),
+  // "aged 41 at diagnosis", "age 47 when diagnosed": without the diagnosis cue,
+  // "age N" is the current age ("Sister age 45, breast cancer at 62")
+  new RegExp(
+    `\\baged?\\s+(?:of\\s+)?(\\d{1,3})\\b${NOT_AN_AGE}(?=,?\\s+(?:at\\s+(?:the\\s+time\\s+of\\s+)?|when\\s+|on\\s+)?(?:diagnosis|diagnosed|dx)\\b)`,
+    'gi',
+  ),
+  // "colon cancer (44)", "(44 y)", "(44 ans)"
+  /\((\d{1,3})\s*(?:y|yrs?|years?|ans)?\)/gi,
+  // "cancer du sein à 38 ans", "à l'âge de 38 ans", "diagnostiquée à 45 ans"
+  new RegExp(
+    `(?<!\\p{L})(?:diagnostiqu[eé]e?s?\\s+)?(?<!\\by\\s+)[aà]\\s+(?:l['’][aâ]ge\\s+de\\s+)?${FR_AGE}`,
+    'giu',
+  ),
+  // "âgée de 41 ans au diagnostic"
+  new RegExp(
+    `(?<!\\p{L})[aâ]g[eé]e?s?\\s+de\\s+${FR_AGE}(?=,?\\s+(?:au|lors\\s+du)\\s+diagnostic)`,
+    'giu',
+  ),
+];
+
+// "cancer du côlon 44 ans": a bare age, only read after the condition it belongs to,
+// and not a current age or a duration ("patiente de 40 ans", "depuis 3 ans")
+const TRAILING_AGE_RE = new RegExp(
+  "(?<![\\p{L}\\d.,])(?<!(?:^|\\P{L})(?:y\\s+a|depuis|pendant|dans|pour|sur|de|d['’]|" +
+    `patiente?|femme|homme|enfant|mme|mr?|[aâ]g[eé]e?s?)\\s*)${FR_AGE}`,
+  'giu',
+);
+
+const DIAGNOSIS_CUE_RE = /\b(?:diagnosed|diagnosis|dx|diagnostiqu[eé]e?s?|diagnostic)\b/i;
+
+// Sentences: split on newline, ; ! ? and "." followed by a space
+function sentences(text) {
+  const out = [];
+  const boundary = /[\n;!?]|\.(?=\s|$)/g;
+  let start = 0;
+  let m;
+  while ((m = boundary.exec(text)) !== null) {
+    out.push({ start, end: m.index });
+    start = m.index + 1;
+  }
+  out.push({ start, end: text.length });
+  return out.filter((s) => s.end > s.start);
+}
+
+function findConditions(text, from, to) {
+  const found = [];
+  const re = new RegExp(CONDITION_RE.source, 'gi');
+  for (const m of text.slice(from, to).matchAll(re)) {
+    const { frOrgan, frStandalone } = m.groups;
+    const organ = (m.groups.organ || '').toLowerCase();
+    const standalone = (m.groups.standalone || '').toLowerCase();
+    let type = 'unspecified';
+    if (frOrgan) type = FR_ORGAN_TYPES[foldCase(frOrgan).replace(/\s+/g, ' ')];
+    else if (frStandalone) type = FR_STANDALONE_TYPES[foldCase(frStandalone)];
+    else if (organ) type = ORGAN_TYPES[organ.replace(/\s+/g, ' ')];
+    else if (standalone) type = STANDALONE_TYPES[standalone] || standalone;
+    found.push({
+      condition: m[0].toLowerCase().replace(/\s+/g, ' '),
+      cancer_type: type,
+      start: from + m.index,
+      end: from + m.index + m[0].length,
+    });
+  }
+  return found;
+}
+
+function findAges(text, from, to) {
+  const byPosition = new Map();
+  const chunk = text.slice(from, to);
+  for (const re of [...AGE_RES, TRAILING_AGE_RE]) {
+    for (const m of chunk.matchAll(new RegExp(re.source, re.flags))) {
+      const age = Number(m[1]);
+      if (age < 1 || age > 110) continue;
+      const numStart = from + m.index + m[0].lastIndexOf(m[1]);
+      if (byPosition.has(numStart)) continue;
+      byPosition.set(numStart, {
+        age,
+        start: from + m.index,
+        end: from + m.index + m[0].length,
+        trailing: re === TRAILING_AGE_RE,
+      });
+    }
+  }
+  return Array.from(byPosition.values()).sort((a, b) => a.start - b.start);
+}
+
+// Condition closest to the age; a condition written BEFORE the age is preferred
+function closestCondition(conditions, age) {
+  let best = null;
+  let bestScore = Infinity;
+  for (const c of conditions) {
+    const before = c.end <= age.start;
+    const distance = before ? age.start - c.end : c.start - age.end + 10;
+    if (distance < bestScore) {
+      best = c;
+      bestScore = distance;
+    }
+  }
+  return best;
+}
+
+/**
+ * Extracts (condition, age) pairs from one text.
+ * Returns [{ condition, cancer_type, age, start, end, text }] — offsets cover
+ * the condition and the age expression.
+ */
+export function extractDiagnosisAges(text) {
+  const src = (text ?? '').toString();
+  const pairs = [];
+
+  for (const s of sentences(src)) {
+    const conditions = findConditions(src, s.start, s.end);
+    const hasCue = DIAGNOSIS_CUE_RE.test(src.slice(s.start, s.end));
+    if (conditions.length === 0 && !hasCue) continue;
+
+    const sentencePairs = [];
+    for (const age of findAges(src, s.start, s.end)) {
+      const c = closestCondition(
+        age.trailing ? conditions.filter((x) => x.end <= age.start) : conditions,
+        age,
+      );
+      if (!c && (!hasCue || age.trailing)) continue;
+
+      // "no breast cancer at 40" / "diagnosis at 40 was ruled out"
+      const anchor = c || age;
+      if (classifyMention(src, anchor.start, anchor.end).status === 'negated') continue;
+
+      const start = Math.min(anchor.start, age.start);
+      const end = Math.max(anchor.end, age.end);
+      const pair = {
+        condition: c ? c.condition : null,
+        cancer_type: c ? c.cancer_type : 'unspecified',
+        age: age.age,
+        start,
+        end,
+        text: src.slice(start, end),
+      };
+
+      // One age per condition: the number closest to the cancer term
+      // ("Breast cancer at 38, surgery at 52" -> 38)
+      const previous = c && sentencePairs.find((p) => p.anchor === c);
+      if (!previous) {
+        sentencePairs.push({ anchor: c, pair, span: end - start });
+      } else if (end - start < previous.span) {
+        Object.assign(previous, { pair, span: end - start });
+      }
+    }
+    pairs.push(...sentencePairs.map((p) => p.pair));
+  }
+
+  return pairs;
+}
+
+/**
+ * Cancer type of a condition label ("Colon cancer" -> 'colorectal'), or null when the
+ * label names no cancer.
+ */
+export function cancerTypeOf(condition) {
+  const text = (condition ?? '').toString();
+  return findConditions(text, 0, text.length)[0]?.cancer_type ?? null;
+}
+
+/**
+ * Threshold of a cancer type ("before N"), from the pack's early_onset config.
+ */
+export function earlyOnsetThreshold(cancerType, config = {}) {
+  return config.thresholds?.[cancerType] ?? config.default_threshold ?? 50;
+}
+
+/**
+ * Runs the extraction on the free-text fields of a payload and applies thresholds.
+ * Returns [{ field, condition, cancer_type, age, threshold, early_onset, start, end, text }].
+ */
+export function assessDiagnosisAges(payload, config = {}) {
+  const results = [];
+  for (const field of AGE_FIELDS) {
+    for (const pair of extractDiagnosisAges(payload[field])) {
+      const threshold = earlyOnsetThreshold(pair.cancer_type, config);
+      results.push({ field, ...pair, threshold, early_onset: pair.age < threshold });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,254 @@
+/**
+ * batch.js
+ * ------------------------------------------------------------
+ * Batch triage of referral backlogs (POST /cases/batch): many payloads in one
+ * request, as NDJSON (one JSON payload per line) or CSV (one case per row).
+ *
+ * CSV columns are payload fields (patient_age, clinical_notes, ...), or are mapped
+ * to them with a column mapping ("Age:patient_age,Notes:clinical_notes"). The
+ * delimiter is "," or ";" (whichever the header uses), cells may be quoted, and
+ * cells holding JSON (relatives, carrier_status...) are parsed.
+ *
+ * Each case runs Step 1. With autoConfirm, Step 2 also runs with the suggested flags
+ * auto-confirmed: those results are labelled review_status 'unreviewed' and must be
+ * confirmed by a physician before any referral decision.
+ */
+import { validateCasePayload } from './caseValidation.js';
+import { assessCase } from './decisionEngine.js';
+import { TRIAGE_TIERS } from './whatIf.js';
+
+// Larger backlogs are split by the caller
+export const MAX_BATCH_ROWS = 1000;
+
+export const BATCH_FORMATS = ['ndjson', 'csv'];
+
+// review_status of a row result
+export const REVIEW_STATUS = {
+  pending: 'pending_confirmation', // Step 1 only
+  unreviewed: 'unreviewed', // suggested flags auto-confirmed (autoConfirm)
+  confirmed: 'confirmed', // confirmed_flags sent with the row
+};
+
+/**
+ * NDJSON: one payload per non-blank line.
+ * Returns [{ row, payload } | { row, error }], row being the line number.
+ */
+export function parseNdjson(text) {
+  const entries = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      entries.push({ row: i + 1, payload: JSON.parse(line) });
+    } catch (err) {
+      entries.push({ row: i + 1, error: `Invalid JSON (${err.message})` });
+    }
+  });
+  return entries;
+}
+
+/**
+ * CSV records (RFC 4180 quoting): [[cell, ...], ...]. Blank lines are skipped.
+ */
+export function parseCsvRecords(text, delimiter = ',') {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+
+  const endCell = () => {
+    record.push(cell);
+    cell = '';
+  };
+  const endRecord = () => {
+    endCell();
+    if (record.some((c) => c.trim() !== '')) records.push(record);
+    record = [];
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      endCell();
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i += 1;
+      endRecord();
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) throw new Error('Invalid CSV: unterminated quoted cell');
+  if (cell !== '' || record.length) endRecord();
+
+  return records;
+}
+
+/**
+ * "Age:patient_age, Notes:clinical_notes" -> { Age: 'patient_age', Notes: 'clinical_notes' }
+ */
+export function parseColumnMapping(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  return Object.fromEntries(
+    value
+      .split(',')
+      .map((pair) => pair.split(':').map((s) => s.trim()))
+      .filter(([column, field]) => column && field),
+  );
+}
+
+// JSON cells (relatives, carrier_status, known_family_variant...) are parsed
+function cellValue(cell) {
+  const s = cell.trim();
+  if (/^[[{]/.test(s)) {
+    try {
+      return JSON.parse(s);
+    } catch {
+      return cell;
+    }
+  }
+  return cell;
+}
+
+/**
+ * CSV with a header row. Empty cells are left out of the payload.
+ * Returns [{ row, payload }], row being the record number (header excluded).
+ */
+export function parseCsv(text, mapping = {}) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter =
+    (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length
+      ? ';'
+      : ',';
+  const [header = [], ...records] = parseCsvRecords(
+    text.replace(/^\uFEFF/, ''),
+    delimiter,
+  );
+  const columns = header.map((h) => h.trim());
+  const fields = columns.map((c) => mapping[c] ?? c);
+
+  return records.map((cells, i) => {
+    const payload = {};
+    cells.forEach((cell, j) => {
+      if (!fields[j] || cell.trim() === '') return;
+      payload[fields[j]] = cellValue(cell);
+    });
+    return { row: i + 1, payload };
+  });
+}
+
+/**
+ * Parses a batch body. format: 'ndjson' | 'csv'.
+ * Throws when the body cannot be read as a batch.
+ */
+export function readBatch(text, format, mapping = {}) {
+  if (!BATCH_FORMATS.includes(format)) {
+    throw new Error(`Unknown batch format "${format}" (expected ndjson or csv)`);
+  }
+  if (typeof text !== 'string' || !text.trim()) throw new Error('Empty batch');
+
+  const entries = format === 'csv' ? parseCsv(text, mapping) : parseNdjson(text);
+  if (!entries.length) throw new Error('Empty batch');
+  if (entries.length > MAX_BATCH_ROWS) {
+    throw new Error(`Too many cases (${entries.length}, max ${MAX_BATCH_ROWS})`);
+  }
+  return entries;
+}
+
+// Compact row result (the full result stays available through /cases)
+function rowResult(row, result, review_status, validation) {
+  return {
+    row,
+    status: 'ok',
+    review_status,
+    case_id: result.case_id,
+    pathway: result.pathway,
+    rules_version: result.rules_version,
+    language: result.language,
+    triage: result.triage,
+    priority_score: result.priority_score,
+    suggested_flags: result.suggested_flags,
+    used_flags: result.used_flags,
+    reasons: result.reasons,
+    missing_info: result.missing_info,
+    next_steps: result.next_steps,
+    input_errors: validation.errors,
+  };
+}
+
+/**
+ * Assesses one case: Step 1, then Step 2 on the confirmed flags it carries or, with
+ * autoConfirm, on its suggested flags (no suggested flag: score 0, not_prioritized).
+ */
+function assessRow(payload, options) {
+  const given = Array.isArray(payload.confirmed_flags) ? payload.confirmed_flags : [];
+  if (given.length) {
+    return [assessCase(structuredClone(payload), options), REVIEW_STATUS.confirmed];
+  }
+
+  const step1 = assessCase(structuredClone({ ...payload, confirmed_flags: [] }), options);
+  if (!options.autoConfirm) return [step1, REVIEW_STATUS.pending];
+  if (!step1.suggested_flags.length) {
+    return [
+      { ...step1, triage: TRIAGE_TIERS[0], priority_score: 0 },
+      REVIEW_STATUS.unreviewed,
+    ];
+  }
+  const step2 = assessCase(
+    structuredClone({ ...payload, confirmed_flags: step1.suggested_flags }),
+    options,
+  );
+  return [step2, REVIEW_STATUS.unreviewed];
+}
+
+/**
+ * Runs a batch. options: { autoConfirm, strict, now, rulePacks }.
+ * In strict mode, rows with input errors are not assessed (status 'invalid').
+ * Returns { mode, rows, summary: { total, assessed, invalid, errors, by_triage } }.
+ */
+export function runBatch(entries, options = {}) {
+  const rows = entries.map(({ row, payload, error }) => {
+    if (error) return { row, status: 'error', error };
+
+    const validation = validateCasePayload(payload);
+    if (options.strict && !validation.valid) {
+      return { row, status: 'invalid', errors: validation.errors };
+    }
+    try {
+      const [result, review_status] = assessRow(validation.payload || {}, options);
+      return rowResult(row, result, review_status, validation);
+    } catch (err) {
+      return { row, status: 'error', error: err?.message || String(err) };
+    }
+  });
+
+  const by_triage = Object.fromEntries(
+    [REVIEW_STATUS.pending, ...TRIAGE_TIERS].map((tier) => [tier, 0]),
+  );
+  for (const r of rows) {
+    if (r.status === 'ok') by_triage[r.triage] = (by_triage[r.triage] ?? 0) + 1;
+  }
+  const count = (status) => rows.filter((r) => r.status === status).length;
+
+  return {
+    mode: options.autoConfirm ? REVIEW_STATUS.unreviewed : 'propose_flags',
+    rows,
+    summary: {
+      total: rows.length,
+      assessed: count('ok'),
+      invalid: count('invalid'),
+      errors: count('error'),
+      by_triage,
+    },
+  };
+}
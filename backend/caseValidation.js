@@ -0,0 +1,221 @@
+/**
+ * caseValidation.js
+ * ------------------------------------------------------------
+ * Checks a POST /cases body against schemas/casePayload.schema.json and returns
+ * field-level errors, so integrations can tell a bad submission from a low score.
+ *
+ * Values are coerced before the check (the form and most integrations send text):
+ *  - numbers (patient_age, gestational_*, pregnancy_losses, relatives[].degree /
+ *    age_at_diagnosis): numeric strings become numbers ("42", "12,5"), "" becomes null
+ *  - lists (hpo_terms, prenatal_findings, ...): a string is split on commas and
+ *    semicolons, null becomes []
+ *  - keywords (pathway, patient_sex, pregnancy_status, ...): trimmed, lower-cased,
+ *    spaces and hyphens turned into "_" ("Not applicable" -> "not_applicable")
+ *  - known_family_variant: a bare status ("yes", true) becomes { status }
+ * Anything else is left as sent: "abc" in patient_age stays "abc" and is reported.
+ *
+ * An error: { field: 'relatives[0].age_at_diagnosis', code: 'type', message, value },
+ * code being the failing JSON Schema keyword or 'unknown_pathway'.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import Ajv from 'ajv';
+
+import { RULE_PACKS } from './rulePacks.js';
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const SCHEMA_PATH = path.join(HERE, 'schemas', 'casePayload.schema.json');
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validateSchema = ajv.compile(JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8')));
+
+const NUMBER_FIELDS = [
+  'patient_age',
+  'gestational_weeks',
+  'gestational_days',
+  'ultrasound_ga',
+  'pregnancy_losses',
+];
+const LIST_FIELDS = [
+  'family_history_red_flags',
+  'personal_history_flags',
+  'prenatal_findings',
+  'pediatric_red_flags',
+  'hpo_terms',
+  'confirmed_flags',
+  'ancestry_groups',
+];
+const KEYWORD_FIELDS = [
+  'pathway',
+  'language',
+  'patient_sex',
+  'pregnancy_status',
+  'data_completeness_level',
+];
+
+// Fields of the entries of a list (relatives[], carrier_status[])
+const ENTRY_FIELDS = {
+  relatives: {
+    numbers: ['degree', 'age_at_diagnosis'],
+    keywords: ['side', 'sex', 'vital_status'],
+  },
+  carrier_status: { numbers: [], keywords: ['partner', 'status'] },
+};
+
+function isPlainObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toNumber(value) {
+  if (typeof value !== 'string') return value;
+  const s = value.trim();
+  if (s === '') return null;
+  const n = Number(s.replace(',', '.'));
+  return Number.isFinite(n) ? n : value;
+}
+
+function toList(value) {
+  if (value == null) return [];
+  if (typeof value !== 'string') return value;
+  return value
+    .split(/[,;]/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function toKeyword(value) {
+  if (typeof value !== 'string') return value;
+  return value
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Applies the coercion rules to a copy of the payload.
+ * Returns { payload, coercions: [{ field, from, to }] } (changed values only).
+ */
+export function coerceCasePayload(payload) {
+  if (!isPlainObject(payload)) return { payload, coercions: [] };
+
+  const out = { ...payload };
+  const coercions = [];
+
+  function apply(target, key, field, fn) {
+    if (!(key in target)) return;
+    const from = target[key];
+    const to = fn(from);
+    if (JSON.stringify(to) === JSON.stringify(from)) return;
+    target[key] = to;
+    coercions.push({ field, from, to });
+  }
+
+  for (const f of NUMBER_FIELDS) apply(out, f, f, toNumber);
+  for (const f of LIST_FIELDS) apply(out, f, f, toList);
+  for (const f of KEYWORD_FIELDS) apply(out, f, f, toKeyword);
+
+  if (['string', 'boolean'].includes(typeof out.known_family_variant)) {
+    apply(out, 'known_family_variant', 'known_family_variant', (v) => ({
+      status: toKeyword(v),
+    }));
+  } else if (isPlainObject(out.known_family_variant)) {
+    out.known_family_variant = { ...out.known_family_variant };
+    apply(out.known_family_variant, 'status', 'known_family_variant.status', toKeyword);
+  }
+
+  for (const [list, { numbers, keywords }] of Object.entries(ENTRY_FIELDS)) {
+    if (!Array.isArray(out[list])) continue;
+    out[list] = out[list].map((entry, i) => {
+      if (!isPlainObject(entry)) return entry;
+      const copy = { ...entry };
+      for (const f of numbers) apply(copy, f, `${list}[${i}].${f}`, toNumber);
+      for (const f of keywords) apply(copy, f, `${list}[${i}].${f}`, toKeyword);
+      return copy;
+    });
+  }
+
+  return { payload: out, coercions };
+}
+
+// "/relatives/0/age_at_diagnosis" -> ['relatives', 0, 'age_at_diagnosis']
+function pathSegments(instancePath) {
+  return instancePath
+    .split('/')
+    .slice(1)
+    .map((s) => s.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .map((s) => (/^\d+$/.test(s) ? Number(s) : s));
+}
+
+// ['relatives', 0, 'age_at_diagnosis'] -> "relatives[0].age_at_diagnosis" (null: whole body)
+function fieldName(segments) {
+  if (!segments.length) return null;
+  return segments
+    .map((s, i) => (typeof s === 'number' ? `[${s}]` : i ? `.${s}` : s))
+    .join('');
+}
+
+function valueAt(payload, segments) {
+  return segments.reduce((v, s) => (v == null ? undefined : v[s]), payload);
+}
+
+function describeError(e) {
+  switch (e.keyword) {
+    case 'required':
+      return 'is required';
+    case 'type':
+      return `must be ${e.params.type.toString().split(',').join(' or ')}`;
+    case 'enum':
+      return `must be one of: ${e.params.allowedValues
+        .filter((v) => v !== '' && v !== null)
+        .join(', ')}`;
+    default:
+      return e.message;
+  }
+}
+
+/**
+ * Coerces then validates a case payload.
+ * Returns { valid, payload (coerced), errors, coercions }.
+ */
+export function validateCasePayload(payload, packs = RULE_PACKS) {
+  const { payload: coerced, coercions } = coerceCasePayload(payload);
+  const errors = [];
+  const seen = new Set();
+
+  function push(error) {
+    const key = `${error.field}|${error.code}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    errors.push(error);
+  }
+
+  if (!validateSchema(coerced)) {
+    for (const e of validateSchema.errors) {
+      // "must match then schema": the errors of the then branch are listed already
+      if (e.keyword === 'if') continue;
+      const segments = pathSegments(e.instancePath);
+      if (e.keyword === 'required') segments.push(e.params.missingProperty);
+      const value = valueAt(coerced, segments);
+      push({
+        field: fieldName(segments),
+        code: e.keyword,
+        message: describeError(e),
+        value: value === undefined ? null : value,
+      });
+    }
+  }
+
+  const pathway = coerced?.pathway;
+  if (typeof pathway === 'string' && pathway && !packs[pathway]) {
+    push({
+      field: 'pathway',
+      code: 'unknown_pathway',
+      message: `must be one of: ${Object.keys(packs).join(', ')}`,
+      value: pathway,
+    });
+  }
+
+  return { valid: errors.length === 0, payload: coerced, errors, coercions };
+}
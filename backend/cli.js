@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+/**
+ * cli.js
+ * ------------------------------------------------------------
+ * `dara`: runs the decision engine offline, without Express or the browser UI.
+ *
+ *   dara case.json                          Step 1 (suggested flags)
+ *   dara case.json --confirm flag1,flag2    Step 2 (score and triage)
+ *   cat case.json | dara - --format json
+ *
+ * The case file has the shape of docs/api_payload_*.json (the POST /cases body).
+ * Output formats: table (default), json (the /cases result) or summary (referral
+ * summary text). The exit code reflects the triage tier (EXIT_CODES), so scripts
+ * can test `[ $? -ge 30 ]` for "recommended or above".
+ */
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+import { validateCasePayload } from './caseValidation.js';
+import { assessCase } from './decisionEngine.js';
+
+export const EXIT_CODES = {
+  not_prioritized: 0,
+  pending_confirmation: 10,
+  discuss: 20,
+  recommended: 30,
+  urgent: 40,
+  engine_error: 1,
+  usage_error: 2,
+};
+
+export const OUTPUT_FORMATS = ['table', 'json', 'summary'];
+
+const USAGE = `Usage: dara [file|-] [options]
+
+Reads a case (POST /cases payload) from a JSON file or stdin and runs the engine.
+
+Options:
+  --confirm a,b     confirm these flags and run Step 2 (score and triage)
+  --format f        table (default), json or summary
+  --language l      output language (en, fr), overrides the payload
+  --now date        assessment date (ISO), for prenatal dating
+  --strict          stop on input errors instead of reporting them
+  -h, --help        show this help
+
+Exit codes: 0 not prioritized, 10 pending confirmation (Step 1), 20 discuss,
+30 recommended, 40 urgent, 1 engine error, 2 usage or input error.`;
+
+class UsageError extends Error {}
+
+/**
+ * Command-line arguments -> { file, confirm, format, language, now, strict, help }.
+ * Throws a UsageError on unknown or incomplete options.
+ */
+export function parseArgs(argv) {
+  const args = { file: null, confirm: null, format: 'table', strict: false, help: false };
+  const valueOf = (i, name) => {
+    if (i >= argv.length || argv[i].startsWith('--')) {
+      throw new UsageError(`${name} needs a value`);
+    }
+    return argv[i];
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') args.help = true;
+    else if (arg === '--strict') args.strict = true;
+    else if (arg === '--confirm') {
+      i += 1;
+      args.confirm = valueOf(i, arg)
+        .split(',')
+        .map((f) => f.trim())
+        .filter(Boolean);
+    } else if (arg === '--format') {
+      i += 1;
+      args.format = valueOf(i, arg);
+      if (!OUTPUT_FORMATS.includes(args.format)) {
+        throw new UsageError(
+          `unknown format "${args.format}" (${OUTPUT_FORMATS.join(', ')})`,
+        );
+      }
+    } else if (arg === '--language') {
+      i += 1;
+      args.language = valueOf(i, arg);
+    } else if (arg === '--now') {
+      i += 1;
+      args.now = valueOf(i, arg);
+      if (Number.isNaN(Date.parse(args.now))) {
+        throw new UsageError(`invalid date "${args.now}"`);
+      }
+    } else if (arg.startsWith('-') && arg !== '-') {
+      throw new UsageError(`unknown option ${arg}`);
+    } else if (args.file) {
+      throw new UsageError('only one case file at a time');
+    } else {
+      args.file = arg;
+    }
+  }
+  return args;
+}
+
+/**
+ * Exit code of a result (EXIT_CODES).
+ */
+export function exitCodeFor(result) {
+  return EXIT_CODES[result.triage] ?? EXIT_CODES.engine_error;
+}
+
+// Rows padded into aligned columns
+function table(rows) {
+  const widths = rows[0].map((_, j) => Math.max(...rows.map((r) => String(r[j]).length)));
+  return rows.map((r) =>
+    r
+      .map((c, j) => String(c).padEnd(widths[j]))
+      .join('  ')
+      .trimEnd(),
+  );
+}
+
+function bullets(title, items) {
+  return [title, ...(items?.length ? items.map((x) => `- ${x}`) : ['- None']), ''];
+}
+
+/**
+ * Result as a readable table (triage, score breakdown, reasons, missing info, next steps).
+ */
+export function formatTable(result) {
+  const lines = [
+    `DARA — ${result.pathway} (rules ${result.rules_version ?? 'n/a'}, ${result.language})`,
+    '',
+  ];
+  const head = [['Triage', result.triage]];
+  if (result.priority_score != null) {
+    head.push([
+      'Score',
+      `${result.priority_score}/${result.triage_thresholds.max_score}`,
+    ]);
+    const next = result.score_breakdown?.next_tier;
+    head.push([
+      'Next tier',
+      next
+        ? `${next.tier} at ${next.threshold} (${next.points_needed} point(s))`
+        : 'none',
+    ]);
+  }
+  if (result.urgency) head.push(['Urgency', result.urgency.level]);
+  lines.push(...table(head), '');
+
+  const breakdown = result.score_breakdown;
+  if (breakdown) {
+    const rows = breakdown.contributions.map((c) => [c.flag, c.source, `+${c.weight}`]);
+    if (breakdown.cap_applied) {
+      rows.push([`cap (max ${breakdown.max_score})`, '', `-${breakdown.capped_points}`]);
+    }
+    lines.push(...table([['Flag', 'Source', 'Points'], ...rows]), '');
+    if (breakdown.ignored_flags.length) {
+      lines.push(`Ignored flags: ${breakdown.ignored_flags.join(', ')}`, '');
+    }
+    if (breakdown.superseded_flags.length) {
+      const superseded = breakdown.superseded_flags.map((s) => `${s.flag} (by ${s.by})`);
+      lines.push(`Superseded flags: ${superseded.join(', ')}`, '');
+    }
+  } else {
+    const rows = result.suggested_flags.map((f) => {
+      const e = result.evidence.find((x) => x.flag === f);
+      return [f, e ? `${e.field}: "${e.text}"` : ''];
+    });
+    lines.push(...table([['Suggested flag', 'Evidence'], ...rows]), '');
+  }
+
+  lines.push(
+    ...bullets('Reasons', result.reasons),
+    ...bullets('Missing information', result.missing_info),
+    ...bullets('Next steps', result.next_steps),
+  );
+  return lines.join('\n').trimEnd();
+}
+
+/**
+ * Referral summary text (same sections as the summary of the web interface).
+ */
+export function formatSummary(payload, result) {
+  const score = result.priority_score ?? 'N/A';
+  const lines = [
+    'Genetic Referral Summary (Educational)',
+    '=====================================',
+  ];
+  if (payload.patient_file_number) {
+    lines.push(`Patient file number: ${payload.patient_file_number}`);
+  }
+  lines.push(
+    `Created at: ${result.created_at}`,
+    `Pathway: ${result.pathway}`,
+    `Rules version: ${result.rules_version ?? 'n/a'}`,
+    `Triage: ${result.triage} (score: ${score}/${result.triage_thresholds.max_score})`,
+  );
+  for (const c of result.score_breakdown?.contributions || []) {
+    lines.push(`  + ${c.weight} ${c.flag} (${c.source})`);
+  }
+  lines.push(
+    '',
+    'Clinical context',
+    `- Chief concern: ${payload.chief_concern || 'N/A'}`,
+  );
+  if (payload.patient_age != null) lines.push(`- Age: ${payload.patient_age}`);
+  if (payload.patient_sex) lines.push(`- Sex: ${payload.patient_sex}`);
+  if (result.gestational_age?.label) {
+    lines.push(`- Gestational age: ${result.gestational_age.label}`);
+  }
+  if (payload.family_history_summary) {
+    lines.push(`- Family history: ${payload.family_history_summary}`);
+  }
+  if (payload.clinical_notes) lines.push(`- Clinical notes: ${payload.clinical_notes}`);
+  lines.push('');
+
+  for (const g of result.guideline_criteria || []) {
+    lines.push(`Guideline: ${g.name}: ${g.status.replace(/_/g, ' ')}`);
+  }
+  if (result.guideline_criteria?.length) lines.push('');
+
+  lines.push(
+    ...bullets('Key reasons', result.reasons),
+    ...bullets('Suggested red flags (auto-detected)', result.suggested_flags),
+    ...bullets('Flags used for scoring', result.used_flags),
+  );
+  if (result.follow_up_answers?.length) {
+    lines.push(
+      ...bullets(
+        'Follow-up answers',
+        result.follow_up_answers.map((a) => `${a.question}: ${a.answer}`),
+      ),
+    );
+  }
+  if (result.follow_up_questions?.length) {
+    lines.push(
+      ...bullets(
+        'Open follow-up questions',
+        result.follow_up_questions.map((q) => q.question),
+      ),
+    );
+  }
+  lines.push(
+    ...bullets('Missing information to collect', result.missing_info),
+    ...bullets('Suggested next steps', result.next_steps),
+    'Disclaimer',
+    result.disclaimer,
+  );
+  return lines.join('\n');
+}
+
+const defaultIo = {
+  readFile: (file) => fs.readFileSync(file, 'utf8'),
+  readStdin: () => fs.readFileSync(0, 'utf8'),
+  out: (text) => process.stdout.write(`${text}\n`),
+  err: (text) => process.stderr.write(`${text}\n`),
+};
+
+/**
+ * Runs the CLI. Returns the exit code.
+ */
+export function main(argv, io = defaultIo) {
+  let args;
+  let payload;
+  try {
+    args = parseArgs(argv);
+    if (args.help) {
+      io.out(USAGE);
+      return 0;
+    }
+    const text =
+      !args.file || args.file === '-' ? io.readStdin() : io.readFile(args.file);
+    payload = JSON.parse(text);
+  } catch (err) {
+    io.err(
+      `dara: ${err instanceof UsageError ? err.message : `cannot read case (${err.message})`}`,
+    );
+    if (err instanceof UsageError) io.err(USAGE);
+    return EXIT_CODES.usage_error;
+  }
+
+  const validation = validateCasePayload(payload);
+  for (const e of validation.errors) {
+    io.err(`dara: ${e.field ?? 'payload'}: ${e.message}`);
+  }
+  if (args.strict && !validation.valid) return EXIT_CODES.usage_error;
+
+  const input = { ...validation.payload };
+  if (args.language) input.language = args.language;
+  if (args.confirm) input.confirmed_flags = args.confirm;
+
+  let result;
+  try {
+    result = assessCase(structuredClone(input), { now: args.now });
+  } catch (err) {
+    io.err(`dara: decision engine error (${err.message})`);
+    return EXIT_CODES.engine_error;
+  }
+
+  if (args.format === 'json') io.out(JSON.stringify(result, null, 2));
+  else if (args.format === 'summary') io.out(formatSummary(input, result));
+  else io.out(formatTable(result));
+
+  return exitCodeFor(result);
+}
+
+// Run when called as a command (dara / node cli.js), not when imported
+if (
+  process.argv[1] &&
+  fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)
+) {
+  process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,72 @@
+/**
+ * combinations.js
+ * ------------------------------------------------------------
+ * Combination rules (combinations in the rule pack): flags that weigh more together
+ * than apart, e.g. colorectal + endometrial cancers (Lynch syndrome).
+ *
+ *   { "id": "colorectal_endometrial_pattern", "weight": 25,
+ *     "flags": ["colorectal_cancer", "endometrial_cancer"],
+ *     "reason": "Colorectal and endometrial cancers in the same family..." }
+ *
+ * A combination applies when min_count of its flags (default: all of them) are
+ * suggested (Step 1) or confirmed (Step 2), and the patient matches its optional
+ * conditions (sex, min_age, max_age on patient_sex / patient_age). Its weight is
+ * added to the score on top of the flags' own weights.
+ *
+ * The bundled oncogenetic combinations were flags of their own before oncogenetics
+ * rules 1.8.0: their id sent in confirmed_flags still scores legacy_weight, the
+ * former weight of that flag.
+ */
+import { foldCase } from './textMatcher.js';
+
+// Patient age as a number, null when missing or invalid
+function patientAge(payload) {
+  if (payload.patient_age == null || payload.patient_age === '') return null;
+  const age = Number(payload.patient_age);
+  return Number.isFinite(age) ? age : null;
+}
+
+/**
+ * True when the patient matches the combination conditions.
+ * An unknown age never matches an age condition.
+ */
+function matchesPatient(rule, payload) {
+  if (rule.sex) {
+    const sex = foldCase(payload.patient_sex || 'unknown');
+    if (!rule.sex.includes(sex)) return false;
+  }
+  if (rule.min_age != null || rule.max_age != null) {
+    const age = patientAge(payload);
+    if (age === null) return false;
+    if (rule.min_age != null && age < rule.min_age) return false;
+    if (rule.max_age != null && age > rule.max_age) return false;
+  }
+  return true;
+}
+
+/**
+ * Evaluates combination rules on a list of flags.
+ * Returns [{ rule, flags }] for every combination that applies (flags: the ones
+ * present, in rule order).
+ */
+export function evaluateCombinations(rules = [], flags = [], payload = {}) {
+  const hits = [];
+
+  for (const rule of rules) {
+    const present = rule.flags.filter((f) => flags.includes(f));
+    if (present.length < (rule.min_count ?? rule.flags.length)) continue;
+    if (!matchesPatient(rule, payload)) continue;
+    hits.push({ rule, flags: present });
+  }
+
+  return hits;
+}
+
+/**
+ * Combination rules whose id is in a confirmed flag list and that were flags of their
+ * own (legacy_weight). Each one is scored as that single flag, at its former weight:
+ * the flags it combines are not confirmed with it.
+ */
+export function legacyCombinationFlags(rules = [], flags = []) {
+  return rules.filter((r) => r.legacy_weight != null && flags.includes(r.id));
+}
@@ -0,0 +1,463 @@
+/**
+ * criteria.js
+ * ------------------------------------------------------------
+ * Guideline criteria checkers for the oncogenetics pathway, modeled on published
+ * referral criteria (simplified, educational):
+ *  - hboc:             hereditary breast / ovarian cancer referral criteria
+ *  - amsterdam_ii:     Amsterdam II criteria (Lynch syndrome)
+ *  - revised_bethesda: revised Bethesda guidelines (tumor testing for Lynch syndrome)
+ *
+ * They run on the STRUCTURED payload only: relatives[] (the patient is the entry with
+ * relation "self"). For the patient, patient_sex gives the sex and patient_age bounds
+ * an unknown age at diagnosis (diagnosed at or before the current age). Free-text
+ * notes are not read. Each criterion is reported as
+ *   met | partially_met | not_met | not_evaluable (data missing)
+ * and the guideline gets an overall status. Without any relatives[] entry, nothing
+ * can be ruled out: criteria are not_evaluable, never not_met. They are shown next
+ * to the weighted score; they do not change it. Names, labels and details follow
+ * the output language (i18n.js).
+ *
+ * Educational triage only — NOT medical advice.
+ */
+import { cancerTypeOf } from './ageExtraction.js';
+import { DEFAULT_LANGUAGE, t } from './i18n.js';
+import { classifyMention } from './negation.js';
+import { describeRelative, normalizeRelatives } from './relatives.js';
+import { foldCase } from './textMatcher.js';
+
+// Amsterdam II: HNPCC-associated cancers
+const AMSTERDAM_TYPES = ['colorectal', 'endometrial', 'small_bowel', 'urothelial'];
+
+// Revised Bethesda: Lynch-associated tumors
+const BETHESDA_TYPES = [
+  ...AMSTERDAM_TYPES,
+  'gastric',
+  'ovarian',
+  'pancreatic',
+  'biliary',
+  'brain',
+  'sebaceous',
+];
+
+const HBOC_FAMILY_TYPES = ['breast', 'ovarian', 'pancreatic', 'prostate'];
+
+const TRIPLE_NEGATIVE_RE = /triple[\s-]*negative|\btnbc\b/i;
+const MSI_HIGH_RE = /\bmsi[\s-]*(?:h|high)\b|\bdmmr\b|mismatch repair defici/i;
+const POLYPOSIS_RE = /polyposis|\bfap\b/i;
+
+// ------------------------------
+// People and kinship
+// ------------------------------
+
+function isPatient(p) {
+  return p.degree === 0;
+}
+
+/**
+ * Affected people (patient + relatives with a condition), with their cancer type.
+ * The patient takes patient_sex, and patient_age as the upper bound of an unknown
+ * age at diagnosis (age_bound).
+ */
+function affectedPeople(payload) {
+  const patientAge = Number.parseFloat(payload.patient_age);
+  const patientSex = foldCase(payload.patient_sex).trim();
+  return normalizeRelatives(payload.relatives)
+    .filter((r) => r.condition)
+    .map((r) => {
+      const person = { ...r, type: cancerTypeOf(r.condition), age_bound: null };
+      if (!isPatient(r)) return person;
+      if (['female', 'male'].includes(patientSex)) person.sex = patientSex;
+      if (r.age_at_diagnosis == null && Number.isFinite(patientAge)) {
+        person.age_bound = patientAge;
+      }
+      return person;
+    });
+}
+
+function describePerson(p, language) {
+  return describeRelative(isPatient(p) ? { ...p, relation: 'patient' } : p, language);
+}
+
+function names(people, language) {
+  return people.map((p) => describePerson(p, language)).join(', ');
+}
+
+// Role of a relative in the pedigree, seen from the patient
+function roleOf(p) {
+  const rel = foldCase(p.relation);
+  if (p.degree === 0) return 'self';
+  if (/\b(half|great|step)\b/.test(rel)) return 'other';
+  if (/\b(mother|father|parent)\b/.test(rel)) return 'parent';
+  if (/\b(sister|brother|sibling)\b/.test(rel)) return 'sibling';
+  if (/\b(daughter|son|child)\b/.test(rel)) return 'child';
+  if (/\bgrand(mother|father|parent)\b/.test(rel)) return 'grandparent';
+  if (/\b(aunt|uncle)\b/.test(rel)) return 'auntuncle';
+  return 'other';
+}
+
+const GENERATION = {
+  self: 0,
+  sibling: 0,
+  parent: -1,
+  auntuncle: -1,
+  grandparent: -2,
+  child: 1,
+};
+
+function sameKnownSide(a, b) {
+  const known = ['maternal', 'paternal'];
+  if (!known.includes(a.side) || !known.includes(b.side)) return null;
+  return a.side === b.side;
+}
+
+/**
+ * True / false when two people are (not) first-degree relatives of each other,
+ * null when the pedigree does not tell (unknown side, distant relatives).
+ */
+export function areFirstDegree(a, b) {
+  const pair = [roleOf(a), roleOf(b)].sort().join('+');
+  switch (pair) {
+    case 'parent+self':
+    case 'self+sibling':
+    case 'child+self':
+    case 'parent+sibling':
+    case 'sibling+sibling':
+    case 'child+child':
+      return true;
+    case 'grandparent+parent':
+    case 'auntuncle+parent':
+    case 'auntuncle+grandparent':
+    case 'auntuncle+auntuncle':
+      return sameKnownSide(a, b);
+    case 'parent+parent':
+    case 'child+sibling':
+    case 'child+parent':
+    case 'grandparent+self':
+    case 'auntuncle+self':
+    case 'grandparent+sibling':
+    case 'auntuncle+sibling':
+      return false;
+    default:
+      return null;
+  }
+}
+
+// ------------------------------
+// Criterion helpers
+// ------------------------------
+function criterion(id, status, detail) {
+  return { id, status, detail };
+}
+
+/**
+ * Shared logic of "someone with cancer type X diagnosed at or before N":
+ * met if an age is known and low enough (or the patient is not older than N yet),
+ * not_evaluable if ages are missing.
+ */
+function diagnosedBy(people, maxAge) {
+  const ageOf = (p) => p.age_at_diagnosis ?? p.age_bound;
+  const early = people.filter((p) => ageOf(p) != null && ageOf(p) <= maxAge);
+  const unknown = people.filter((p) => p.age_at_diagnosis == null && !early.includes(p));
+  return { early, unknown };
+}
+
+function ageCriterion(id, people, maxAge, language) {
+  const { early, unknown } = diagnosedBy(people, maxAge);
+  if (early.length) return criterion(id, 'met', names(early, language));
+  if (unknown.length) {
+    return criterion(
+      id,
+      'not_evaluable',
+      t(language, 'criteria_age_missing', { people: names(unknown, language) }),
+    );
+  }
+  return criterion(id, 'not_met', null);
+}
+
+/**
+ * Overall status of a guideline.
+ * - mode 'all': every criterion must be met (Amsterdam II)
+ * - mode 'any': one criterion is enough (HBOC, revised Bethesda)
+ */
+function overallStatus(criteria, mode) {
+  const has = (s) => criteria.some((c) => c.status === s);
+  if (mode === 'all') {
+    if (criteria.every((c) => c.status === 'met')) return 'met';
+    if (!has('not_met')) return 'not_evaluable';
+    return has('met') || has('partially_met') ? 'partially_met' : 'not_met';
+  }
+  if (has('met')) return 'met';
+  if (has('partially_met')) return 'partially_met';
+  if (has('not_evaluable')) return 'not_evaluable';
+  return 'not_met';
+}
+
+// ------------------------------
+// HBOC
+// ------------------------------
+function evaluateHboc(payload, language) {
+  // Patient + 1st / 2nd degree relatives
+  const close = affectedPeople(payload).filter((p) => p.degree == null || p.degree <= 2);
+  const ofType = (type) => close.filter((p) => p.type === type);
+  const breast = ofType('breast');
+
+  const criteria = [ageCriterion('breast_cancer_by_45', breast, 45, language)];
+
+  const ovarian = ofType('ovarian');
+  criteria.push(
+    criterion(
+      'ovarian_cancer',
+      ovarian.length ? 'met' : 'not_met',
+      ovarian.length ? names(ovarian, language) : null,
+    ),
+  );
+
+  const maleBreast = breast.filter((p) => p.sex === 'male');
+  criteria.push(
+    criterion(
+      'male_breast_cancer',
+      maleBreast.length ? 'met' : 'not_met',
+      maleBreast.length ? names(maleBreast, language) : null,
+    ),
+  );
+
+  const pancreatic = ofType('pancreatic');
+  criteria.push(
+    criterion(
+      'pancreatic_cancer',
+      pancreatic.length ? 'met' : 'not_met',
+      pancreatic.length ? names(pancreatic, language) : null,
+    ),
+  );
+
+  // Triple-negative status is only known when written in the condition
+  const tripleNegative = breast.filter(
+    (p) =>
+      TRIPLE_NEGATIVE_RE.test(p.condition) &&
+      (p.age_at_diagnosis == null || p.age_at_diagnosis <= 60),
+  );
+  const tnEarly = diagnosedBy(tripleNegative, 60).early;
+  const receptorUnknown = breast.filter(
+    (p) =>
+      !TRIPLE_NEGATIVE_RE.test(p.condition) &&
+      (p.age_at_diagnosis == null || p.age_at_diagnosis <= 60),
+  );
+  let tnStatus = 'not_met';
+  let tnDetail = null;
+  if (tnEarly.length) {
+    tnStatus = 'met';
+    tnDetail = names(tnEarly, language);
+  } else if (tripleNegative.length || receptorUnknown.length) {
+    tnStatus = 'not_evaluable';
+    tnDetail = t(language, 'criteria_receptor_missing', {
+      people: names([...tripleNegative, ...receptorUnknown], language),
+    });
+  }
+  criteria.push(criterion('triple_negative_by_60', tnStatus, tnDetail));
+
+  // 3+ people with breast / ovarian / pancreatic / prostate cancer on one side
+  const family = close.filter((p) => HBOC_FAMILY_TYPES.includes(p.type));
+  let sameSide = [];
+  for (const side of ['maternal', 'paternal']) {
+    const group = family.filter((p) => p.side === side || p.side === 'both');
+    if (group.length > sameSide.length) sameSide = group;
+  }
+  criteria.push(
+    criterion(
+      'three_on_same_side',
+      sameSide.length >= 3 ? 'met' : sameSide.length === 2 ? 'partially_met' : 'not_met',
+      sameSide.length >= 2 ? names(sameSide, language) : null,
+    ),
+  );
+
+  return criteria;
+}
+
+// ------------------------------
+// Amsterdam II
+// ------------------------------
+function evaluateAmsterdamII(payload, language) {
+  const affected = affectedPeople(payload);
+  const lynch = affected.filter((p) => AMSTERDAM_TYPES.includes(p.type));
+  const criteria = [];
+
+  criteria.push(
+    criterion(
+      'three_relatives',
+      lynch.length >= 3 ? 'met' : lynch.length > 0 ? 'partially_met' : 'not_met',
+      lynch.length ? names(lynch, language) : null,
+    ),
+  );
+
+  // One of them is a first-degree relative of the other two
+  let firstDegree = 'not_met';
+  let firstDegreeDetail = null;
+  if (lynch.length >= 3) {
+    let unknown = false;
+    for (const x of lynch) {
+      const links = lynch.filter((y) => y !== x).map((y) => areFirstDegree(x, y));
+      if (links.filter((l) => l === true).length >= 2) {
+        firstDegree = 'met';
+        firstDegreeDetail = t(language, 'criteria_first_degree_of_two', {
+          person: describePerson(x, language),
+        });
+        break;
+      }
+      if (links.includes(null)) unknown = true;
+    }
+    if (firstDegree !== 'met' && unknown) {
+      firstDegree = 'not_evaluable';
+      firstDegreeDetail = t(language, 'criteria_relationship_unclear');
+    }
+  }
+  criteria.push(criterion('first_degree_link', firstDegree, firstDegreeDetail));
+
+  const generations = new Set(
+    lynch.map((p) => GENERATION[roleOf(p)]).filter((g) => g !== undefined),
+  );
+  const hasUnknownGeneration = lynch.some((p) => GENERATION[roleOf(p)] === undefined);
+  let successive = 'not_met';
+  if ([...generations].some((g) => generations.has(g + 1))) successive = 'met';
+  else if (hasUnknownGeneration && lynch.length >= 2) successive = 'not_evaluable';
+  criteria.push(criterion('successive_generations', successive, null));
+
+  criteria.push(ageCriterion('diagnosed_before_50', lynch, 49, language));
+
+  // FAP is excluded only when a condition says so ("colon cancer, no polyposis")
+  const polyposisStatus = (p) => {
+    const m = POLYPOSIS_RE.exec(p.condition);
+    if (!m) return null;
+    const { status } = classifyMention(p.condition, m.index, m.index + m[0].length);
+    return status === 'negated' ? 'excluded' : 'reported';
+  };
+  const polyposis = affected.filter((p) => polyposisStatus(p) === 'reported');
+  const excluded = affected.filter((p) => polyposisStatus(p) === 'excluded');
+  let fapStatus = 'not_evaluable';
+  let fapDetail = t(language, 'criteria_polyposis_not_reported');
+  if (polyposis.length) {
+    fapStatus = 'not_met';
+    fapDetail = names(polyposis, language);
+  } else if (excluded.length) {
+    fapStatus = 'met';
+    fapDetail = names(excluded, language);
+  }
+  criteria.push(criterion('fap_excluded', fapStatus, fapDetail));
+
+  return criteria;
+}
+
+// ------------------------------
+// Revised Bethesda
+// ------------------------------
+function evaluateBethesda(payload, language) {
+  const affected = affectedPeople(payload);
+  const patient = affected.filter(isPatient);
+  const relatives = affected.filter((p) => !isPatient(p));
+  const patientCrc = patient.filter((p) => p.type === 'colorectal');
+  const lynchRelatives = relatives.filter((p) => BETHESDA_TYPES.includes(p.type));
+
+  // The guidelines apply to a patient with colorectal cancer
+  const hasPersonalHistory = normalizeRelatives(payload.relatives).some(isPatient);
+  if (!patientCrc.length) {
+    const status = hasPersonalHistory ? 'not_met' : 'not_evaluable';
+    const detail = t(
+      language,
+      hasPersonalHistory ? 'criteria_no_patient_crc' : 'criteria_no_personal_history',
+    );
+    return [criterion('patient_colorectal_cancer', status, detail)];
+  }
+
+  const criteria = [];
+
+  criteria.push(ageCriterion('colorectal_before_50', patientCrc, 49, language));
+
+  const patientLynch = patient.filter((p) => BETHESDA_TYPES.includes(p.type));
+  criteria.push(
+    criterion(
+      'multiple_lynch_tumors',
+      patientLynch.length >= 2 ? 'met' : 'not_met',
+      patientLynch.length >= 2 ? names(patientLynch, language) : null,
+    ),
+  );
+
+  const msi = patientCrc.filter((p) => MSI_HIGH_RE.test(p.condition));
+  const under60 = diagnosedBy(patientCrc, 59);
+  let msiStatus = 'not_met';
+  let msiDetail = null;
+  if (msi.some((p) => p.age_at_diagnosis != null && p.age_at_diagnosis < 60)) {
+    msiStatus = 'met';
+    msiDetail = names(msi, language);
+  } else if (under60.early.length || under60.unknown.length) {
+    msiStatus = 'not_evaluable';
+    msiDetail = t(language, 'criteria_msi_missing');
+  }
+  criteria.push(criterion('msi_high_before_60', msiStatus, msiDetail));
+
+  const firstDegree = lynchRelatives.filter((p) => p.degree === 1);
+  criteria.push(
+    ageCriterion('first_degree_relative_before_50', firstDegree, 49, language),
+  );
+
+  const closeRelatives = lynchRelatives.filter((p) => p.degree === 1 || p.degree === 2);
+  criteria.push(
+    criterion(
+      'two_close_relatives',
+      closeRelatives.length >= 2
+        ? 'met'
+        : closeRelatives.length === 1
+          ? 'partially_met'
+          : 'not_met',
+      closeRelatives.length ? names(closeRelatives, language) : null,
+    ),
+  );
+
+  return criteria;
+}
+
+// Names and criterion labels are i18n messages: guideline_<id>, criterion_<id>
+const CHECKERS = {
+  hboc: { mode: 'any', evaluate: evaluateHboc },
+  amsterdam_ii: { mode: 'all', evaluate: evaluateAmsterdamII },
+  revised_bethesda: { mode: 'any', evaluate: evaluateBethesda },
+};
+
+export const GUIDELINES = Object.keys(CHECKERS);
+
+/**
+ * Runs the guideline checkers listed in the rule pack (guideline_criteria[]), with
+ * names, labels and details in language.
+ * Returns [{ id, name, status, criteria: [{ id, label, status, detail }] }].
+ */
+export function evaluateGuidelineCriteria(
+  payload,
+  guidelines = [],
+  language = DEFAULT_LANGUAGE,
+) {
+  const hasPedigree = normalizeRelatives(payload.relatives).length > 0;
+  return guidelines.map((id) => {
+    const checker = CHECKERS[id];
+    // No pedigree entered: a criterion cannot be ruled out ("not met")
+    const criteria = checker
+      .evaluate(payload, language)
+      .map((c) =>
+        hasPedigree || c.status !== 'not_met'
+          ? c
+          : {
+              ...c,
+              status: 'not_evaluable',
+              detail: t(language, 'criteria_no_pedigree'),
+            },
+      )
+      .map(({ id: criterionId, ...c }) => ({
+        id: criterionId,
+        label: t(language, `criterion_${criterionId}`),
+        ...c,
+      }));
+    return {
+      id,
+      name: t(language, `guideline_${id}`),
+      status: overallStatus(criteria, checker.mode),
+      criteria,
+    };
+  });
+}
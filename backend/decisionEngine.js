@@ -16,6 +16,29 @@
  * Educational triage only — NOT medical advice.
  */
 
+import { assessDiagnosisAges } from './ageExtraction.js';
+import { evaluateCombinations, legacyCombinationFlags } from './combinations.js';
+import { evaluateGuidelineCriteria } from './criteria.js';
+import { evaluateFollowUp } from './followUp.js';
+import { evaluateGestationalAge } from './gestationalAge.js';
+import { hpoLabel, matchHpoRules, resolveHpoTerms } from './hpo.js';
+import { allPatterns, cancerTypeLabel, localized, resolveLanguage, t } from './i18n.js';
+import {
+  bestMention,
+  findMentions,
+  isQualifiedNormal,
+  sentenceBounds,
+} from './negation.js';
+import { RULE_PACKS, triageThresholds } from './rulePacks.js';
+import {
+  describeRelative,
+  evaluateRelativeRules,
+  normalizeRelatives,
+  relativesMissingAge,
+} from './relatives.js';
+import { evaluateUrgency } from './prenatalUrgency.js';
+import { carrierScreeningNextSteps, evaluateCarrierScreening } from './reproductive.js';
+
 // ------------------------------
 // Helpers: strings / lists / text
 // ------------------------------
@@ -36,228 +59,306 @@ function csvToList(value) {
 }
 
 /**
- * Collects ALL relevant payload fields into one searchable text.
- * This supports: "any relevant info entered can become a reason".
+ * Searchable parts of a payload: [field, value | list of values].
+ * Lists are searched item by item (offsets are then relative to the item).
  */
-function collectText(payload) {
-  const parts = [
-    payload.pathway,
-    payload.patient_sex,
-    payload.patient_age != null ? `age ${payload.patient_age}` : '',
-    payload.patient_file_number ? `file ${payload.patient_file_number}` : '',
-    payload.chief_concern,
-    payload.clinical_notes,
-    payload.family_history_summary,
+function payloadFields(payload) {
+  return [
+    ['pathway', payload.pathway],
+    ['patient_sex', payload.patient_sex],
+    ['patient_age', payload.patient_age != null ? `age ${payload.patient_age}` : ''],
+    [
+      'patient_file_number',
+      payload.patient_file_number ? `file ${payload.patient_file_number}` : '',
+    ],
+    ['chief_concern', payload.chief_concern],
+    ['clinical_notes', payload.clinical_notes],
+    ['personal_history_details', payload.personal_history_details],
+    ['family_history_summary', payload.family_history_summary],
 
     // Structured fields
-    (payload.family_history_red_flags || []).join(' '),
-    payload.pregnancy_status,
-    payload.gestational_weeks != null ? `${payload.gestational_weeks} weeks` : '',
-    (payload.prenatal_findings || []).join(' '),
-    (payload.pediatric_red_flags || []).join(' '),
-    (payload.hpo_terms || []).join(' '),
+    ['relatives', normalizeRelatives(payload.relatives).map(describeRelative)],
+    ['family_history_red_flags', payload.family_history_red_flags || []],
+    ['pregnancy_status', payload.pregnancy_status],
+    [
+      'gestational_weeks',
+      payload.gestational_weeks != null ? `${payload.gestational_weeks} weeks` : '',
+    ],
+    ['prenatal_findings', payload.prenatal_findings || []],
+    ['pediatric_red_flags', payload.pediatric_red_flags || []],
+    ['hpo_terms', payload.hpo_terms || []],
   ];
+}
+
+/**
+ * Collects ALL relevant payload fields into one searchable text.
+ * This supports: "any relevant info entered can become a reason".
+ * One line per field, so a negation ("no ...") never spills into the next field.
+ *
+ * Returns { text, segments }: segments map every piece of text back to its field
+ * (see locate()). only: restrict to some fields (extra_flags.fields).
+ */
+function collectText(payload, only = null) {
+  const lines = [];
+  const segments = [];
+  let offset = 0;
+
+  for (const [field, value] of payloadFields(payload)) {
+    if (only && !only.includes(field)) continue;
+
+    // Relatives are one line each, other list items are separated by spaces
+    const isList = Array.isArray(value);
+    const separator = field === 'relatives' ? '\n' : ' ';
+    const items = isList ? value : [value];
+    const pieces = [];
+    let lineLength = 0;
+
+    items.forEach((item, index) => {
+      // Case is kept: matching is case-insensitive (textMatcher.js) and regex
+      // patterns may rely on it
+      const raw = safeStr(item);
+      const trimmed = raw.trim();
+      if (!trimmed) return;
+      if (pieces.length) lineLength += separator.length;
+      segments.push({
+        field,
+        index: isList ? index : null,
+        offset: offset + lineLength,
+        origin: raw.length - raw.trimStart().length,
+        length: trimmed.length,
+      });
+      pieces.push(trimmed);
+      lineLength += trimmed.length;
+    });
 
-  return parts.map(toLowerTrim).filter(Boolean).join(' ');
+    if (!pieces.length) continue;
+    lines.push(pieces.join(separator));
+    offset += lineLength + 1;
+  }
+
+  return { text: lines.join('\n'), segments };
+}
+
+/**
+ * Maps a span of the collected text back to its field:
+ * { field, index (list item, or null), start, end } with offsets in the field value.
+ */
+function locate(segments, start, end) {
+  const seg = segments.find((s) => start >= s.offset && start < s.offset + s.length);
+  if (!seg) return null;
+  return {
+    field: seg.field,
+    index: seg.index,
+    start: start - seg.offset + seg.origin,
+    end: Math.min(end, seg.offset + seg.length) - seg.offset + seg.origin,
+  };
+}
+
+/**
+ * True when at least one mention of the patterns is NOT negated
+ * ("no increased NT" does not count, "possible increased NT" does).
+ */
+function isMentioned(text, patterns) {
+  const m = bestMention(text, patterns);
+  return !!m && m.status !== 'negated';
+}
+
+/**
+ * Short, readable description of a negated / hedged keyword hit.
+ */
+function describeMention(flag, text, mention) {
+  const lineStart = text.lastIndexOf('\n', mention.start) + 1;
+  const lineEnd = text.indexOf('\n', mention.end);
+  const from = Math.max(lineStart, mention.start - 40);
+  const to = Math.min(lineEnd === -1 ? text.length : lineEnd, mention.end + 40);
+
+  return {
+    flag,
+    pattern: mention.pattern,
+    status: mention.status,
+    trigger: mention.trigger,
+    context: text.slice(from, to).trim(),
+  };
 }
 
 /**
  * Prenatal finding normalization:
  * Accepts either structured list OR free text.
- * Adds normalized tags if keywords are detected.
+ * Adds normalized tags if keywords are detected (finding_tags of the rule pack),
+ * skipping negated mentions and findings described as normal.
  */
 function normalizePrenatalFindings(
   findings = [],
   clinicalNotes = '',
   familyHistory = '',
+  findingTags = [],
 ) {
   const f = Array.isArray(findings) ? findings : csvToList(findings);
-  const text = `${f.join(' ')} ${clinicalNotes} ${familyHistory}`.toLowerCase();
+  const text = `${f.join(' ')}\n${clinicalNotes}\n${familyHistory}`;
 
   const normalized = new Set(f.map((x) => toLowerTrim(x)).filter(Boolean));
 
-  // Aneuploidy / Down syndrome
-  if (
-    text.includes('trisomy 21') ||
-    text.includes('t21') ||
-    text.includes('down syndrome')
-  ) {
-    normalized.add('previous_aneuploidy');
-  }
+  // Mentions that are neither negated nor described as normal
+  const findingMentions = (patterns) =>
+    patterns
+      .flatMap((p) => findMentions(text, p))
+      .filter((m) => m.status !== 'negated' && !isQualifiedNormal(text, m.start, m.end));
 
-  // Increased nuchal translucency (NT)
-  if (text.includes('nuchal') || text.includes('nt') || text.includes('translucency')) {
-    normalized.add('increased_nt');
+  for (const tag of findingTags) {
+    const mentions = findingMentions(allPatterns(tag));
+    // requires_any must be mentioned in the same sentence ("NIPT positive", not
+    // "NIPT low risk. Positive pregnancy test")
+    const required = tag.requires_any
+      ? allPatterns(tag, 'requires_any')
+          .flatMap((p) => findMentions(text, p))
+          .filter((m) => m.status !== 'negated')
+      : null;
+    const found = mentions.some((m) => {
+      if (!required) return true;
+      const { sentStart, sentEnd } = sentenceBounds(text, m.start, m.end);
+      return required.some((r) => r.start >= sentStart && r.end <= sentEnd);
+    });
+    if (found) normalized.add(tag.id);
   }
 
-  // Ultrasound anomalies
-  if (
-    text.includes('ultrasound') ||
-    text.includes('anomaly') ||
-    text.includes('malformation')
-  ) {
-    normalized.add('abnormal_ultrasound');
-  }
+  return Array.from(normalized);
+}
 
-  // Screening / NIPT positive
-  if (
-    text.includes('nipt') &&
-    (text.includes('positive') || text.includes('high risk'))
-  ) {
-    normalized.add('positive_screening');
-  }
+/**
+ * payload.known_family_variant ({ status, gene, variant, details } or a bare status)
+ * -> { status: 'yes' | 'no' | 'unknown' | null, details }.
+ * schemas/casePayload.schema.json accepts the same words in strict mode.
+ */
+const VARIANT_STATUS = {
+  yes: ['yes', 'true', 'oui', 'positive', 'known'],
+  no: ['no', 'false', 'non', 'negative', 'none'],
+};
 
-  return Array.from(normalized);
+function normalizeKnownVariant(value) {
+  const entry = value && typeof value === 'object' ? value : { status: value };
+  const raw = toLowerTrim(entry.status);
+  const status =
+    Object.keys(VARIANT_STATUS).find((key) => VARIANT_STATUS[key].includes(raw)) ??
+    (raw ? 'unknown' : null);
+  const details = [entry.gene, entry.variant, entry.details]
+    .map((x) => safeStr(x).trim())
+    .filter(Boolean)
+    .join(' ');
+  return { status, details };
+}
+
+// Data completeness levels, lowest first
+const COMPLETENESS_LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * Declared data completeness (payload.data_completeness_level) against the number
+ * of missing items: { declared, assessed, missing_items } — assessed is high with
+ * nothing missing, medium with 1-2 items, low with 3 or more.
+ */
+function assessCompleteness(declared, missingCount) {
+  const level = toLowerTrim(declared);
+  let assessed = 'low';
+  if (missingCount === 0) assessed = 'high';
+  else if (missingCount <= 2) assessed = 'medium';
+  return {
+    declared: COMPLETENESS_LEVELS.includes(level) ? level : null,
+    assessed,
+    missing_items: missingCount,
+  };
 }
 
 // ------------------------------------
 // Rules: patterns -> suggested flags
 // ------------------------------------
 /**
- * Each pathway has rules. A rule:
+ * Rules live in versioned rule packs (backend/rules/<pathway>.json, see rulePacks.js).
+ * A rule:
  * - id: flag name
  * - weight: how much it adds to score (used in Step 2 only)
- * - patterns: strings to search in combined text
+ * - patterns: what to search in combined text (see textMatcher.js):
+ *   - a string = phrase (whole words, plurals and abbreviations handled)
+ *   - { mode: 'token', value } = exact word, e.g. abbreviations like "gdd"
+ *   - { mode: 'regex', value, flags } = regular expression
  * - reason: explanation shown to the user
+ * - i18n: per-language dictionaries ({ fr: { patterns, reason, next_steps } }, see i18n.js)
+ *
+ * extra_flags are "custom quick rules" that we still want to support in scoring:
+ * same shape, optionally restricted to some fields (fields[]) and to texts that
+ * also mention one of requires_any[].
  *
  * NOTE: Simple transparent v1 approach (keyword matching).
  */
-const RULES = {
-  oncogenetics: [
-    {
-      id: 'early_onset_cancer',
-      weight: 40,
-      patterns: [
-        'early onset',
-        'before 50',
-        'diagnosed at 25',
-        'diagnosed at 30',
-        'diagnosed at 35',
-        'diagnosed at 40',
-        'diagnosed at 45',
-        'young age',
-      ],
-      reason: 'Early-onset cancer mentioned in the history.',
-    },
-    {
-      id: 'multiple_relatives_cancer',
-      weight: 30,
-      patterns: [
-        'multiple relatives',
-        'several relatives',
-        'more than one',
-        'two relatives',
-        'three relatives',
-      ],
-      reason: 'Multiple relatives with cancer mentioned.',
-    },
-    {
-      id: 'breast_and_ovarian_pattern',
-      weight: 30,
-      patterns: ['breast cancer', 'ovarian cancer'],
-      reason: 'Breast + ovarian cancer pattern mentioned (possible hereditary syndrome).',
-    },
-    {
-      id: 'multiple_primaries',
-      weight: 25,
-      patterns: [
-        'two primary',
-        'multiple primaries',
-        'second primary',
-        'multiple cancers',
-      ],
-      reason: 'Multiple primary cancers mentioned in the same person.',
-    },
-  ],
-
-  prenatal: [
-    {
-      id: 'abnormal_ultrasound',
-      weight: 50,
-      patterns: [
-        'abnormal ultrasound',
-        'ultrasound anomaly',
-        'malformation',
-        'anomaly scan',
-        'fetal anomaly',
-      ],
-      reason: 'Abnormal ultrasound finding mentioned.',
-    },
-    {
-      id: 'increased_nt',
-      weight: 40,
-      patterns: ['nuchal translucency', 'increased nt', 'nt increased', 'thickened nt'],
-      reason: 'Increased nuchal translucency mentioned.',
-    },
-    {
-      id: 'previous_aneuploidy',
-      weight: 40,
-      patterns: ['trisomy 21', 't21', 'down syndrome', 'aneuploidy'],
-      reason: 'History suggesting aneuploidy (e.g., trisomy 21) mentioned.',
-    },
-    {
-      id: 'positive_screening',
-      weight: 35,
-      patterns: [
-        'positive nipt',
-        'nipt positive',
-        'high risk nipt',
-        'nipt high risk',
-        'screening high risk',
-        'positive screening',
-      ],
-      reason: 'Positive/high-risk prenatal screening mentioned.',
-    },
-    {
-      id: 'previous_affected_child',
-      weight: 40,
-      patterns: [
-        'previous affected child',
-        'previous child affected',
-        'affected pregnancy',
-        'recurrent condition',
-      ],
-      reason: 'Previous affected pregnancy/child mentioned.',
-    },
-  ],
-
-  pediatric: [
-    {
-      id: 'developmental_delay',
-      weight: 35,
-      patterns: ['developmental delay', 'global delay', 'gdd', 'delayed milestones'],
-      reason: 'Developmental delay mentioned.',
-    },
-    {
-      id: 'seizures',
-      weight: 35,
-      patterns: ['seizure', 'seizures', 'epilepsy'],
-      reason: 'Seizures mentioned.',
-    },
-    {
-      id: 'congenital_anomalies',
-      weight: 25,
-      patterns: ['congenital', 'dysmorphic', 'malformation', 'anomalies'],
-      reason: 'Congenital anomalies/dysmorphism mentioned.',
-    },
-  ],
-};
+// Pathways with generic next steps (i18n.js: next_steps_<pathway>)
+const PATHWAY_NEXT_STEPS = [
+  'oncogenetics',
+  'prenatal',
+  'pediatric',
+  'cardiogenetics',
+  'reproductive',
+];
 
-// ------------------------------------
-// Extra flags not defined in RULES
-// ------------------------------------
-// These are "custom quick rules" that we still want to support in scoring.
-const EXTRA_FLAGS = {
-  pancreatic_cancer: {
-    weight: 45,
-    reason: 'Pancreatic cancer is a high-risk indication for genetic referral.',
-  },
-  pancreas_melanoma_pattern: {
-    weight: 15,
-    reason:
-      'Pancreatic cancer with melanoma in the family may suggest a hereditary syndrome (e.g., CDKN2A/FAMMM).',
-  },
-};
+function getRulePack(pathway, rulePacks = RULE_PACKS) {
+  return rulePacks[toLowerTrim(pathway)] || null;
+}
+
+/**
+ * Every flag definition of a pack (rules, extra flags, relative rules).
+ */
+function packFlags(pack) {
+  return [
+    ...(pack?.rules || []),
+    ...(pack?.extra_flags || []),
+    ...(pack?.relative_rules || []),
+  ];
+}
+
+/**
+ * Flags superseded by a more specific flag of the list (supersedes[] in the pack),
+ * so that one fact is not suggested or scored twice.
+ * Returns Map(superseded flag -> the flag that replaces it).
+ */
+function supersededFlags(pack, flags) {
+  const present = new Set(flags);
+  const superseded = new Map();
+  for (const r of packFlags(pack)) {
+    if (!present.has(r.id)) continue;
+    for (const flag of r.supersedes || []) {
+      if (present.has(flag) && !superseded.has(flag)) superseded.set(flag, r.id);
+    }
+  }
+  // Point to the most specific flag (packs are checked for cycles)
+  for (const [flag, by] of superseded) {
+    let top = by;
+    while (superseded.has(top)) top = superseded.get(top);
+    superseded.set(flag, top);
+  }
+  return superseded;
+}
+
+/**
+ * Next steps attached to flags in the pack (next_steps[]), in pack order.
+ */
+function flagNextSteps(pack, flags, language) {
+  return [...packFlags(pack), ...(pack?.combinations || [])]
+    .filter((r) => flags.includes(r.id))
+    .flatMap((r) => localized(r, 'next_steps', language) || []);
+}
+
+/**
+ * Relative rule with its reason in the output language and the condition
+ * patterns of every language.
+ */
+function localizeRelativeRule(rule, language) {
+  const condition = [
+    ...(rule.filter?.condition || []),
+    ...Object.values(rule.i18n || {}).flatMap((d) => d.condition || []),
+  ];
+  return {
+    ...rule,
+    reason: localized(rule, 'reason', language),
+    filter: condition.length ? { ...rule.filter, condition } : rule.filter,
+  };
+}
 
 // ------------------------------------
 // Step logic: propose flags OR score
@@ -265,49 +366,100 @@ const EXTRA_FLAGS = {
 /**
  * Step 1:
  * - Detect suggested flags from the combined text.
+ * - Negated mentions ("no seizures") are suppressed and reported in negated_matches.
+ * - Uncertain / historical mentions ("possible ...", "history of ...") are still
+ *   suggested but reported in hedged_matches (downgraded, physician to review).
+ * - Every suggested flag gets evidence entries: source field, matched text, offsets.
  * - Return suggested_flags + reasons (NO score yet).
  *
  * Step 2:
  * - If payload.confirmed_flags[] exists, compute score from confirmed flags only.
  */
-function detectSuggestedFlagsAndMaybeScore(payload) {
+function detectSuggestedFlagsAndMaybeScore(payload, pack, language) {
   const pathway = toLowerTrim(payload.pathway);
-  const rules = RULES[pathway] || [];
+  const rules = pack?.rules || [];
+  const extraFlags = pack?.extra_flags || [];
 
-  const text = collectText(payload);
+  const { text, segments } = collectText(payload);
 
   const suggestedSet = new Set();
   const proposeReasons = [];
 
+  // Context of keyword hits (negation / hedging)
+  const affirmedSet = new Set();
+  const negatedMatches = [];
+  const hedgedMatches = [];
+
+  // Where each suggested flag comes from: { flag, field, index, text, start, end, status }
+  const evidence = [];
+  // Overlapping spans of the same flag/field are merged (the longest one is kept)
+  const addEvidence = (flag, entry) => {
+    const i = evidence.findIndex(
+      (e) =>
+        e.flag === flag &&
+        e.field === entry.field &&
+        e.index === entry.index &&
+        (e.start === null || entry.start === null
+          ? e.text === entry.text
+          : e.start < entry.end && entry.start < e.end),
+    );
+    if (i === -1) evidence.push({ flag, ...entry });
+    else if (entry.text.length > evidence[i].text.length)
+      evidence[i] = { flag, ...entry };
+  };
+
+  // Every non-negated mention of the patterns, located in its source field
+  const addTextEvidence = (flag, source, patterns) => {
+    for (const p of patterns) {
+      for (const m of findMentions(source.text, p)) {
+        if (m.status === 'negated') continue;
+        const loc = locate(source.segments, m.start, m.end);
+        if (!loc) continue;
+        if (loc.field === 'relatives') {
+          // Matched in the relative's description, not in a payload string
+          loc.start = null;
+          loc.end = null;
+        }
+        addEvidence(flag, { ...loc, text: m.text, status: m.status });
+      }
+    }
+  };
+
+  // Returns true when the flag should be suggested from this mention
+  const acceptMention = (flag, source, mention) => {
+    if (!mention) return false;
+    if (mention.status === 'negated') {
+      negatedMatches.push(describeMention(flag, source, mention));
+      return false;
+    }
+    if (mention.status === 'affirmed') affirmedSet.add(flag);
+    else hedgedMatches.push(describeMention(flag, source, mention));
+    return true;
+  };
+
+  const relatives = normalizeRelatives(payload.relatives);
+
   // -------------------------
   // Generic: family history entered -> reason (in step 1)
   // -------------------------
-  if (safeStr(payload.family_history_summary).trim()) {
-    proposeReasons.push(
-      'Family history information was provided and should be considered in the genetic assessment.',
-    );
+  if (safeStr(payload.family_history_summary).trim() || relatives.length) {
+    proposeReasons.push(t(language, 'family_history_provided'));
   }
 
   // -------------------------
-  // Oncogenetics custom suggestions (Step 1 only: propose flags)
+  // Extra flags: custom quick rules (Step 1 only: propose flags)
   // -------------------------
-  if (pathway === 'oncogenetics') {
-    const chief = toLowerTrim(payload.chief_concern);
-    const notes = toLowerTrim(payload.clinical_notes);
-    const fhx = toLowerTrim(payload.family_history_summary);
-    const textAll = `${chief} ${notes} ${fhx}`;
-
-    if (textAll.includes('pancreatic') || textAll.includes('pancreas')) {
-      suggestedSet.add('pancreatic_cancer');
-      proposeReasons.push(EXTRA_FLAGS.pancreatic_cancer.reason);
-    }
+  for (const x of extraFlags) {
+    const source = x.fields ? collectText(payload, x.fields) : { text, segments };
 
-    if (
-      (textAll.includes('pancreatic') || textAll.includes('pancreas')) &&
-      textAll.includes('melanoma')
-    ) {
-      suggestedSet.add('pancreas_melanoma_pattern');
-      proposeReasons.push(EXTRA_FLAGS.pancreas_melanoma_pattern.reason);
+    const patterns = allPatterns(x);
+    if (x.requires_any && !isMentioned(source.text, allPatterns(x, 'requires_any'))) {
+      continue;
+    }
+    if (acceptMention(x.id, source.text, bestMention(source.text, patterns))) {
+      suggestedSet.add(x.id);
+      proposeReasons.push(localized(x, 'reason', language));
+      addTextEvidence(x.id, source, patterns);
     }
   }
 
@@ -315,27 +467,204 @@ function detectSuggestedFlagsAndMaybeScore(payload) {
   // Prenatal normalized findings -> suggested flags (Step 1)
   // -------------------------
   if (pathway === 'prenatal' && Array.isArray(payload.prenatal_findings)) {
-    for (const f of payload.prenatal_findings) {
+    payload.prenatal_findings.forEach((f, index) => {
       const rule = rules.find((r) => r.id === f);
       if (rule) {
         suggestedSet.add(f);
-        proposeReasons.push(rule.reason);
+        affirmedSet.add(f);
+        proposeReasons.push(localized(rule, 'reason', language));
+        addEvidence(f, {
+          field: 'prenatal_findings',
+          index,
+          text: f,
+          start: 0,
+          end: f.length,
+          status: 'affirmed',
+        });
       }
-    }
+    });
   }
 
   // -------------------------
   // Apply RULES to suggest flags (Step 1)
   // -------------------------
   for (const r of rules) {
-    const hit = r.patterns.some((p) => text.includes(p));
-    if (hit) {
+    const patterns = allPatterns(r);
+    if (acceptMention(r.id, text, bestMention(text, patterns))) {
       suggestedSet.add(r.id);
-      proposeReasons.push(r.reason);
+      proposeReasons.push(localized(r, 'reason', language));
+      addTextEvidence(r.id, { text, segments }, patterns);
+    }
+  }
+
+  // -------------------------
+  // HPO terms: validated against the bundled subset, mapped through ancestors (Step 1)
+  // -------------------------
+  const hpo = resolveHpoTerms(payload.hpo_terms);
+  for (const { rule, term, via } of matchHpoRules(hpo.terms, rules)) {
+    suggestedSet.add(rule.id);
+    affirmedSet.add(rule.id);
+    proposeReasons.push(localized(rule, 'reason', language));
+    proposeReasons.push(
+      term.id === via
+        ? t(language, 'hpo_entered', { id: term.id, name: term.name })
+        : t(language, 'hpo_descendant', {
+            id: term.id,
+            name: term.name,
+            ancestor: via,
+            label: hpoLabel(via),
+          }),
+    );
+    addEvidence(rule.id, {
+      field: 'hpo_terms',
+      index: term.index,
+      text: term.input,
+      start: 0,
+      end: term.input.length,
+      status: 'affirmed',
+    });
+  }
+
+  // -------------------------
+  // Early onset from extracted (condition, age at diagnosis) pairs (Step 1)
+  // -------------------------
+  const age_at_diagnosis_mentions = pack?.early_onset
+    ? assessDiagnosisAges(payload, pack.early_onset)
+    : [];
+  const earlyOnset = age_at_diagnosis_mentions.filter((a) => a.early_onset);
+  if (earlyOnset.length) {
+    const rule = rules.find((r) => r.id === pack.early_onset.flag);
+    suggestedSet.add(rule.id);
+    affirmedSet.add(rule.id);
+    proposeReasons.push(localized(rule, 'reason', language));
+    for (const a of earlyOnset) {
+      proposeReasons.push(
+        t(language, 'early_onset', {
+          condition: a.condition || t(language, 'early_onset_diagnosis'),
+          age: a.age,
+          type: cancerTypeLabel(language, a.cancer_type),
+          threshold: a.threshold,
+        }),
+      );
+      addEvidence(rule.id, {
+        field: a.field,
+        index: null,
+        text: a.text,
+        start: a.start,
+        end: a.end,
+        status: 'affirmed',
+      });
     }
   }
 
-  const suggested_flags = Array.from(suggestedSet);
+  // -------------------------
+  // Apply relative rules to the structured pedigree (Step 1)
+  // -------------------------
+  const relativeRules = (pack?.relative_rules || []).map((r) =>
+    localizeRelativeRule(r, language),
+  );
+  for (const hit of evaluateRelativeRules(relatives, relativeRules, language)) {
+    suggestedSet.add(hit.rule.id);
+    affirmedSet.add(hit.rule.id);
+    proposeReasons.push(hit.reason);
+    // Structured entries: no character offsets
+    for (const r of hit.relatives) {
+      addEvidence(hit.rule.id, {
+        field: 'relatives',
+        index: r.index,
+        text: describeRelative(r, language),
+        start: null,
+        end: null,
+        status: 'affirmed',
+      });
+    }
+  }
+
+  // -------------------------
+  // Structured preconception inputs: consanguinity, ancestry, carriers (Step 1)
+  // -------------------------
+  const reproductive = pack?.carrier_screening
+    ? evaluateCarrierScreening(payload, pack.carrier_screening, language)
+    : null;
+  for (const hit of reproductive?.hits || []) {
+    const rule = rules.find((r) => r.id === hit.flag);
+    suggestedSet.add(rule.id);
+    affirmedSet.add(rule.id);
+    proposeReasons.push(localized(rule, 'reason', language));
+    proposeReasons.push(hit.reason);
+    for (const e of hit.evidence) {
+      addEvidence(rule.id, { ...e, start: null, end: null, status: 'affirmed' });
+    }
+  }
+
+  // -------------------------
+  // Personal history flags: flag ids ticked in the form drive their rules (Step 1)
+  // -------------------------
+  const unknown_personal_history = [];
+  const personalFlags = Array.isArray(payload.personal_history_flags)
+    ? payload.personal_history_flags
+    : [];
+  personalFlags.forEach((f, index) => {
+    const rule = packFlags(pack).find((r) => r.id === toLowerTrim(f));
+    if (!rule) {
+      if (safeStr(f).trim()) unknown_personal_history.push(safeStr(f).trim());
+      return;
+    }
+    suggestedSet.add(rule.id);
+    affirmedSet.add(rule.id);
+    proposeReasons.push(localized(rule, 'reason', language));
+    addEvidence(rule.id, {
+      field: 'personal_history_flags',
+      index,
+      text: safeStr(f),
+      start: 0,
+      end: safeStr(f).length,
+      status: 'affirmed',
+    });
+  });
+
+  // -------------------------
+  // Known pathogenic variant in the family -> cascade testing (Step 1)
+  // -------------------------
+  const known_family_variant = normalizeKnownVariant(payload.known_family_variant);
+  if (known_family_variant.status === 'yes' && pack?.known_variant) {
+    const rule = rules.find((r) => r.id === pack.known_variant.flag);
+    suggestedSet.add(rule.id);
+    affirmedSet.add(rule.id);
+    proposeReasons.push(localized(rule, 'reason', language));
+    if (known_family_variant.details) {
+      proposeReasons.push(
+        t(language, 'known_variant_details', { details: known_family_variant.details }),
+      );
+    }
+    addEvidence(rule.id, {
+      field: 'known_family_variant',
+      index: null,
+      text: known_family_variant.details || known_family_variant.status,
+      start: null,
+      end: null,
+      status: 'affirmed',
+    });
+  }
+
+  // A more specific flag replaces the generic one ("died suddenly at 30")
+  const supersededSuggestions = supersededFlags(pack, suggestedSet);
+  const supersededReasons = new Set(
+    packFlags(pack)
+      .filter((r) => supersededSuggestions.has(r.id))
+      .map((r) => localized(r, 'reason', language)),
+  );
+  const suggested_flags = Array.from(suggestedSet).filter(
+    (f) => !supersededSuggestions.has(f),
+  );
+  const suggestedEvidence = evidence.filter((e) => !supersededSuggestions.has(e.flag));
+
+  // Report negations only for flags that were not suggested anyway,
+  // and hedges only for flags without any affirmed mention.
+  const negated_matches = negatedMatches.filter((m) => !suggestedSet.has(m.flag));
+  const hedged_matches = hedgedMatches.filter(
+    (m) => !affirmedSet.has(m.flag) && !supersededSuggestions.has(m.flag),
+  );
 
   // -------------------------
   // Step switch
@@ -343,58 +672,187 @@ function detectSuggestedFlagsAndMaybeScore(payload) {
   const confirmed = Array.isArray(payload.confirmed_flags)
     ? payload.confirmed_flags
     : null;
-  const uniqueReasons = Array.from(new Set(proposeReasons));
+  const isConfirmed = confirmed && confirmed.length > 0;
+
+  // Combination rules on the suggested (Step 1) or confirmed (Step 2) flags
+  const combinationHits = evaluateCombinations(
+    pack?.combinations,
+    isConfirmed ? confirmed : suggested_flags,
+    payload,
+  );
+  const combinations = combinationHits.map((hit) => ({
+    id: hit.rule.id,
+    weight: hit.rule.weight,
+    flags: hit.flags,
+    reason: localized(hit.rule, 'reason', language),
+  }));
+  proposeReasons.push(...combinations.map((c) => c.reason));
+
+  const uniqueReasons = Array.from(new Set(proposeReasons)).filter(
+    (r) => !supersededReasons.has(r),
+  );
   // STEP 1: propose flags only (no score)
   // treat missing OR empty confirmed_flags as "not confirmed yet"
 
-  if (!confirmed || confirmed.length === 0) {
+  if (!isConfirmed) {
     return {
       suggested_flags,
       used_flags: [],
-      reasons: uniqueReasons.length
-        ? uniqueReasons
-        : ['Suggested red flags were extracted from the provided context.'],
+      reasons: uniqueReasons.length ? uniqueReasons : [t(language, 'flags_extracted')],
       score: null,
+      score_breakdown: null,
+      combinations,
+      used_flag_origins: { auto_suggested: [], physician_added: [] },
       used_mode: 'propose_flags',
+      negated_matches,
+      hedged_matches,
+      age_at_diagnosis_mentions,
+      evidence: suggestedEvidence,
+      hpo,
+      reproductive,
+      known_family_variant,
+      unknown_personal_history,
     };
   }
 
   // STEP 2: compute score from confirmed flags (RULES + EXTRA)
   let score = 0;
   const scoreReasons = [];
+  // What each confirmed flag adds: { flag, weight, source, reason }
+  const contributions = [];
+  // Confirmed flags replaced by a more specific confirmed flag add nothing
+  const superseded = supersededFlags(pack, confirmed);
+  const addContribution = (r, source) => {
+    if (superseded.has(r.id)) return;
+    const reason = localized(r, 'reason', language);
+    score += r.weight;
+    scoreReasons.push(reason);
+    contributions.push({ flag: r.id, weight: r.weight, source, reason });
+  };
 
   // Score RULES
   for (const r of rules) {
-    if (confirmed.includes(r.id)) {
-      score += r.weight;
-      scoreReasons.push(r.reason);
-    }
+    if (confirmed.includes(r.id)) addContribution(r, 'rules');
+  }
+
+  // Score relative rules (structured pedigree)
+  for (const r of pack?.relative_rules || []) {
+    if (confirmed.includes(r.id)) addContribution(r, 'relative_rules');
   }
 
   // Score EXTRA flags
   for (const f of confirmed) {
-    if (EXTRA_FLAGS[f]) {
-      score += EXTRA_FLAGS[f].weight;
-      scoreReasons.push(EXTRA_FLAGS[f].reason);
+    const x = extraFlags.find((e) => e.id === f);
+    if (x) addContribution(x, 'extra_flags');
+  }
+
+  // Score combinations of confirmed flags
+  for (const hit of combinationHits) addContribution(hit.rule, 'combination');
+
+  // Confirmed combination ids (flags of their own before rules 1.8.0), at their former
+  // weight, unless the combination itself applies
+  const legacyFlags = legacyCombinationFlags(pack?.combinations, confirmed);
+  for (const r of legacyFlags) {
+    if (!combinationHits.some((hit) => hit.rule === r)) {
+      addContribution({ ...r, weight: r.legacy_weight }, 'legacy_combination');
     }
   }
 
+  // Confirmed flags the pack does not know add nothing
+  const known = [...packFlags(pack), ...legacyFlags].map((r) => r.id);
+  const uniqueConfirmed = Array.from(new Set(confirmed));
+  const ignored_flags = uniqueConfirmed.filter((f) => !known.includes(f));
+
+  // Confirmed suggestions vs flags the physician added from the catalog (GET /flags)
+  const used_flag_origins = {
+    auto_suggested: uniqueConfirmed.filter((f) => suggestedSet.has(f)),
+    physician_added: uniqueConfirmed.filter(
+      (f) => !suggestedSet.has(f) && known.includes(f),
+    ),
+  };
+  const addedReasons = packFlags(pack)
+    .filter((r) => used_flag_origins.physician_added.includes(r.id))
+    .map((r) =>
+      t(language, 'physician_added', { reason: localized(r, 'reason', language) }),
+    );
+
+  const thresholds = triageThresholds(pack);
+  const cappedScore = Math.min(score, thresholds.max_score);
+
   const uniqueScoreReasons = Array.from(new Set(scoreReasons));
+  const stepReasons = Array.from(new Set([...uniqueReasons, ...addedReasons]));
   return {
     suggested_flags,
     used_flags: confirmed,
-    reasons: uniqueReasons.length ? uniqueReasons : ['No confirmed flags were selected.'],
-    score: Math.min(score, 100),
+    reasons: stepReasons.length ? stepReasons : [t(language, 'no_confirmed_flags')],
+    score: cappedScore,
+    score_breakdown: {
+      contributions,
+      raw_score: score,
+      max_score: thresholds.max_score,
+      cap_applied: score > thresholds.max_score,
+      capped_points: Math.max(0, score - thresholds.max_score),
+      ignored_flags,
+      superseded_flags: uniqueConfirmed
+        .filter((f) => superseded.has(f))
+        .map((flag) => ({ flag, by: superseded.get(flag) })),
+      next_tier: nextTier(cappedScore, thresholds),
+    },
+    combinations,
+    used_flag_origins,
     used_mode: 'confirmed_flags',
+    negated_matches,
+    hedged_matches,
+    age_at_diagnosis_mentions,
+    evidence: suggestedEvidence,
+    hpo,
+    reproductive,
+    known_family_variant,
+    unknown_personal_history,
   };
 }
 
+/**
+ * Triage tier of a score (thresholds from the pack's triage section).
+ */
+function triageForScore(score, thresholds) {
+  if (thresholds.urgent != null && score >= thresholds.urgent) return 'urgent';
+  if (score >= thresholds.recommended) return 'recommended';
+  if (score <= thresholds.not_prioritized) return 'not_prioritized';
+  return 'discuss';
+}
+
+/**
+ * Next triage tier above a score: { tier, threshold, points_needed },
+ * null when the highest tier is reached.
+ */
+function nextTier(score, thresholds) {
+  const tiers = [
+    { tier: 'discuss', threshold: thresholds.not_prioritized + 1 },
+    { tier: 'recommended', threshold: thresholds.recommended },
+    { tier: 'urgent', threshold: thresholds.urgent },
+  ];
+  const next = tiers.find((x) => x.threshold != null && score < x.threshold);
+  return next ? { ...next, points_needed: next.threshold - score } : null;
+}
+
 // ------------------------------
 // Main function: assess case
 // ------------------------------
-function assessCase(payload) {
+/**
+ * options.rulePacks: use other rule packs than the ones loaded at startup
+ * (e.g. to compare a rule change against a baseline).
+ * options.now: reference date of the assessment (gestational age dating, prenatal
+ * deadlines), default now.
+ */
+function assessCase(payload, options = {}) {
   // Ensure default pathway
   payload.pathway = payload.pathway || 'oncogenetics';
+  const pack = getRulePack(payload.pathway, options.rulePacks);
+  const languageInfo = resolveLanguage(payload);
+  const { language } = languageInfo;
+  const triage_thresholds = triageThresholds(pack);
+  const now = options.now ? new Date(options.now) : new Date();
 
   // Normalize prenatal findings (so text-only entries can be detected)
   if (toLowerTrim(payload.pathway) === 'prenatal') {
@@ -402,133 +860,330 @@ function assessCase(payload) {
       payload.prenatal_findings,
       payload.clinical_notes,
       payload.family_history_summary,
+      pack?.finding_tags,
     );
   }
 
   // Step logic: propose flags OR score
-  const { suggested_flags, used_flags, reasons, score, used_mode } =
-    detectSuggestedFlagsAndMaybeScore(payload);
+  const {
+    suggested_flags,
+    used_flags,
+    used_flag_origins,
+    reasons,
+    score,
+    score_breakdown,
+    combinations,
+    used_mode,
+    negated_matches,
+    hedged_matches,
+    age_at_diagnosis_mentions,
+    evidence,
+    hpo,
+    reproductive,
+    known_family_variant,
+    unknown_personal_history,
+  } = detectSuggestedFlagsAndMaybeScore(payload, pack, language);
+
+  // Carrier-screening strategy (reproductive pathway only)
+  const carrier_screening = reproductive?.carrier_screening ?? null;
+
+  // Prenatal dating (LMP, EDD, dating scan, entered GA) and urgency: days left
+  // before the testing windows close
+  const isPrenatal = toLowerTrim(payload.pathway) === 'prenatal';
+  const gestational_age = isPrenatal ? evaluateGestationalAge(payload, now) : null;
+  const urgency =
+    isPrenatal && pack?.urgency
+      ? evaluateUrgency(
+          gestational_age?.total_days != null ? gestational_age.total_days / 7 : null,
+          pack.urgency,
+          now,
+          language,
+        )
+      : null;
+
+  // Guideline criteria (structured data only, shown next to the weighted score)
+  const guideline_criteria = evaluateGuidelineCriteria(
+    payload,
+    pack?.guideline_criteria,
+    language,
+  );
 
   // Missing info (simple v1)
   const missing_info = [];
   const next_steps = [];
 
   if (payload.patient_age == null || Number.isNaN(Number(payload.patient_age))) {
-    missing_info.push('Patient age');
+    missing_info.push(t(language, 'missing_patient_age'));
   }
   if (!payload.patient_sex || payload.patient_sex === 'unknown') {
-    missing_info.push('Patient sex');
+    missing_info.push(t(language, 'missing_patient_sex'));
   }
   if (!safeStr(payload.chief_concern).trim()) {
-    missing_info.push('Chief concern');
+    missing_info.push(t(language, 'missing_chief_concern'));
   }
-  if (!safeStr(payload.family_history_summary).trim()) {
-    missing_info.push('Family history summary');
+  const relatives = normalizeRelatives(payload.relatives);
+  if (!safeStr(payload.family_history_summary).trim() && relatives.length === 0) {
+    missing_info.push(t(language, 'missing_family_history'));
+  }
+  const missingAges = relativesMissingAge(relatives);
+  if (missingAges.length) {
+    missing_info.push(
+      t(language, 'missing_age_at_diagnosis', {
+        relatives: missingAges.map((r) => describeRelative(r, language)).join(', '),
+      }),
+    );
   }
 
   // Prenatal-specific missing info
-  if (toLowerTrim(payload.pathway) === 'prenatal') {
+  if (isPrenatal) {
     if (!payload.pregnancy_status || payload.pregnancy_status === 'not_applicable') {
-      missing_info.push('Pregnancy status (pregnant or preconception)');
+      missing_info.push(t(language, 'missing_pregnancy_status'));
+    }
+    if (payload.pregnancy_status === 'pregnant' && gestational_age?.total_days == null) {
+      missing_info.push(t(language, 'missing_gestational_age'));
+    }
+    for (const i of gestational_age?.invalid || []) {
+      missing_info.push(
+        t(language, 'missing_ga_invalid', {
+          field: t(language, `ga_field_${i.field}`),
+          problem: t(language, `ga_problem_${i.problem}`),
+        }),
+      );
+    }
+    for (const m of gestational_age?.mismatches || []) {
+      missing_info.push(
+        t(language, 'missing_ga_mismatch', {
+          source: t(language, `ga_source_${m.source}`),
+          label: m.label,
+          reference: t(language, `ga_source_${gestational_age.source}`),
+          used: gestational_age.label,
+          days: m.difference_days,
+        }),
+      );
     }
-    if (
-      payload.pregnancy_status === 'pregnant' &&
-      (payload.gestational_weeks == null || payload.gestational_weeks === '')
-    ) {
-      missing_info.push('Gestational age (weeks)');
+  }
+
+  // HPO IDs that cannot be used (any pathway)
+  if (hpo.malformed.length) {
+    missing_info.push(
+      t(language, 'missing_hpo_malformed', {
+        ids: hpo.malformed.map((term) => term.input).join(', '),
+      }),
+    );
+  }
+  if (hpo.not_bundled.length) {
+    missing_info.push(
+      t(language, 'missing_hpo_not_bundled', {
+        ids: hpo.not_bundled.map((term) => term.id).join(', '),
+      }),
+    );
+  }
+  if (hpo.obsolete.length) {
+    const list = hpo.obsolete.map((term) =>
+      term.replaced_by
+        ? t(language, 'hpo_replaced_by', { id: term.id, replacement: term.replaced_by })
+        : term.id,
+    );
+    missing_info.push(t(language, 'missing_hpo_obsolete', { ids: list.join(', ') }));
+  }
+
+  // Pack missing-info checks (e.g. ECG / echo / lipid panel in cardiogenetics)
+  if (pack?.missing_info?.length) {
+    const { text } = collectText(payload);
+    for (const check of pack.missing_info) {
+      if (!isMentioned(text, allPatterns(check))) {
+        missing_info.push(localized(check, 'item', language));
+      }
     }
   }
 
+  // Known familial variant: its report, or whether relatives were tested
+  if (known_family_variant.status === 'yes' && !known_family_variant.details) {
+    missing_info.push(t(language, 'missing_known_variant_report'));
+  } else if (known_family_variant.status === 'unknown') {
+    missing_info.push(t(language, 'missing_known_variant_unknown'));
+  }
+  if (unknown_personal_history.length) {
+    missing_info.push(
+      t(language, 'missing_personal_history_unknown', {
+        flags: unknown_personal_history.join(', '),
+      }),
+    );
+  }
+
+  // Reproductive-specific missing info (consanguinity, ancestry, partner status)
+  if (reproductive) missing_info.push(...reproductive.missing);
+
   // Pediatric-specific missing info
   if (toLowerTrim(payload.pathway) === 'pediatric') {
     if (!Array.isArray(payload.hpo_terms) || payload.hpo_terms.length === 0) {
-      missing_info.push('HPO terms (or a more detailed phenotype description)');
+      missing_info.push(t(language, 'missing_hpo_terms'));
     }
   }
 
-  // Next steps (simple v1)
+  // Follow-up questions: suggested flags in Step 1, confirmed flags in Step 2
+  const flagsForSteps = score === null ? suggested_flags : used_flags;
+  const followUp = evaluateFollowUp(
+    pack?.questions,
+    flagsForSteps,
+    payload.follow_up_answers,
+    language,
+  );
+  for (const i of followUp.invalid) {
+    missing_info.push(t(language, 'missing_follow_up_invalid', { question: i.question }));
+  }
+  const follow_up_questions = followUp.questions;
+  const follow_up_answers = followUp.answers;
+
+  // Declared data completeness against what is actually missing
+  const data_completeness = assessCompleteness(
+    payload.data_completeness_level,
+    missing_info.length,
+  );
+  const { declared, assessed } = data_completeness;
+  if (declared === 'low') {
+    missing_info.unshift(t(language, 'missing_completeness_low'));
+  } else if (
+    declared &&
+    COMPLETENESS_LEVELS.indexOf(declared) > COMPLETENESS_LEVELS.indexOf(assessed)
+  ) {
+    missing_info.push(
+      t(language, 'missing_completeness_mismatch', {
+        declared: t(language, `completeness_${declared}`),
+        count: data_completeness.missing_items,
+      }),
+    );
+  }
+
+  // Next steps (simple v1), in the output language (i18n.js)
   const pathway = toLowerTrim(payload.pathway);
-  if (pathway === 'oncogenetics') {
-    next_steps.push('Complete a three-generation family history.');
-    next_steps.push('Collect pathology reports if available.');
+  if (pathway === 'reproductive') {
+    next_steps.push(...carrierScreeningNextSteps(carrier_screening, language));
+  }
+  if (urgency?.deadline) {
     next_steps.push(
-      'Consider referral to genetic counseling based on confirmed findings.',
+      t(language, 'urgency_next_step', {
+        label: urgency.window.label,
+        deadline: urgency.deadline,
+        count: urgency.days_remaining,
+      }),
     );
-  } else if (pathway === 'prenatal') {
-    next_steps.push('Collect ultrasound report and screening results.');
-    next_steps.push('Discuss referral to prenatal genetic counseling (time-sensitive).');
-  } else if (pathway === 'pediatric') {
-    next_steps.push('Complete phenotype documentation (clinical exam + notes).');
-    next_steps.push('Consider referral to pediatric genetic counseling.');
+  } else if (urgency?.level === 'passed') {
+    next_steps.push(t(language, 'urgency_passed'));
+  }
+  if (PATHWAY_NEXT_STEPS.includes(pathway)) {
+    next_steps.push(...t(language, `next_steps_${pathway}`));
+  }
+
+  // Flag-specific next steps: suggested flags in Step 1, confirmed flags in Step 2,
+  // and the combinations they form
+  const stepFlags = [...flagsForSteps, ...combinations.map((c) => c.id)];
+  for (const step of flagNextSteps(pack, stepFlags, language)) {
+    if (!next_steps.includes(step)) next_steps.push(step);
   }
 
   // STEP 1: propose flags only (pending physician confirmation)
   if (score === null) {
     return {
       case_id: 'case_' + Math.random().toString(16).slice(2, 8),
-      created_at: new Date().toISOString(),
+      created_at: now.toISOString(),
 
       pathway: payload.pathway,
+      rules_version: pack?.version ?? null,
+      language,
+      language_detection: languageInfo,
 
       triage: 'pending_confirmation',
       priority_score: null,
+      score_breakdown,
+      combinations,
+      triage_thresholds,
+      guideline_criteria,
 
       reasons,
       suggested_flags,
       used_flags,
+      used_flag_origins,
       used_mode, // "propose_flags"
+      negated_matches,
+      hedged_matches,
+      age_at_diagnosis_mentions,
+      evidence,
+      hpo_terms_resolved: hpo.terms,
+      carrier_screening,
+      gestational_age,
+      urgency,
+      known_family_variant,
 
       missing_info,
+      data_completeness,
+      follow_up_questions,
+      follow_up_answers,
       next_steps,
 
-      disclaimer:
-        'This tool is for educational triage purposes only and does not replace medical decision-making.',
-      message: 'Please confirm relevant flags to compute a score and triage.',
+      disclaimer: t(language, 'disclaimer'),
+      message: t(language, 'confirm_message'),
     };
   }
 
-  // STEP 2: compute triage from score
-  let triage = 'discuss';
-  if (score >= 70) triage = 'recommended';
-  else if (score <= 20) triage = 'not_prioritized';
+  // STEP 2: compute triage from score (per-pathway thresholds)
+  const triage = triageForScore(score, triage_thresholds);
+  if (triage === 'urgent') next_steps.unshift(t(language, 'next_steps_urgent'));
 
   // If very low risk, keep output simple (except prenatal basics)
   if (triage === 'not_prioritized') {
     if (pathway !== 'prenatal') {
       missing_info.length = 0;
+      follow_up_questions.length = 0;
     }
     next_steps.length = 0;
-    next_steps.push('No genetic referral needed based on current information.');
-    next_steps.push('Reassess if new family history or clinical findings appear.');
+    next_steps.push(...t(language, 'next_steps_not_prioritized'));
   }
 
   return {
     case_id: 'case_' + Math.random().toString(16).slice(2, 8),
-    created_at: new Date().toISOString(),
+    created_at: now.toISOString(),
 
     pathway: payload.pathway,
+    rules_version: pack?.version ?? null,
+    language,
+    language_detection: languageInfo,
 
     triage,
     priority_score: score,
+    score_breakdown,
+    combinations,
+    triage_thresholds,
+    guideline_criteria,
 
-    reasons: reasons.length
-      ? reasons
-      : ['Not enough relevant signals identified from the provided data.'],
+    reasons: reasons.length ? reasons : [t(language, 'not_enough_signals')],
 
     suggested_flags,
     used_flags,
+    used_flag_origins,
     used_mode, // "confirmed_flags"
+    negated_matches,
+    hedged_matches,
+    age_at_diagnosis_mentions,
+    evidence,
+    hpo_terms_resolved: hpo.terms,
+    carrier_screening,
+    gestational_age,
+    urgency,
+    known_family_variant,
 
     missing_info,
+    data_completeness,
+    follow_up_questions,
+    follow_up_answers,
     next_steps,
 
-    disclaimer:
-      'This tool is for educational triage purposes only and does not replace medical decision-making.',
+    disclaimer: t(language, 'disclaimer'),
   };
 }
 
-export function runDecisionEngine(payload) {
-  return assessCase(payload);
+export function runDecisionEngine(payload, options = {}) {
+  return assessCase(payload, options);
 }
 
 export { assessCase };
@@ -0,0 +1,124 @@
+/**
+ * followUp.js
+ * ------------------------------------------------------------
+ * Follow-up questions asked when some flags are suggested (Step 1) or confirmed
+ * (Step 2), so the physician completes what the referral needs (age at diagnosis,
+ * EEG result, QTc...). The rule pack lists them (questions section):
+ *
+ *   { "field": "seizure_onset_age", "flags": ["seizures"],
+ *     "question": "Age at seizure onset", "answer_type": "number",
+ *     "unit": "months", "min": 0, "max": 216 }
+ *
+ * Answers come back in payload.follow_up_answers ({ [field]: value }): answered
+ * questions are not asked again, invalid answers are asked again with an error.
+ */
+import { DEFAULT_LANGUAGE, localized } from './i18n.js';
+
+const TRUE_VALUES = [true, 'true', 'yes', 'oui'];
+const FALSE_VALUES = [false, 'false', 'no', 'non'];
+
+function isBlank(value) {
+  return (
+    value == null ||
+    (typeof value === 'string' && value.trim() === '') ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+/**
+ * Checks an answer against its question: { value } when valid, { error } otherwise.
+ * error is 'number' | 'range' | 'boolean' | 'date' | 'option'.
+ */
+export function validateAnswer(question, raw) {
+  const values = (question.options || []).map((o) => o.value);
+
+  switch (question.answer_type) {
+    case 'number': {
+      const n = typeof raw === 'string' ? Number(raw.replace(',', '.')) : Number(raw);
+      if (typeof raw === 'boolean' || !Number.isFinite(n)) return { error: 'number' };
+      if (
+        (question.min != null && n < question.min) ||
+        (question.max != null && n > question.max)
+      ) {
+        return { error: 'range' };
+      }
+      return { value: n };
+    }
+    case 'boolean': {
+      const v = typeof raw === 'string' ? raw.trim().toLowerCase() : raw;
+      if (TRUE_VALUES.includes(v)) return { value: true };
+      if (FALSE_VALUES.includes(v)) return { value: false };
+      return { error: 'boolean' };
+    }
+    case 'date': {
+      const v = (raw ?? '').toString().trim();
+      const ok = /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v));
+      return ok ? { value: v } : { error: 'date' };
+    }
+    case 'choice':
+      return values.includes(raw) ? { value: raw } : { error: 'option' };
+    case 'multi_choice': {
+      const list = Array.isArray(raw) ? raw : [raw];
+      return list.every((v) => values.includes(v))
+        ? { value: list }
+        : { error: 'option' };
+    }
+    default:
+      return { value: raw.toString().trim() };
+  }
+}
+
+// Question as returned to the frontend, texts in the output language
+function describeQuestion(q, flags, language) {
+  const labels = localized(q, 'option_labels', language) || {};
+  return {
+    field: q.field,
+    question: localized(q, 'question', language),
+    answer_type: q.answer_type,
+    options: q.options
+      ? q.options.map((o) => ({ value: o.value, label: labels[o.value] ?? o.label }))
+      : null,
+    unit: q.unit ?? null,
+    min: q.min ?? null,
+    max: q.max ?? null,
+    flags: q.flags.filter((f) => flags.includes(f)),
+  };
+}
+
+/**
+ * Questions of the given flags, in pack order.
+ * Returns {
+ *   questions: [{ field, question, answer_type, options, unit, min, max, flags, error? }],
+ *   answers: [{ field, question, answer }],    (valid answers, for the referral summary)
+ *   invalid: [{ field, question, error }]
+ * }.
+ */
+export function evaluateFollowUp(
+  questions = [],
+  flags = [],
+  answers = {},
+  language = DEFAULT_LANGUAGE,
+) {
+  const given = answers && typeof answers === 'object' ? answers : {};
+  const result = { questions: [], answers: [], invalid: [] };
+
+  for (const q of questions) {
+    if (!q.flags.some((f) => flags.includes(f))) continue;
+    const item = describeQuestion(q, flags, language);
+    const raw = given[q.field];
+
+    if (isBlank(raw)) {
+      result.questions.push(item);
+      continue;
+    }
+    const { value, error } = validateAnswer(q, raw);
+    if (error) {
+      result.questions.push({ ...item, error });
+      result.invalid.push({ field: q.field, question: item.question, error });
+    } else {
+      result.answers.push({ field: q.field, question: item.question, answer: value });
+    }
+  }
+
+  return result;
+}
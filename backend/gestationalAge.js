@@ -0,0 +1,190 @@
+/**
+ * gestationalAge.js
+ * ------------------------------------------------------------
+ * Gestational age (GA) of a prenatal case, dated from what the team has on hand:
+ *
+ *   {
+ *     gestational_weeks: 12 | 12.5 | '12+3' | '12w3d',  gestational_days: 3,
+ *     lmp_date: '2026-01-01',            last menstrual period
+ *     edd_date: '2026-10-08',            estimated due date (LMP + 280 days)
+ *     ultrasound_date: '2026-02-20',     dating scan, with the GA measured that day
+ *     ultrasound_ga: '11+2'
+ *   }
+ *
+ * Every source gives an estimate at the assessment date. The most reliable one is
+ * used (ultrasound, then EDD, LMP and the GA typed in the form); the others are
+ * checked against it and reported when they differ by more than MISMATCH_DAYS.
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A pregnancy lasts 280 days from the LMP to the EDD
+const TERM_DAYS = 280;
+const MAX_DAYS = 45 * 7;
+
+// Estimates further apart than this are reported as a mismatch
+export const MISMATCH_DAYS = 7;
+
+// Most reliable source first
+export const GA_SOURCES = ['ultrasound', 'edd', 'lmp', 'entered'];
+
+/**
+ * "12+3" for 87 days
+ */
+export function formatGestationalAge(totalDays) {
+  return `${Math.floor(totalDays / 7)}+${totalDays % 7}`;
+}
+
+/**
+ * GA in days from weeks (decimals allowed) or "12+3", "12w3d", "12 weeks 3 days",
+ * "12 SA 3 j"; extra days (0-6) are added. Null when missing or invalid.
+ */
+export function parseGestationalAge(value, extraDays) {
+  if (value == null || value === '') return null;
+
+  let days = null;
+  if (typeof value === 'number') {
+    days = Number.isFinite(value) ? Math.round(value * 7) : null;
+  } else {
+    const m = value
+      .toString()
+      .trim()
+      .toLowerCase()
+      .match(
+        /^(\d{1,2}(?:[.,]\d+)?)\s*(?:\+|w|wk|wks|weeks?|sa|semaines?)?\s*(?:(\d)\s*(?:d|days?|j|jours?)?)?$/,
+      );
+    if (m) {
+      days = Math.round(Number(m[1].replace(',', '.')) * 7) + Number(m[2] ?? 0);
+    }
+  }
+
+  const extra = Number(extraDays);
+  if (days !== null && extraDays != null && extraDays !== '') {
+    days = Number.isInteger(extra) && extra >= 0 && extra <= 6 ? days + extra : null;
+  }
+  return days !== null && days >= 0 && days <= MAX_DAYS ? days : null;
+}
+
+/**
+ * ISO date (YYYY-MM-DD) -> Date at midnight UTC, null when invalid.
+ */
+export function parseDate(value) {
+  const m = (value ?? '')
+    .toString()
+    .trim()
+    .match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return null;
+  const date = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  return date.toISOString().slice(0, 10) === m[0] ? date : null;
+}
+
+function startOfDay(date) {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+function daysBetween(from, to) {
+  return Math.round((to.getTime() - from.getTime()) / DAY_MS);
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Dates the pregnancy at `today`. Returns null when no dating input is given, else
+ * {
+ *   weeks, days, total_days, label: '12+3', source, edd,
+ *   estimates: [{ source, total_days, label }],
+ *   mismatches: [{ source, label, difference_days }],   (compared with the source used)
+ *   invalid: [{ field, problem }]
+ * } — weeks / days / source are null when no input could be used.
+ */
+export function evaluateGestationalAge(payload, today = new Date()) {
+  const day = startOfDay(today);
+  const estimates = [];
+  const invalid = [];
+  let given = false;
+
+  const addEstimate = (source, field, totalDays) => {
+    if (totalDays < 0) invalid.push({ field, problem: 'future' });
+    else if (totalDays > MAX_DAYS) invalid.push({ field, problem: 'out_of_range' });
+    else estimates.push({ source, total_days: totalDays });
+  };
+
+  // Dating scan: GA measured that day + days since
+  const hasUsDate = payload.ultrasound_date != null && payload.ultrasound_date !== '';
+  const hasUsGa = payload.ultrasound_ga != null && payload.ultrasound_ga !== '';
+  if (hasUsDate || hasUsGa) {
+    given = true;
+    const usDate = parseDate(payload.ultrasound_date);
+    const usGa = parseGestationalAge(payload.ultrasound_ga);
+    if (!hasUsDate || !hasUsGa) {
+      invalid.push({ field: 'ultrasound', problem: 'incomplete' });
+    } else if (!usDate) {
+      invalid.push({ field: 'ultrasound', problem: 'invalid_date' });
+    } else if (usGa === null) {
+      invalid.push({ field: 'ultrasound', problem: 'invalid_ga' });
+    } else if (usDate > day) {
+      invalid.push({ field: 'ultrasound', problem: 'future' });
+    } else {
+      addEstimate('ultrasound', 'ultrasound', usGa + daysBetween(usDate, day));
+    }
+  }
+
+  // EDD: 280 days minus the days left
+  if (payload.edd_date != null && payload.edd_date !== '') {
+    given = true;
+    const edd = parseDate(payload.edd_date);
+    if (!edd) invalid.push({ field: 'edd_date', problem: 'invalid_date' });
+    else addEstimate('edd', 'edd_date', TERM_DAYS - daysBetween(day, edd));
+  }
+
+  // LMP: days since the last menstrual period
+  if (payload.lmp_date != null && payload.lmp_date !== '') {
+    given = true;
+    const lmp = parseDate(payload.lmp_date);
+    if (!lmp) invalid.push({ field: 'lmp_date', problem: 'invalid_date' });
+    else addEstimate('lmp', 'lmp_date', daysBetween(lmp, day));
+  }
+
+  // GA typed in the form
+  if (payload.gestational_weeks != null && payload.gestational_weeks !== '') {
+    given = true;
+    const entered = parseGestationalAge(
+      payload.gestational_weeks,
+      payload.gestational_days,
+    );
+    if (entered === null)
+      invalid.push({ field: 'gestational_weeks', problem: 'invalid_ga' });
+    else estimates.push({ source: 'entered', total_days: entered });
+  }
+
+  if (!given) return null;
+
+  for (const e of estimates) e.label = formatGestationalAge(e.total_days);
+  estimates.sort((a, b) => GA_SOURCES.indexOf(a.source) - GA_SOURCES.indexOf(b.source));
+
+  const used = estimates[0];
+  const mismatches = estimates
+    .slice(1)
+    .map((e) => ({
+      source: e.source,
+      label: e.label,
+      difference_days: Math.abs(e.total_days - used.total_days),
+    }))
+    .filter((m) => m.difference_days > MISMATCH_DAYS);
+
+  return {
+    weeks: used ? Math.floor(used.total_days / 7) : null,
+    days: used ? used.total_days % 7 : null,
+    total_days: used ? used.total_days : null,
+    label: used ? used.label : null,
+    source: used ? used.source : null,
+    edd: used
+      ? isoDate(new Date(day.getTime() + (TERM_DAYS - used.total_days) * DAY_MS))
+      : null,
+    estimates,
+    mismatches,
+    invalid,
+  };
+}
@@ -0,0 +1,401 @@
+#!/usr/bin/env node
+/**
+ * golden.js
+ * ------------------------------------------------------------
+ * Golden-case regression corpus: reviewed cases (backend/golden/*.json) replayed
+ * through runDecisionEngine, to review the impact of a rule edit before release.
+ *
+ * A case (schemas/goldenCase.schema.json) holds an input payload, or a payload_file
+ * such as docs/api_payload_*.json, and the expected outcome:
+ *   { id, description, now, payload | payload_file, confirmed_flags,
+ *     expected: { suggested_flags, triage, priority_score }, response_example }
+ * Without confirmed_flags the case replays Step 1 (triage 'pending_confirmation').
+ * response_example points to a docs/api_response_example_*.json file: its fields
+ * (case_id and created_at aside) must match the result, so the docs stay true.
+ *
+ *   node golden.js                               check the corpus (exit code 1 on failure)
+ *   node golden.js --baseline /tmp/base/rules    + flags / score / triage changes
+ *                                                against the baseline rule packs
+ *   node golden.js --update                      accept the current results
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import Ajv from 'ajv';
+
+import { runDecisionEngine } from './decisionEngine.js';
+import { RULE_PACKS, loadRulePacks } from './rulePacks.js';
+import { TRIAGE_TIERS } from './whatIf.js';
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_GOLDEN_DIR = path.join(HERE, 'golden');
+const SCHEMA_PATH = path.join(HERE, 'schemas', 'goldenCase.schema.json');
+
+// Fields of a response example that change on every run
+const EXAMPLE_IGNORED_FIELDS = ['case_id', 'created_at'];
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validateSchema = ajv.compile(JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8')));
+
+function readJson(file, what) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid golden case ${what}: cannot read ${file} (${err.message})`);
+  }
+}
+
+/**
+ * Loads every case in a folder, sorted by file name. payload_file and
+ * response_example are read, so each case carries { payload, example }.
+ * Throws an Error on an invalid case or a duplicate id.
+ */
+export function loadGoldenCases(dir = DEFAULT_GOLDEN_DIR) {
+  const files = fs
+    .readdirSync(dir)
+    .filter((f) => path.extname(f) === '.json')
+    .sort();
+
+  const ids = new Set();
+  return files.map((f) => {
+    const file = path.join(dir, f);
+    const raw = readJson(file, f);
+    if (!validateSchema(raw)) {
+      const problems = validateSchema.errors.map(
+        (e) => `${e.instancePath || '/'} ${e.message}`,
+      );
+      throw new Error(`Invalid golden case ${f}: ${problems.join('; ')}`);
+    }
+    if (raw.now && Number.isNaN(Date.parse(raw.now))) {
+      throw new Error(`Invalid golden case ${f}: invalid date "${raw.now}"`);
+    }
+    if (ids.has(raw.id)) {
+      throw new Error(`Invalid golden case ${f}: id "${raw.id}" is used twice`);
+    }
+    ids.add(raw.id);
+
+    const resolve = (p) => path.resolve(dir, p);
+    const example_file = raw.response_example ? resolve(raw.response_example) : null;
+    return {
+      ...raw,
+      file,
+      payload: raw.payload ?? readJson(resolve(raw.payload_file), f),
+      example_file,
+      example: example_file ? readJson(example_file, f) : null,
+    };
+  });
+}
+
+/**
+ * Runs a case through the engine with the given rule packs. The case is not modified.
+ */
+export function replayCase(goldenCase, rulePacks = RULE_PACKS) {
+  const payload = structuredClone(goldenCase.payload);
+  if (goldenCase.confirmed_flags) payload.confirmed_flags = goldenCase.confirmed_flags;
+  return runDecisionEngine(payload, { now: goldenCase.now, rulePacks });
+}
+
+const sameFlags = (a, b) =>
+  a.length === b.length && [...a].sort().join() === [...b].sort().join();
+
+/**
+ * Differences between a case's expectations and an engine result:
+ * [{ field, expected, actual }]. Flags are compared as sets.
+ */
+export function checkGoldenCase(goldenCase, result) {
+  const mismatches = [];
+  for (const [field, expected] of Object.entries(goldenCase.expected)) {
+    const actual = result[field];
+    const same =
+      field === 'suggested_flags' ? sameFlags(expected, actual) : expected === actual;
+    if (!same) mismatches.push({ field, expected, actual });
+  }
+
+  for (const [field, expected] of Object.entries(goldenCase.example || {})) {
+    if (EXAMPLE_IGNORED_FIELDS.includes(field)) continue;
+    const actual = result[field];
+    if (JSON.stringify(expected) !== JSON.stringify(actual)) {
+      mismatches.push({ field: `response_example.${field}`, expected, actual });
+    }
+  }
+  return mismatches;
+}
+
+/**
+ * Replays and checks every case.
+ * Returns { total, passed, failed, cases: [{ id, passed, triage, priority_score, mismatches }] }.
+ */
+export function runGoldenCorpus(cases, rulePacks = RULE_PACKS) {
+  const results = cases.map((c) => {
+    const result = replayCase(c, rulePacks);
+    const mismatches = checkGoldenCase(c, result);
+    return {
+      id: c.id,
+      passed: mismatches.length === 0,
+      triage: result.triage,
+      priority_score: result.priority_score,
+      mismatches,
+    };
+  });
+  const passed = results.filter((r) => r.passed).length;
+  return {
+    total: results.length,
+    passed,
+    failed: results.length - passed,
+    cases: results,
+  };
+}
+
+// 'up' / 'down' between two triage tiers, null otherwise (same tier, Step 1)
+function triageChange(before, after) {
+  const a = TRIAGE_TIERS.indexOf(before);
+  const b = TRIAGE_TIERS.indexOf(after);
+  if (a < 0 || b < 0 || a === b) return null;
+  return b > a ? 'up' : 'down';
+}
+
+/**
+ * Replays every case with the baseline and the current rule packs and reports what
+ * a rule edit changes, case by case:
+ *   { id, pathway, changed, rules_version: { baseline, current },
+ *     flags_added, flags_removed (suggested flags),
+ *     score: { baseline, current, change }, triage: { baseline, current, change } }
+ * triage.change is 'up', 'down' or null. Expectations are not looked at.
+ * Returns { cases, summary: { total, changed, flags_changed, score_changed,
+ * triage_up, triage_down } }.
+ */
+export function diffRuleChange(cases, baselinePacks, currentPacks = RULE_PACKS) {
+  const diffs = cases.map((c) => {
+    const before = replayCase(c, baselinePacks);
+    const after = replayCase(c, currentPacks);
+    const flags_added = after.suggested_flags.filter(
+      (f) => !before.suggested_flags.includes(f),
+    );
+    const flags_removed = before.suggested_flags.filter(
+      (f) => !after.suggested_flags.includes(f),
+    );
+    const scoreChange =
+      before.priority_score == null || after.priority_score == null
+        ? null
+        : after.priority_score - before.priority_score;
+    return {
+      id: c.id,
+      pathway: after.pathway,
+      changed:
+        flags_added.length > 0 ||
+        flags_removed.length > 0 ||
+        before.priority_score !== after.priority_score ||
+        before.triage !== after.triage,
+      rules_version: { baseline: before.rules_version, current: after.rules_version },
+      flags_added,
+      flags_removed,
+      score: {
+        baseline: before.priority_score,
+        current: after.priority_score,
+        change: scoreChange,
+      },
+      triage: {
+        baseline: before.triage,
+        current: after.triage,
+        change: triageChange(before.triage, after.triage),
+      },
+    };
+  });
+
+  const count = (test) => diffs.filter(test).length;
+  return {
+    cases: diffs,
+    summary: {
+      total: diffs.length,
+      changed: count((d) => d.changed),
+      flags_changed: count((d) => d.flags_added.length || d.flags_removed.length),
+      score_changed: count((d) => d.score.baseline !== d.score.current),
+      triage_up: count((d) => d.triage.change === 'up'),
+      triage_down: count((d) => d.triage.change === 'down'),
+    },
+  };
+}
+
+const show = (value) => JSON.stringify(value);
+
+/**
+ * Corpus check as text: one line per case, mismatches under the failing ones.
+ */
+export function formatCheckReport(run) {
+  const lines = [];
+  for (const c of run.cases) {
+    const outcome = `${c.triage}, ${c.priority_score ?? 'no score'}`;
+    lines.push(`${c.passed ? 'PASS' : 'FAIL'}  ${c.id} (${outcome})`);
+    for (const m of c.mismatches) {
+      lines.push(`      ${m.field}: expected ${show(m.expected)}, got ${show(m.actual)}`);
+    }
+  }
+  lines.push('', `${run.passed}/${run.total} golden case(s) passed.`);
+  return lines.join('\n');
+}
+
+/**
+ * Rule-change diff as text: the changed cases, then the summary.
+ */
+export function formatDiffReport(diff) {
+  const lines = ['Rule change impact (baseline -> current)', ''];
+  for (const d of diff.cases.filter((x) => x.changed)) {
+    const { baseline, current } = d.rules_version;
+    const versions = baseline === current ? current : `${baseline} -> ${current}`;
+    lines.push(`${d.id} (${d.pathway}, rules ${versions ?? 'n/a'})`);
+    if (d.flags_added.length) lines.push(`  + flags: ${d.flags_added.join(', ')}`);
+    if (d.flags_removed.length) lines.push(`  - flags: ${d.flags_removed.join(', ')}`);
+    if (d.score.baseline !== d.score.current) {
+      const change =
+        d.score.change == null
+          ? ''
+          : ` (${d.score.change > 0 ? '+' : ''}${d.score.change})`;
+      lines.push(
+        `  score: ${d.score.baseline ?? 'none'} -> ${d.score.current ?? 'none'}${change}`,
+      );
+    }
+    if (d.triage.baseline !== d.triage.current) {
+      const change = d.triage.change ? ` (${d.triage.change})` : '';
+      lines.push(`  triage: ${d.triage.baseline} -> ${d.triage.current}${change}`);
+    }
+  }
+  if (!diff.summary.changed) lines.push('No case changed.');
+
+  const s = diff.summary;
+  lines.push(
+    '',
+    `${s.changed}/${s.total} case(s) changed: ${s.flags_changed} with other flags, ` +
+      `${s.score_changed} with another score, ${s.triage_up} triage up, ` +
+      `${s.triage_down} triage down.`,
+  );
+  return lines.join('\n');
+}
+
+/**
+ * Rewrites a case's expectations (and its response example) from an engine result.
+ * Files are only written when something changed. Returns true if so.
+ */
+export function updateGoldenCase(goldenCase, result) {
+  let updated = false;
+  const write = (file, data) => {
+    fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+    updated = true;
+  };
+
+  const expected = {
+    suggested_flags: result.suggested_flags,
+    triage: result.triage,
+    priority_score: result.priority_score,
+  };
+  if (checkGoldenCase({ expected: goldenCase.expected }, result).length) {
+    const raw = JSON.parse(fs.readFileSync(goldenCase.file, 'utf8'));
+    write(goldenCase.file, { ...raw, expected });
+  }
+
+  if (
+    goldenCase.example &&
+    checkGoldenCase({ ...goldenCase, expected: {} }, result).length
+  ) {
+    const example = Object.fromEntries(
+      Object.keys(goldenCase.example).map((field) => [
+        field,
+        EXAMPLE_IGNORED_FIELDS.includes(field)
+          ? goldenCase.example[field]
+          : result[field],
+      ]),
+    );
+    write(goldenCase.example_file, example);
+  }
+  return updated;
+}
+
+const USAGE = `Usage: node golden.js [options]
+
+Replays the golden cases through the decision engine and checks their expectations.
+
+Options:
+  --dir d           golden case folder (default: backend/golden)
+  --baseline d      rule pack folder to compare the current rules with, e.g.
+                    git archive <ref> rules | tar -x -C /tmp/base (in backend/)
+                    then --baseline /tmp/base/rules
+  --update          write the current results as the expected ones
+  -h, --help        show this help
+
+Exit codes: 0 all cases pass, 1 failing cases, 2 usage or corpus error.`;
+
+class UsageError extends Error {}
+
+/**
+ * Command-line arguments -> { dir, baseline, update, help }.
+ */
+export function parseArgs(argv) {
+  const args = { dir: DEFAULT_GOLDEN_DIR, baseline: null, update: false, help: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') args.help = true;
+    else if (arg === '--update') args.update = true;
+    else if (arg === '--dir' || arg === '--baseline') {
+      i += 1;
+      if (i >= argv.length || argv[i].startsWith('--')) {
+        throw new UsageError(`${arg} needs a value`);
+      }
+      args[arg.slice(2)] = argv[i];
+    } else {
+      throw new UsageError(`unknown option ${arg}`);
+    }
+  }
+  return args;
+}
+
+const defaultIo = {
+  out: (text) => process.stdout.write(`${text}\n`),
+  err: (text) => process.stderr.write(`${text}\n`),
+};
+
+/**
+ * Runs the golden check (and the diff report with --baseline). Returns the exit code.
+ */
+export function main(argv, io = defaultIo) {
+  let args;
+  let cases;
+  let baselinePacks = null;
+  try {
+    args = parseArgs(argv);
+    if (args.help) {
+      io.out(USAGE);
+      return 0;
+    }
+    cases = loadGoldenCases(args.dir);
+    if (args.baseline) baselinePacks = loadRulePacks(args.baseline);
+  } catch (err) {
+    io.err(`golden: ${err.message}`);
+    if (err instanceof UsageError) io.err(USAGE);
+    return 2;
+  }
+
+  if (baselinePacks) {
+    io.out(formatDiffReport(diffRuleChange(cases, baselinePacks)));
+    io.out('');
+  }
+
+  if (args.update) {
+    const updated = cases.filter((c) => updateGoldenCase(c, replayCase(c)));
+    io.out(`${updated.length} golden case(s) updated.`);
+    for (const c of updated) io.out(`- ${c.id}`);
+    return 0;
+  }
+
+  const run = runGoldenCorpus(cases);
+  io.out(formatCheckReport(run));
+  return run.failed ? 1 : 0;
+}
+
+// Run when called as a command (node golden.js), not when imported
+if (
+  process.argv[1] &&
+  fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)
+) {
+  process.exitCode = main(process.argv.slice(2));
+}
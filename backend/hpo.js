@@ -0,0 +1,118 @@
+/**
+ * hpo.js
+ * ------------------------------------------------------------
+ * Offline Human Phenotype Ontology (HPO) support for the pediatric pathway.
+ *
+ * - data/hpo_subset.json is a small bundled subset of HPO (terms, labels, is_a
+ *   parents, obsolete IDs). No network access is needed.
+ * - hpo_terms entries are validated ("HP:0001250", "hp_1250", "HP:0001250 Seizure")
+ *   and resolved to labels. Entries that are not IDs (plain words) are left to the
+ *   free-text search.
+ * - A rule with "hpo": ["HP:0001250"] is suggested when a term OR any of its
+ *   descendants is entered (HP:0007359 Focal-onset seizure -> seizures).
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+
+export const HPO_SUBSET_PATH = path.join(HERE, 'data', 'hpo_subset.json');
+
+// Bundled subset, loaded once at startup
+export const HPO = JSON.parse(fs.readFileSync(HPO_SUBSET_PATH, 'utf8'));
+
+// "HP:0001250", "hp_1250", "HP 0001250 (Seizure)"
+const HPO_ID_RE = /^hp[:_\s]\s*(\d{1,7})\b/i;
+// Looks like an attempt at an ID ("HP:12AB") even if malformed
+const HPO_PREFIX_RE = /^hp[:_]/i;
+
+/**
+ * Canonical ID ("hp_1250" -> "HP:0001250"), or null if the entry is not an ID.
+ */
+export function normalizeHpoId(value) {
+  const m = HPO_ID_RE.exec((value ?? '').toString().trim());
+  return m ? `HP:${m[1].padStart(7, '0')}` : null;
+}
+
+/**
+ * Every ancestor of a term (is_a closure, the term itself excluded).
+ */
+export function hpoAncestors(id, ontology = HPO) {
+  const seen = new Set();
+  const queue = [...(ontology.terms[id]?.parents || [])];
+  while (queue.length) {
+    const next = queue.shift();
+    if (seen.has(next)) continue;
+    seen.add(next);
+    queue.push(...(ontology.terms[next]?.parents || []));
+  }
+  return seen;
+}
+
+/**
+ * True if id is target or one of its descendants.
+ */
+export function isHpoDescendant(id, target, ontology = HPO) {
+  return id === target || hpoAncestors(id, ontology).has(target);
+}
+
+/**
+ * Validates and resolves payload.hpo_terms.
+ * Returns {
+ *   terms:       [{ index, input, id, name }]   known, current terms
+ *   malformed:   [{ index, input, id: null }]   "HP:" prefix but not a valid ID
+ *   not_bundled: [{ index, input, id }]         valid ID, but not in the bundled subset
+ *                                               (it may well exist in the full HPO)
+ *   obsolete:    [{ index, input, id, name, replaced_by }]
+ * }
+ */
+export function resolveHpoTerms(hpoTerms, ontology = HPO) {
+  const out = { terms: [], malformed: [], not_bundled: [], obsolete: [] };
+  if (!Array.isArray(hpoTerms)) return out;
+
+  hpoTerms.forEach((value, index) => {
+    const input = (value ?? '').toString().trim();
+    const id = normalizeHpoId(input);
+
+    if (!id) {
+      if (HPO_PREFIX_RE.test(input)) out.malformed.push({ index, input, id: null });
+      return;
+    }
+    if (ontology.obsolete?.[id]) {
+      const { name = null, replaced_by = null } = ontology.obsolete[id];
+      out.obsolete.push({ index, input, id, name, replaced_by });
+      return;
+    }
+    if (!ontology.terms[id]) {
+      out.not_bundled.push({ index, input, id });
+      return;
+    }
+    out.terms.push({ index, input, id, name: ontology.terms[id].name });
+  });
+
+  return out;
+}
+
+/**
+ * Rules whose hpo[] covers at least one resolved term.
+ * Returns [{ rule, term, via }] (via = the rule's HPO ID the term descends from).
+ */
+export function matchHpoRules(terms, rules = [], ontology = HPO) {
+  const hits = [];
+  for (const rule of rules) {
+    if (!rule.hpo) continue;
+    for (const term of terms) {
+      const via = rule.hpo.find((target) => isHpoDescendant(term.id, target, ontology));
+      if (via) hits.push({ rule, term, via });
+    }
+  }
+  return hits;
+}
+
+/**
+ * Label of a known term ("HP:0001250" -> "Seizure"), or null.
+ */
+export function hpoLabel(id, ontology = HPO) {
+  return ontology.terms[id]?.name ?? null;
+}
@@ -0,0 +1,558 @@
+/**
+ * i18n.js
+ * ------------------------------------------------------------
+ * Output language of a case (English or French) and the engine's own messages.
+ *
+ * - Language: payload.language ('en' | 'fr'), or detected from the free-text
+ *   fields when missing / 'auto' (function words of each language are counted).
+ * - Rule packs carry per-language dictionaries on each rule:
+ *     "i18n": { "fr": { "patterns": [...], "reason": "...", "next_steps": [...] } }
+ *   Patterns of ALL languages are always searched (mixed-language notes); the
+ *   language only selects the reasons, next steps and missing info returned.
+ * - Messages missing in a language fall back to English. Messages with a {count} can
+ *   have plural forms, { one, other }, picked with the rules of the language.
+ */
+import { foldCase, tokenize } from './textMatcher.js';
+
+export const LANGUAGES = ['en', 'fr'];
+export const DEFAULT_LANGUAGE = 'en';
+
+// Free-text fields used for detection
+const DETECTION_FIELDS = [
+  'chief_concern',
+  'clinical_notes',
+  'family_history_summary',
+  'personal_history_details',
+];
+
+// Function words and common clinical words (accent-folded), one set per language
+const LANGUAGE_WORDS = {
+  en: new Set(
+    (
+      'the and of with is was were has had have at in on for her his she he ' +
+      'mother father sister brother daughter son aunt uncle years old diagnosed ' +
+      'history family who which from by an no not risk high low pregnancy'
+    ).split(' '),
+  ),
+  fr: new Set(
+    (
+      'le la les des du de et est une un avec pour pas sur dans chez sa son ses ' +
+      'mere pere soeur frere fille fils tante oncle ans au aux elle il qui que ' +
+      'par sans ete antecedent antecedents atcd diagnostique diagnostiquee risque ' +
+      'haut eleve faible grossesse echographie dpni patiente enfant'
+    ).split(' '),
+  ),
+};
+
+// Both languages count as used when the minority has at least this share
+const MIXED_MIN_WORDS = 2;
+const MIXED_MIN_SHARE = 0.25;
+
+/**
+ * Detects the language of a text: { language, mixed, scores: { en, fr } }.
+ * Without any known word, language is null.
+ */
+export function detectLanguage(text) {
+  const scores = Object.fromEntries(LANGUAGES.map((l) => [l, 0]));
+  for (const t of tokenize(text)) {
+    for (const l of LANGUAGES) {
+      if (LANGUAGE_WORDS[l].has(t.lower)) scores[l] += 1;
+    }
+  }
+
+  const ranked = [...LANGUAGES].sort((a, b) => scores[b] - scores[a]);
+  const [top, second] = ranked;
+  const total = scores[top] + scores[second];
+  return {
+    language: scores[top] > 0 && scores[top] > scores[second] ? top : null,
+    mixed: scores[second] >= MIXED_MIN_WORDS && scores[second] / total >= MIXED_MIN_SHARE,
+    scores,
+  };
+}
+
+/**
+ * Output language of a case:
+ * { language, source: 'explicit' | 'detected' | 'default', requested, detected, mixed }.
+ * An unsupported explicit language falls back to detection.
+ */
+export function resolveLanguage(payload) {
+  const requested = foldCase(payload.language).trim() || null;
+  const text = DETECTION_FIELDS.map((f) => (payload[f] ?? '').toString()).join('\n');
+  const detection = detectLanguage(text);
+
+  let language = DEFAULT_LANGUAGE;
+  let source = 'default';
+  if (LANGUAGES.includes(requested)) {
+    language = requested;
+    source = 'explicit';
+  } else if (detection.language) {
+    language = detection.language;
+    source = 'detected';
+  }
+
+  return {
+    language,
+    source,
+    requested,
+    detected: detection.language,
+    mixed: detection.mixed,
+  };
+}
+
+/**
+ * Patterns of a rule in every language (searched together).
+ */
+export function allPatterns(rule, key = 'patterns') {
+  return [
+    ...(rule?.[key] || []),
+    ...Object.values(rule?.i18n || {}).flatMap((d) => d[key] || []),
+  ];
+}
+
+/**
+ * Text property of a rule (reason, next_steps, item) in a language,
+ * falling back to the pack's default text.
+ */
+export function localized(rule, key, language) {
+  return rule?.i18n?.[language]?.[key] ?? rule?.[key];
+}
+
+const MESSAGES = {
+  en: {
+    family_history_provided:
+      'Family history information was provided and should be considered in the genetic assessment.',
+    flags_extracted: 'Suggested red flags were extracted from the provided context.',
+    no_confirmed_flags: 'No confirmed flags were selected.',
+    physician_added: 'Added by the physician: {reason}',
+    not_enough_signals: 'Not enough relevant signals identified from the provided data.',
+    hpo_entered: 'HPO {id} ({name}) entered.',
+    hpo_descendant: 'HPO {id} ({name}) is a descendant of {ancestor} ({label}).',
+    early_onset:
+      'Early-onset {condition} at {age} (threshold for {type}: before {threshold}).',
+    early_onset_diagnosis: 'diagnosis',
+    relative_rule_reason: '{reason}: {relatives}.',
+    relative_side: '{side} {relation}',
+    relative_condition: '{relative} ({condition})',
+    relative_condition_age: '{relative} ({condition} at {age})',
+    side_maternal: 'maternal',
+    side_paternal: 'paternal',
+    relation_patient: 'patient',
+    consanguinity_reason:
+      'Partners are {label} (coefficient of relationship {fraction}).',
+    ancestry_reason: 'Ancestry with elevated carrier frequencies: {groups}.',
+    carrier_couple_reason: 'Both partners carry: {carriers}.',
+    known_carrier_reason: 'Known carrier status: {carriers}.',
+    pregnancy_losses_reason: '{count} pregnancy losses reported.',
+    partner_patient: 'patient',
+    partner_partner: 'partner',
+    partner_unknown: 'partner not specified',
+    degree_uncle_niece: 'uncle-niece / aunt-nephew',
+    degree_double_first_cousins: 'double first cousins',
+    degree_first_cousins: 'first cousins',
+    degree_first_cousins_once_removed: 'first cousins once removed',
+    degree_second_cousins: 'second cousins',
+    degree_second_cousins_once_removed: 'second cousins once removed',
+    degree_third_cousins: 'third cousins',
+
+    missing_patient_age: 'Patient age',
+    missing_patient_sex: 'Patient sex',
+    missing_chief_concern: 'Chief concern',
+    missing_family_history: 'Family history summary',
+    missing_age_at_diagnosis: 'Age at diagnosis for: {relatives}',
+    missing_pregnancy_status: 'Pregnancy status (pregnant or preconception)',
+    missing_gestational_age: 'Gestational age (weeks, LMP, EDD or dating ultrasound)',
+    missing_ga_invalid: 'Check the {field}: {problem}',
+    missing_follow_up_invalid: 'Invalid answer, please check: {question}',
+    missing_known_variant_report:
+      'Familial variant report (gene, variant and laboratory report of the tested relative)',
+    missing_known_variant_unknown:
+      'Genetic testing in the family (is a familial variant known?)',
+    missing_personal_history_unknown:
+      'Personal history flags not recognized in this pathway (describe them in the clinical notes): {flags}',
+    missing_completeness_low:
+      'The case is marked as incomplete (data completeness: low): complete it before referral',
+    missing_completeness_mismatch: {
+      one: 'Data completeness declared {declared}, but {count} item is missing',
+      other: 'Data completeness declared {declared}, but {count} items are missing',
+    },
+    completeness_low: 'low',
+    completeness_medium: 'medium',
+    completeness_high: 'high',
+    known_variant_details: 'Familial variant: {details}.',
+    missing_ga_mismatch:
+      'Gestational age mismatch: {source} gives {label}, {reference} gives {used} ({days} days apart), check the dating',
+    ga_field_gestational_weeks: 'gestational age entered',
+    ga_field_lmp_date: 'LMP date',
+    ga_field_edd_date: 'EDD',
+    ga_field_ultrasound: 'dating ultrasound',
+    ga_problem_invalid_date: 'not a valid date (YYYY-MM-DD)',
+    ga_problem_invalid_ga: 'not a valid gestational age (weeks or weeks+days)',
+    ga_problem_future: 'gives a date in the future',
+    ga_problem_out_of_range: 'gives a gestational age above 45 weeks',
+    ga_problem_incomplete:
+      'both the scan date and the measured gestational age are needed',
+    ga_source_ultrasound: 'the dating ultrasound',
+    ga_source_edd: 'the EDD',
+    ga_source_lmp: 'the LMP',
+    ga_source_entered: 'the gestational age entered',
+    missing_hpo_malformed: 'Malformed HPO term IDs (expected HP:0000000): {ids}',
+    missing_hpo_not_bundled:
+      'HPO terms outside the offline subset, not used for suggestions (describe them in the notes): {ids}',
+    missing_hpo_obsolete: 'Obsolete HPO term IDs (update them): {ids}',
+    hpo_replaced_by: '{id} (replaced by {replacement})',
+    missing_hpo_terms: 'HPO terms (or a more detailed phenotype description)',
+    missing_consanguinity: 'Consanguinity (are the partners related, and how?)',
+    missing_ancestry: 'Ancestry of both partners',
+    missing_partner_carrier: 'Carrier status of the other partner for: {carriers}',
+    missing_carrier_result:
+      'Carrier test result (carrier or not carrier), not counted until given: {carriers}',
+    missing_unknown_ancestry: 'Unknown ancestry groups (not in the rule pack): {groups}',
+
+    guideline_hboc: 'Hereditary breast and ovarian cancer (HBOC) referral criteria',
+    guideline_amsterdam_ii: 'Amsterdam II criteria (Lynch syndrome)',
+    guideline_revised_bethesda: 'Revised Bethesda guidelines (Lynch syndrome)',
+    criterion_breast_cancer_by_45:
+      'Breast cancer diagnosed at or before 45 (patient or close relative)',
+    criterion_ovarian_cancer: 'Ovarian, fallopian tube or peritoneal cancer at any age',
+    criterion_male_breast_cancer: 'Male breast cancer',
+    criterion_pancreatic_cancer: 'Pancreatic cancer at any age',
+    criterion_triple_negative_by_60:
+      'Triple-negative breast cancer diagnosed at or before 60',
+    criterion_three_on_same_side:
+      '3 or more breast, ovarian, pancreatic or prostate cancers on the same side of the family',
+    criterion_three_relatives:
+      'At least 3 relatives with a Lynch-associated cancer (colorectal, endometrial, small bowel, ureter / renal pelvis)',
+    criterion_first_degree_link:
+      'One affected person is a first-degree relative of the other two',
+    criterion_successive_generations: 'At least two successive generations affected',
+    criterion_diagnosed_before_50:
+      'At least one Lynch-associated cancer diagnosed before 50',
+    criterion_fap_excluded: 'Familial adenomatous polyposis excluded',
+    criterion_patient_colorectal_cancer: 'Patient diagnosed with colorectal cancer',
+    criterion_colorectal_before_50: 'Colorectal cancer diagnosed before 50',
+    criterion_multiple_lynch_tumors:
+      'Synchronous or metachronous colorectal or other Lynch-associated tumors',
+    criterion_msi_high_before_60:
+      'Colorectal cancer with MSI-high histology diagnosed before 60',
+    criterion_first_degree_relative_before_50:
+      'First-degree relative with a Lynch-associated tumor diagnosed before 50',
+    criterion_two_close_relatives:
+      'Two or more first- or second-degree relatives with Lynch-associated tumors',
+    criteria_age_missing: 'Age at diagnosis missing: {people}',
+    criteria_receptor_missing: 'Receptor status or age missing: {people}',
+    criteria_first_degree_of_two:
+      '{person} is a first-degree relative of two affected people',
+    criteria_relationship_unclear: 'Family side or relationship unclear',
+    criteria_polyposis_not_reported: 'Polyposis status not reported',
+    criteria_no_patient_crc: 'No colorectal cancer in the patient',
+    criteria_no_personal_history:
+      'Personal cancer history not provided (add the patient as relation "self")',
+    criteria_msi_missing: 'Tumor MSI / MMR status (or age) not provided',
+    criteria_no_pedigree:
+      'No structured pedigree (relatives[]) entered: free-text notes are not used',
+
+    next_steps_oncogenetics: [
+      'Complete a three-generation family history.',
+      'Collect pathology reports if available.',
+      'Consider referral to genetic counseling based on confirmed findings.',
+    ],
+    next_steps_prenatal: [
+      'Collect ultrasound report and screening results.',
+      'Discuss referral to prenatal genetic counseling (time-sensitive).',
+    ],
+    next_steps_pediatric: [
+      'Complete phenotype documentation (clinical exam + notes).',
+      'Consider referral to pediatric genetic counseling.',
+    ],
+    next_steps_cardiogenetics: [
+      'Complete a three-generation family history (sudden deaths, cardiomyopathies, aortic events).',
+      'Collect ECG, echocardiogram and lipid panel results.',
+      'Consider referral to a cardiogenetics clinic based on confirmed findings.',
+    ],
+    next_steps_reproductive: [
+      'Consider referral to preconception genetic counseling based on confirmed findings.',
+    ],
+    urgency_next_step: {
+      one: '{label}: deadline {deadline} ({count} day left).',
+      other: '{label}: deadline {deadline} ({count} days left).',
+    },
+    urgency_passed:
+      'All prenatal testing windows have passed: discuss the remaining options with the prenatal team.',
+    next_steps_urgent: 'Urgent referral: contact the genetics team without delay.',
+    next_steps_not_prioritized: [
+      'No genetic referral needed based on current information.',
+      'Reassess if new family history or clinical findings appear.',
+    ],
+    strategy_couple_at_risk: 'Couple at risk (25% per pregnancy) for: {carriers}.',
+    strategy_partner_testing:
+      'Offer targeted carrier testing of the other partner for: {carriers}.',
+    strategy_expanded: 'Offer expanded carrier screening (consanguineous couple).',
+    strategy_ancestry_based: 'Offer carrier screening for: {conditions}.',
+    strategy_standard: 'Offer carrier screening information to both partners.',
+
+    confirm_message: 'Please confirm relevant flags to compute a score and triage.',
+    disclaimer:
+      'This tool is for educational triage purposes only and does not replace medical decision-making.',
+  },
+
+  fr: {
+    family_history_provided:
+      "Des informations sur l'histoire familiale ont été fournies et doivent être prises en compte dans l'évaluation génétique.",
+    flags_extracted: "Des signaux d'alerte ont été extraits des informations fournies.",
+    no_confirmed_flags: "Aucun signal d'alerte n'a été confirmé.",
+    physician_added: 'Ajouté par le médecin : {reason}',
+    not_enough_signals: 'Pas assez de signaux pertinents dans les données fournies.',
+    hpo_entered: 'HPO {id} ({name}) saisi.',
+    hpo_descendant: 'HPO {id} ({name}) est un descendant de {ancestor} ({label}).',
+    early_onset:
+      'Diagnostic précoce ({condition}) à {age} ans (seuil pour {type} : avant {threshold} ans).',
+    early_onset_diagnosis: 'non précisé',
+    cancer_type_breast: 'le cancer du sein',
+    cancer_type_ovarian: "le cancer de l'ovaire",
+    cancer_type_colorectal: 'le cancer colorectal',
+    cancer_type_endometrial: "le cancer de l'endomètre",
+    cancer_type_prostate: 'le cancer de la prostate',
+    cancer_type_pancreatic: 'le cancer du pancréas',
+    cancer_type_gastric: "le cancer de l'estomac",
+    cancer_type_small_bowel: "le cancer de l'intestin grêle",
+    cancer_type_urothelial: 'le cancer urothélial',
+    cancer_type_bladder: 'le cancer de la vessie',
+    cancer_type_renal: 'le cancer du rein',
+    cancer_type_biliary: 'le cancer des voies biliaires',
+    cancer_type_brain: 'les tumeurs cérébrales',
+    cancer_type_sebaceous: 'les tumeurs sébacées',
+    cancer_type_thyroid: 'le cancer de la thyroïde',
+    cancer_type_lung: 'le cancer du poumon',
+    cancer_type_melanoma: 'le mélanome',
+    cancer_type_leukemia: 'la leucémie',
+    cancer_type_lymphoma: 'le lymphome',
+    cancer_type_sarcoma: 'le sarcome',
+    cancer_type_unspecified: 'un cancer non précisé',
+    relative_rule_reason: '{reason} : {relatives}.',
+    relative_side: '{relation} {side}',
+    relative_condition: '{relative} ({condition})',
+    relative_condition_age: '{relative} ({condition} à {age} ans)',
+    side_maternal: 'côté maternel',
+    side_paternal: 'côté paternel',
+    relation_patient: 'patient(e)',
+    relation_self: 'patient(e)',
+    relation_mother: 'mère',
+    relation_father: 'père',
+    relation_sister: 'sœur',
+    relation_brother: 'frère',
+    relation_sibling: 'frère ou sœur',
+    relation_daughter: 'fille',
+    relation_son: 'fils',
+    relation_child: 'enfant',
+    relation_grandmother: 'grand-mère',
+    relation_grandfather: 'grand-père',
+    relation_aunt: 'tante',
+    relation_uncle: 'oncle',
+    relation_half_sister: 'demi-sœur',
+    relation_half_brother: 'demi-frère',
+    relation_niece: 'nièce',
+    relation_nephew: 'neveu',
+    relation_granddaughter: 'petite-fille',
+    relation_grandson: 'petit-fils',
+    relation_cousin: 'cousin(e)',
+    relation_great_aunt: 'grand-tante',
+    relation_great_uncle: 'grand-oncle',
+    relation_great_grandmother: 'arrière-grand-mère',
+    relation_great_grandfather: 'arrière-grand-père',
+    relation_relative: 'apparenté(e)',
+    consanguinity_reason:
+      'Les partenaires sont {label} (coefficient de parenté {fraction}).',
+    ancestry_reason: 'Origine avec des fréquences de porteurs élevées : {groups}.',
+    carrier_couple_reason: 'Les deux partenaires sont porteurs : {carriers}.',
+    known_carrier_reason: 'Statut de porteur connu : {carriers}.',
+    pregnancy_losses_reason: '{count} pertes de grossesse rapportées.',
+    partner_patient: 'patient(e)',
+    partner_partner: 'partenaire',
+    partner_unknown: 'partenaire non précisé',
+    degree_uncle_niece: 'oncle-nièce / tante-neveu',
+    degree_double_first_cousins: 'doubles cousins germains',
+    degree_first_cousins: 'cousins germains',
+    degree_first_cousins_once_removed: "cousins germains décalés d'une génération",
+    degree_second_cousins: 'cousins issus de germains',
+    degree_second_cousins_once_removed:
+      "cousins issus de germains décalés d'une génération",
+    degree_third_cousins: 'arrière-cousins',
+
+    missing_patient_age: 'Âge du patient',
+    missing_patient_sex: 'Sexe du patient',
+    missing_chief_concern: 'Motif de consultation',
+    missing_family_history: "Résumé de l'histoire familiale",
+    missing_age_at_diagnosis: 'Âge au diagnostic pour : {relatives}',
+    missing_pregnancy_status: 'Statut de grossesse (enceinte ou préconception)',
+    missing_gestational_age:
+      'Âge gestationnel (semaines, DDR, DPA ou échographie de datation)',
+    missing_ga_invalid: 'Vérifier {field} : {problem}',
+    missing_follow_up_invalid: 'Réponse invalide, à vérifier : {question}',
+    missing_known_variant_report:
+      "Compte rendu du variant familial (gène, variant et compte rendu de laboratoire de l'apparenté testé)",
+    missing_known_variant_unknown:
+      'Tests génétiques dans la famille (un variant familial est-il connu ?)',
+    missing_personal_history_unknown:
+      'Antécédents personnels non reconnus dans ce parcours (les décrire dans les notes cliniques) : {flags}',
+    missing_completeness_low:
+      'Le dossier est signalé incomplet (complétude des données : faible) : le compléter avant orientation',
+    missing_completeness_mismatch: {
+      one: 'Complétude des données déclarée {declared}, mais {count} élément manque',
+      other: 'Complétude des données déclarée {declared}, mais {count} éléments manquent',
+    },
+    completeness_low: 'faible',
+    completeness_medium: 'moyenne',
+    completeness_high: 'élevée',
+    known_variant_details: 'Variant familial : {details}.',
+    missing_ga_mismatch:
+      "Âge gestationnel discordant : {source} donne {label}, {reference} donne {used} ({days} jours d'écart), vérifier la datation",
+    ga_field_gestational_weeks: "l'âge gestationnel saisi",
+    ga_field_lmp_date: 'la date des dernières règles (DDR)',
+    ga_field_edd_date: "la date prévue d'accouchement (DPA)",
+    ga_field_ultrasound: "l'échographie de datation",
+    ga_problem_invalid_date: 'date invalide (AAAA-MM-JJ)',
+    ga_problem_invalid_ga: 'âge gestationnel invalide (SA ou SA+jours)',
+    ga_problem_future: 'donne une date dans le futur',
+    ga_problem_out_of_range: 'donne un âge gestationnel au-delà de 45 SA',
+    ga_problem_incomplete:
+      "la date de l'échographie et l'âge gestationnel mesuré sont nécessaires",
+    ga_source_ultrasound: "l'échographie de datation",
+    ga_source_edd: 'la DPA',
+    ga_source_lmp: 'la DDR',
+    ga_source_entered: "l'âge gestationnel saisi",
+    missing_hpo_malformed:
+      'Identifiants HPO mal formés (format attendu HP:0000000) : {ids}',
+    missing_hpo_not_bundled:
+      'Termes HPO absents du sous-ensemble hors ligne, non utilisés pour les suggestions (les décrire dans les notes) : {ids}',
+    missing_hpo_obsolete: 'Identifiants HPO obsolètes (à mettre à jour) : {ids}',
+    hpo_replaced_by: '{id} (remplacé par {replacement})',
+    missing_hpo_terms: 'Termes HPO (ou description plus détaillée du phénotype)',
+    missing_consanguinity:
+      'Consanguinité (les partenaires sont-ils apparentés, et comment ?)',
+    missing_ancestry: 'Origine des deux partenaires',
+    missing_partner_carrier: "Statut de porteur de l'autre partenaire pour : {carriers}",
+    missing_carrier_result:
+      'Résultat du test de porteur (porteur ou non porteur), non pris en compte avant précision : {carriers}',
+    missing_unknown_ancestry: 'Origines inconnues (absentes du jeu de règles) : {groups}',
+
+    guideline_hboc: "Critères d'orientation du syndrome sein-ovaire héréditaire (HBOC)",
+    guideline_amsterdam_ii: "Critères d'Amsterdam II (syndrome de Lynch)",
+    guideline_revised_bethesda: 'Critères de Bethesda révisés (syndrome de Lynch)',
+    criterion_breast_cancer_by_45:
+      'Cancer du sein diagnostiqué à 45 ans ou avant (patient(e) ou apparenté proche)',
+    criterion_ovarian_cancer:
+      "Cancer de l'ovaire, de la trompe ou du péritoine quel que soit l'âge",
+    criterion_male_breast_cancer: "Cancer du sein chez l'homme",
+    criterion_pancreatic_cancer: "Cancer du pancréas quel que soit l'âge",
+    criterion_triple_negative_by_60:
+      'Cancer du sein triple négatif diagnostiqué à 60 ans ou avant',
+    criterion_three_on_same_side:
+      "Au moins 3 cancers du sein, de l'ovaire, du pancréas ou de la prostate du même côté de la famille",
+    criterion_three_relatives:
+      "Au moins 3 apparentés atteints d'un cancer du spectre de Lynch (côlon-rectum, endomètre, intestin grêle, uretère / bassinet)",
+    criterion_first_degree_link:
+      'Une personne atteinte est apparentée au premier degré aux deux autres',
+    criterion_successive_generations: 'Au moins deux générations successives atteintes',
+    criterion_diagnosed_before_50:
+      'Au moins un cancer du spectre de Lynch diagnostiqué avant 50 ans',
+    criterion_fap_excluded: 'Polypose adénomateuse familiale exclue',
+    criterion_patient_colorectal_cancer: "Patient(e) atteint(e) d'un cancer colorectal",
+    criterion_colorectal_before_50: 'Cancer colorectal diagnostiqué avant 50 ans',
+    criterion_multiple_lynch_tumors:
+      'Cancers colorectaux ou du spectre de Lynch synchrones ou métachrones',
+    criterion_msi_high_before_60:
+      'Cancer colorectal avec instabilité microsatellitaire (MSI-H) diagnostiqué avant 60 ans',
+    criterion_first_degree_relative_before_50:
+      'Apparenté au premier degré avec une tumeur du spectre de Lynch diagnostiquée avant 50 ans',
+    criterion_two_close_relatives:
+      'Au moins deux apparentés au premier ou deuxième degré avec des tumeurs du spectre de Lynch',
+    criteria_age_missing: 'Âge au diagnostic manquant : {people}',
+    criteria_receptor_missing: 'Statut des récepteurs ou âge manquant : {people}',
+    criteria_first_degree_of_two:
+      '{person} est apparenté(e) au premier degré à deux personnes atteintes',
+    criteria_relationship_unclear: 'Branche familiale ou lien de parenté imprécis',
+    criteria_polyposis_not_reported: 'Présence ou absence de polypose non précisée',
+    criteria_no_patient_crc: 'Pas de cancer colorectal chez le/la patient(e)',
+    criteria_no_personal_history:
+      'Antécédents personnels de cancer non renseignés (ajouter le/la patient(e) avec la relation "self")',
+    criteria_msi_missing: 'Statut MSI / MMR de la tumeur (ou âge) non renseigné',
+    criteria_no_pedigree:
+      "Pas d'arbre généalogique structuré (relatives[]) : les notes libres ne sont pas utilisées",
+
+    next_steps_oncogenetics: [
+      "Compléter l'arbre généalogique sur trois générations.",
+      "Recueillir les comptes rendus d'anatomopathologie si disponibles.",
+      'Envisager une orientation en consultation de génétique selon les éléments confirmés.',
+    ],
+    next_steps_prenatal: [
+      "Recueillir le compte rendu d'échographie et les résultats du dépistage.",
+      'Discuter une orientation en conseil génétique prénatal (urgent).',
+    ],
+    next_steps_pediatric: [
+      'Compléter la description du phénotype (examen clinique + notes).',
+      'Envisager une orientation en consultation de génétique pédiatrique.',
+    ],
+    next_steps_cardiogenetics: [
+      "Compléter l'arbre généalogique sur trois générations (morts subites, cardiomyopathies, événements aortiques).",
+      "Recueillir l'ECG, l'échocardiographie et le bilan lipidique.",
+      'Envisager une orientation en consultation de cardiogénétique selon les éléments confirmés.',
+    ],
+    next_steps_reproductive: [
+      'Envisager une orientation en conseil génétique préconceptionnel selon les éléments confirmés.',
+    ],
+    urgency_next_step: {
+      one: '{label} : date limite le {deadline} ({count} jour restant).',
+      other: '{label} : date limite le {deadline} ({count} jours restants).',
+    },
+    urgency_passed:
+      "Toutes les fenêtres de diagnostic prénatal sont dépassées : discuter des options restantes avec l'équipe de médecine foetale.",
+    next_steps_urgent:
+      "Orientation urgente : contacter l'équipe de génétique sans délai.",
+    next_steps_not_prioritized: [
+      "Pas d'orientation en génétique nécessaire d'après les informations actuelles.",
+      "Réévaluer en cas de nouvel antécédent familial ou d'élément clinique nouveau.",
+    ],
+    strategy_couple_at_risk: 'Couple à risque (25 % par grossesse) pour : {carriers}.',
+    strategy_partner_testing:
+      "Proposer un test ciblé de l'autre partenaire pour : {carriers}.",
+    strategy_expanded: 'Proposer un dépistage élargi des porteurs (couple consanguin).',
+    strategy_ancestry_based: 'Proposer un dépistage des porteurs pour : {conditions}.',
+    strategy_standard: 'Informer les deux partenaires sur le dépistage des porteurs.',
+
+    confirm_message:
+      "Veuillez confirmer les signaux d'alerte pertinents pour calculer un score et un triage.",
+    disclaimer:
+      'Cet outil est destiné au triage à visée pédagogique et ne remplace pas la décision médicale.',
+  },
+};
+
+/**
+ * True when the language has its own text for a message (no English fallback).
+ */
+export function hasMessage(language, key) {
+  return MESSAGES[language]?.[key] !== undefined;
+}
+
+/**
+ * Label of a cancer type (ageExtraction.js) in a language; types without a
+ * translation are shown as they are.
+ */
+export function cancerTypeLabel(language, type) {
+  const key = `cancer_type_${type}`;
+  return hasMessage(language, key) ? t(language, key) : type;
+}
+
+/**
+ * Message of the engine in a language; {name} placeholders are filled from params.
+ * List messages (next steps) are returned as arrays; plural messages follow params.count.
+ */
+export function t(language, key, params = {}) {
+  let message = MESSAGES[language]?.[key] ?? MESSAGES[DEFAULT_LANGUAGE][key];
+  if (message === undefined) throw new Error(`Unknown message: ${key}`);
+  if (message.other !== undefined) {
+    const locale = MESSAGES[language] ? language : DEFAULT_LANGUAGE;
+    message = message[new Intl.PluralRules(locale).select(params.count)] ?? message.other;
+  }
+  const fill = (s) => s.replace(/\{(\w+)\}/g, (m, name) => params[name] ?? m);
+  return Array.isArray(message) ? message.map(fill) : fill(message);
+}
@@ -0,0 +1,466 @@
+/**
+ * negation.js
+ * ------------------------------------------------------------
+ * NegEx-style context detection for free-text flag matching.
+ *
+ * Every keyword hit is classified from the words around it, inside the same
+ * sentence and within a small scope window. A negation carries through a comma
+ * list ("no seizures, hypotonia or delay") but not into a new clause after a comma
+ * ("no known allergies, mother had breast cancer"):
+ *  - negated    -> "no seizures", "denies family history of breast cancer",
+ *                  "ovarian cancer was ruled out"
+ *  - uncertain  -> "possible seizures", "rule out trisomy 21", "epilepsy?"
+ *  - historical -> "history of epilepsy"
+ *  - affirmed   -> anything else
+ *
+ * The engine suppresses negated hits and downgrades uncertain / historical ones
+ * (still suggested, but reported so the physician can review them).
+ *
+ * Triggers are English and French (notes often mix both). They are compared to
+ * case- and accent-folded tokens, so French triggers are written without accents
+ * ("pas d'épilepsie" -> "pas d").
+ *
+ * Educational triage only — NOT medical advice.
+ */
+
+import { findPatternMatches, tokenize as tokenizeWords } from './textMatcher.js';
+
+// Max number of tokens between a trigger and the matched keyword
+const SCOPE_WINDOW = 5;
+// Post-triggers are usually right after the keyword ("... was ruled out")
+const POST_SCOPE_WINDOW = 3;
+
+// Triggers that apply to the words AFTER them ("no seizures")
+const PRE_NEGATION = [
+  'no',
+  'not',
+  'nor',
+  'never',
+  'denies',
+  'denied',
+  'deny',
+  'without',
+  'negative for',
+  'no evidence of',
+  'no signs of',
+  'free of',
+  'absence of',
+  'ruled out',
+  'excluded',
+  // French
+  'pas de',
+  'pas d',
+  'aucun',
+  'aucune',
+  'sans',
+  'ni',
+  'absence de',
+  'absence d',
+  'nie',
+  'negatif pour',
+  'negative pour',
+  'pas de signe de',
+  'exclu',
+  'exclue',
+];
+
+// Triggers that apply to the words BEFORE them ("ovarian cancer was ruled out")
+const POST_NEGATION = [
+  'ruled out',
+  'excluded',
+  'was negative',
+  'is negative',
+  'were negative',
+  'absent',
+  'not seen',
+  'not found',
+  'not present',
+  // French
+  'exclu',
+  'exclue',
+  'elimine',
+  'eliminee',
+  'absente',
+  'est negatif',
+  'est negative',
+  'non retrouve',
+  'non retrouvee',
+];
+
+const PRE_UNCERTAINTY = [
+  'rule out',
+  'r/o',
+  'possible',
+  'possibly',
+  'probable',
+  'probably',
+  'suspected',
+  'suspicion of',
+  'questionable',
+  'query',
+  'may have',
+  'cannot exclude',
+  'cannot be excluded',
+  'not ruled out',
+  'not excluded',
+  'to be confirmed',
+  // French
+  'a eliminer',
+  'a exclure',
+  'suspicion de',
+  'suspicion d',
+  'eventuel',
+  'eventuelle',
+  'doute sur',
+  'non exclu',
+  'non exclue',
+  'pas exclu',
+  'pas exclue',
+  'a confirmer',
+];
+
+const POST_UNCERTAINTY = [
+  'suspected',
+  'possible',
+  'to be ruled out',
+  'to be confirmed',
+  'cannot be excluded',
+  'not ruled out',
+  'not excluded',
+  'unconfirmed',
+  // French
+  'suspecte',
+  'suspectee',
+  'a eliminer',
+  'a confirmer',
+  'non exclu',
+  'non exclue',
+  'pas exclu',
+  'pas exclue',
+];
+
+const HISTORICAL = [
+  'history of',
+  'h/o',
+  'hx of',
+  // French
+  'antecedent de',
+  'antecedent d',
+  'antecedents de',
+  'antecedents d',
+  'atcd de',
+  'atcd d',
+];
+
+// Phrases that contain a trigger word but must NOT trigger anything
+const PSEUDO_TRIGGERS = [
+  'no increase',
+  'no change',
+  'not only',
+  'not necessarily',
+  'without difficulty',
+  'gram negative',
+  // French
+  'sans changement',
+  'pas seulement',
+  'pas d augmentation',
+];
+
+// Words that close the scope of a trigger ("no seizures but developmental delay")
+const SCOPE_TERMINATORS = [
+  'but',
+  'however',
+  'although',
+  'though',
+  'yet',
+  'whereas',
+  'except',
+  'apart from',
+  'aside from',
+  'nevertheless',
+  // French
+  'mais',
+  'cependant',
+  'toutefois',
+  'sauf',
+  'hormis',
+  'excepte',
+  'alors que',
+];
+
+function tokenize(text) {
+  return tokenizeWords(text).map((t) => t.lower);
+}
+
+// Sentence boundaries: newline, ; ! ? and "." followed by a space / end of text
+const SENTENCE_BOUNDARY = /[\n;!?]|\.(?=\s|$)/g;
+// Clause boundaries: the same, plus "," followed by a space
+const CLAUSE_BOUNDARY = /[\n;!?]|[.,](?=\s|$)/g;
+// Commas followed by a space / end of text
+const COMMA = /,(?=\s|$)/g;
+
+// Words that open a new clause after a comma: a new subject or a verb
+// ("No known allergies, mother had breast cancer"). Items of a comma list do not
+// ("No seizures, hypotonia or developmental delay").
+const CLAUSE_OPENERS = [
+  'he',
+  'she',
+  'they',
+  'patient',
+  'mother',
+  'father',
+  'sister',
+  'brother',
+  'son',
+  'daughter',
+  'aunt',
+  'uncle',
+  'grandmother',
+  'grandfather',
+  'cousin',
+  'had',
+  'has',
+  'have',
+  'was',
+  'were',
+  'is',
+  'are',
+  'developed',
+  'presented',
+  'died',
+  'diagnosed',
+  // French
+  'il',
+  'elle',
+  'ils',
+  'elles',
+  'patiente',
+  'mere',
+  'pere',
+  'soeur',
+  'frere',
+  'fils',
+  'fille',
+  'tante',
+  'oncle',
+  'cousine',
+  'avait',
+  'est',
+  'etait',
+  'presente',
+  'decede',
+  'decedee',
+  'diagnostique',
+  'diagnostiquee',
+];
+
+function spanBounds(text, start, end, boundary) {
+  let sentStart = 0;
+  let sentEnd = text.length;
+
+  boundary.lastIndex = 0;
+  let m;
+  while ((m = boundary.exec(text)) !== null) {
+    if (m.index < start) {
+      sentStart = m.index + 1;
+    } else if (m.index >= end) {
+      sentEnd = m.index;
+      break;
+    }
+  }
+
+  return { sentStart, sentEnd };
+}
+
+/**
+ * Finds the sentence that contains [start, end).
+ */
+function sentenceBounds(text, start, end) {
+  return spanBounds(text, start, end, SENTENCE_BOUNDARY);
+}
+
+/**
+ * Finds the clause that contains [start, end), commas included as boundaries.
+ */
+function clauseBounds(text, start, end) {
+  return spanBounds(text, start, end, CLAUSE_BOUNDARY);
+}
+
+function opensClause(segment) {
+  return tokenize(segment).some((t) => CLAUSE_OPENERS.includes(t));
+}
+
+/**
+ * Finds the scope of the triggers around [start, end): its sentence, cut at the
+ * commas that open a new clause (see CLAUSE_OPENERS).
+ */
+function scopeBounds(text, start, end) {
+  let { sentStart, sentEnd } = sentenceBounds(text, start, end);
+
+  const commas = [...text.slice(0, sentEnd).matchAll(COMMA)]
+    .map((m) => m.index)
+    .filter((i) => i >= sentStart);
+  // Segment after each comma, up to the next comma (or the keyword / sentence end)
+  const segmentAfter = (i, limit) => {
+    const next = commas.find((c) => c > i);
+    return text.slice(i + 1, next != null && next < limit ? next : limit);
+  };
+
+  for (const i of commas.filter((c) => c < start)) {
+    if (opensClause(segmentAfter(i, start))) sentStart = i + 1;
+  }
+  const after = commas.find((c) => c >= end && opensClause(segmentAfter(c, sentEnd)));
+  if (after != null) sentEnd = after;
+
+  return { sentStart, sentEnd };
+}
+
+/**
+ * Returns the first trigger (longest first) found in a token list,
+ * after neutralizing pseudo-triggers.
+ */
+function findTrigger(tokens, triggers) {
+  let joined = ` ${tokens.join(' ')} `;
+  for (const p of PSEUDO_TRIGGERS) {
+    joined = joined.split(` ${p} `).join(' _ ');
+  }
+
+  const sorted = [...triggers].sort((a, b) => b.length - a.length);
+  return sorted.find((t) => joined.includes(` ${t} `)) || null;
+}
+
+/**
+ * Cuts a token list at the scope terminators.
+ * - side "pre": keep the tokens AFTER the last terminator
+ * - side "post": keep the tokens BEFORE the first terminator
+ */
+function applyTerminators(tokens, side) {
+  let scope = tokens;
+
+  for (const term of SCOPE_TERMINATORS) {
+    const termTokens = term.split(' ');
+    for (let i = 0; i <= scope.length - termTokens.length; i++) {
+      if (scope.slice(i, i + termTokens.length).join(' ') !== term) continue;
+      if (side === 'post') {
+        scope = scope.slice(0, i);
+        break;
+      }
+      scope = scope.slice(i + termTokens.length);
+      i = -1; // rescan: keep only what follows the LAST terminator
+    }
+  }
+
+  return scope;
+}
+
+/**
+ * Classifies one keyword hit located at [start, end) in text.
+ * Returns { status: 'affirmed' | 'negated' | 'uncertain' | 'historical', trigger }.
+ */
+function classifyMention(text, start, end) {
+  const src = (text ?? '').toString();
+  const { sentStart, sentEnd } = scopeBounds(src, start, end);
+
+  const before = applyTerminators(tokenize(src.slice(sentStart, start)), 'pre').slice(
+    -SCOPE_WINDOW,
+  );
+  const after = applyTerminators(tokenize(src.slice(end, sentEnd)), 'post').slice(
+    0,
+    POST_SCOPE_WINDOW,
+  );
+
+  // Uncertainty phrases are checked first: "not ruled out" must not read as negation
+  const preUncertain = findTrigger(before, PRE_UNCERTAINTY);
+  const postUncertain = findTrigger(after, POST_UNCERTAINTY);
+  const questionMark = /^\s*\?/.test(src.slice(end));
+  const negatedHedge = (t) => !!t && /\b(?:not|non|pas)\b/.test(t);
+  const hedgedNegation = negatedHedge(preUncertain) || negatedHedge(postUncertain);
+
+  if (!hedgedNegation) {
+    const pre = findTrigger(before, PRE_NEGATION);
+    if (pre) return { status: 'negated', trigger: pre };
+
+    const post = findTrigger(after, POST_NEGATION);
+    if (post) return { status: 'negated', trigger: post };
+  }
+
+  if (preUncertain) return { status: 'uncertain', trigger: preUncertain };
+  if (postUncertain) return { status: 'uncertain', trigger: postUncertain };
+  if (questionMark) return { status: 'uncertain', trigger: '?' };
+
+  const historical = findTrigger(before, HISTORICAL);
+  if (historical) return { status: 'historical', trigger: historical };
+
+  return { status: 'affirmed', trigger: null };
+}
+
+// Qualifiers that describe a finding as normal ("NT within normal limits",
+// "anomaly scan was normal", "NIPT low risk")
+const NORMAL_QUALIFIERS = [
+  'normal',
+  'within normal limits',
+  'unremarkable',
+  'reassuring',
+  'low risk',
+  // French
+  'normale',
+  'normaux',
+  'normales',
+  'dans les normes',
+  'sans particularite',
+  'bas risque',
+  'faible risque',
+];
+
+/**
+ * True when a keyword hit at [start, end) is qualified as normal in its clause.
+ * Used for prenatal finding tags, where a normal result means no finding; not for
+ * flags in general ("developmental delay with normal MRI" is still a delay).
+ */
+function isQualifiedNormal(text, start, end) {
+  const src = (text ?? '').toString();
+  const { sentStart, sentEnd } = clauseBounds(src, start, end);
+  const before = tokenize(src.slice(sentStart, start)).slice(-SCOPE_WINDOW);
+  const after = tokenize(src.slice(end, sentEnd)).slice(0, POST_SCOPE_WINDOW);
+  return !!(
+    findTrigger(before, NORMAL_QUALIFIERS) || findTrigger(after, NORMAL_QUALIFIERS)
+  );
+}
+
+// Lower rank = stronger evidence for the flag
+const STATUS_RANK = { affirmed: 0, historical: 1, uncertain: 2, negated: 3 };
+
+/**
+ * Finds every occurrence of a pattern (see textMatcher.js) and classifies each one.
+ */
+function findMentions(text, pattern) {
+  const src = (text ?? '').toString();
+  return findPatternMatches(src, pattern).map((m) => ({
+    ...m,
+    ...classifyMention(src, m.start, m.end),
+  }));
+}
+
+/**
+ * Picks the strongest mention for a list of patterns:
+ * affirmed > historical > uncertain > negated. Returns null when nothing matched.
+ */
+function bestMention(text, patterns) {
+  let best = null;
+  for (const p of patterns) {
+    for (const m of findMentions(text, p)) {
+      if (!best || STATUS_RANK[m.status] < STATUS_RANK[best.status]) best = m;
+      if (best.status === 'affirmed') return best;
+    }
+  }
+  return best;
+}
+
+export {
+  classifyMention,
+  findMentions,
+  bestMention,
+  isQualifiedNormal,
+  sentenceBounds,
+  SCOPE_WINDOW,
+};
@@ -0,0 +1,114 @@
+/**
+ * prenatalUrgency.js
+ * ------------------------------------------------------------
+ * Urgency of a prenatal case from its gestational age: how many weeks are left
+ * before the testing windows of the rule pack close (CVS, amniocentesis, local
+ * decision deadlines).
+ *
+ *   "urgency": {
+ *     "windows": [
+ *       { "id": "cvs", "label": "Chorionic villus sampling (CVS)",
+ *         "from_weeks": 10, "until_weeks": 14 },
+ *       { "id": "amniocentesis", "label": "Amniocentesis",
+ *         "from_weeks": 15, "until_weeks": 20 }
+ *     ],
+ *     "critical_days": 7, "high_days": 21
+ *   }
+ *
+ * The deadline of a window is the date at which the pregnancy reaches until_weeks.
+ * The level follows the days left before the next deadline:
+ * critical (<= critical_days), high (<= high_days), moderate, passed (every window
+ * closed), unknown (no gestational age).
+ */
+import { DEFAULT_LANGUAGE, localized } from './i18n.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Gestational age in weeks (decimals allowed), null when missing or invalid.
+ */
+export function gestationalWeeks(value) {
+  if (value == null || value === '') return null;
+  const weeks = Number(value);
+  return Number.isFinite(weeks) && weeks >= 0 && weeks <= 45 ? weeks : null;
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function windowStatus(weeks, w) {
+  if (weeks >= w.until_weeks) return 'closed';
+  if (w.from_weeks != null && weeks < w.from_weeks) return 'upcoming';
+  return 'open';
+}
+
+/**
+ * Urgency of a prenatal case:
+ * { level, gestational_weeks, deadline, days_remaining, weeks_remaining, window,
+ *   windows: [{ id, label, from_weeks, until_weeks, status, opens_on, deadline,
+ *               days_remaining }] }.
+ * Dates are ISO dates (YYYY-MM-DD) counted from `today`.
+ */
+export function evaluateUrgency(
+  value,
+  config = {},
+  today = new Date(),
+  language = DEFAULT_LANGUAGE,
+) {
+  const weeks = gestationalWeeks(value);
+  const empty = {
+    level: 'unknown',
+    gestational_weeks: null,
+    deadline: null,
+    days_remaining: null,
+    weeks_remaining: null,
+    window: null,
+    windows: [],
+  };
+  if (weeks === null) return empty;
+
+  const windows = (config.windows || [])
+    .map((w) => {
+      const status = windowStatus(weeks, w);
+      const days = Math.round((w.until_weeks - weeks) * 7);
+      return {
+        id: w.id,
+        label: localized(w, 'label', language),
+        from_weeks: w.from_weeks ?? null,
+        until_weeks: w.until_weeks,
+        status,
+        opens_on:
+          status === 'upcoming'
+            ? addDays(today, Math.round((w.from_weeks - weeks) * 7))
+            : null,
+        deadline: status === 'closed' ? null : addDays(today, days),
+        days_remaining: status === 'closed' ? 0 : days,
+      };
+    })
+    .sort((a, b) => a.until_weeks - b.until_weeks);
+
+  const next = windows.find((w) => w.status !== 'closed');
+  if (!next) {
+    return {
+      ...empty,
+      level: 'passed',
+      gestational_weeks: Math.round(weeks * 10) / 10,
+      windows,
+    };
+  }
+
+  let level = 'moderate';
+  if (next.days_remaining <= (config.critical_days ?? 7)) level = 'critical';
+  else if (next.days_remaining <= (config.high_days ?? 21)) level = 'high';
+
+  return {
+    level,
+    gestational_weeks: Math.round(weeks * 10) / 10,
+    deadline: next.deadline,
+    days_remaining: next.days_remaining,
+    weeks_remaining: Math.round((next.days_remaining / 7) * 10) / 10,
+    window: { id: next.id, label: next.label, status: next.status },
+    windows,
+  };
+}
@@ -0,0 +1,198 @@
+/**
+ * relatives.js
+ * ------------------------------------------------------------
+ * Structured pedigree input (payload.relatives[]) and relative-aware rules.
+ *
+ * A relative:
+ *   {
+ *     relation: 'mother' | 'maternal aunt' | 'brother' | ...,
+ *     degree: 1 | 2 | 3,                        (inferred from relation if missing)
+ *     side: 'maternal' | 'paternal' | 'both' | 'unknown'   (inferred if missing)
+ *     sex: 'female' | 'male' | 'unknown',       (inferred from relation if missing)
+ *     condition: 'breast cancer',
+ *     age_at_diagnosis: 45,
+ *     vital_status: 'alive' | 'deceased' | 'unknown'
+ *   }
+ *
+ * Relative rules (relative_rules in the rule pack) count the relatives matching a
+ * filter; the flag is suggested when at least min_count relatives match (on the
+ * same side of the family if same_side is set). Reasons name those relatives.
+ * A condition only matches when it is not negated ("no cancer", "cancer ruled out").
+ */
+import { DEFAULT_LANGUAGE, hasMessage, t } from './i18n.js';
+import { bestMention } from './negation.js';
+import { foldCase } from './textMatcher.js';
+
+// relation -> [degree, side, sex]
+const RELATIONS = {
+  self: [0, 'both', null],
+  mother: [1, 'maternal', 'female'],
+  father: [1, 'paternal', 'male'],
+  sister: [1, 'both', 'female'],
+  brother: [1, 'both', 'male'],
+  sibling: [1, 'both', null],
+  daughter: [1, 'both', 'female'],
+  son: [1, 'both', 'male'],
+  child: [1, 'both', null],
+  grandmother: [2, null, 'female'],
+  grandfather: [2, null, 'male'],
+  aunt: [2, null, 'female'],
+  uncle: [2, null, 'male'],
+  'half sister': [2, null, 'female'],
+  'half brother': [2, null, 'male'],
+  niece: [2, 'both', 'female'],
+  nephew: [2, 'both', 'male'],
+  granddaughter: [2, 'both', 'female'],
+  grandson: [2, 'both', 'male'],
+  cousin: [3, null, null],
+  'great aunt': [3, null, 'female'],
+  'great uncle': [3, null, 'male'],
+  'great grandmother': [3, null, 'female'],
+  'great grandfather': [3, null, 'male'],
+};
+
+const SIDES = ['maternal', 'paternal', 'both', 'unknown'];
+
+function toNumberOrNull(x) {
+  if (x === null || x === undefined || x === '') return null;
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * "Maternal Aunt" -> { base: 'aunt', side: 'maternal' }
+ */
+function parseRelation(relation) {
+  const words = foldCase(relation).replace(/[-_]/g, ' ').split(/\s+/).filter(Boolean);
+  let side = null;
+  if (words[0] === 'maternal' || words[0] === 'paternal') side = words.shift();
+  return { base: words.join(' '), side };
+}
+
+/**
+ * Cleans up payload.relatives[] and fills degree / side / sex from the relation.
+ * Entries that are not objects are dropped.
+ */
+export function normalizeRelatives(relatives) {
+  if (!Array.isArray(relatives)) return [];
+
+  return relatives
+    .filter((r) => r && typeof r === 'object')
+    .map((r, index) => {
+      const relation = (r.relation ?? '').toString().trim();
+      const { base, side: relationSide } = parseRelation(relation);
+      const [degree, side, sex] = RELATIONS[base] || [null, null, null];
+
+      const givenSide = foldCase(r.side).trim();
+      return {
+        index,
+        relation: relation || 'relative',
+        degree: toNumberOrNull(r.degree) ?? degree,
+        side: SIDES.includes(givenSide) ? givenSide : relationSide || side || 'unknown',
+        sex: foldCase(r.sex).trim() || sex || 'unknown',
+        condition: (r.condition ?? '').toString().trim(),
+        age_at_diagnosis: toNumberOrNull(r.age_at_diagnosis),
+        vital_status: foldCase(r.vital_status).trim() || 'unknown',
+      };
+    });
+}
+
+/**
+ * "maternal aunt (ovarian cancer at 52)" / "tante côté maternel (ovarian cancer à 52 ans)".
+ * Known relations are translated; other relations and conditions are shown as entered.
+ */
+export function describeRelative(r, language = DEFAULT_LANGUAGE) {
+  const key = `relation_${parseRelation(r.relation).base.replace(/ /g, '_')}`;
+  const translated = language !== DEFAULT_LANGUAGE && hasMessage(language, key);
+  const relation = translated ? t(language, key) : r.relation;
+  // "aunt" -> "maternal aunt" (parents already imply the side)
+  const showSide =
+    (r.side === 'maternal' || r.side === 'paternal') &&
+    r.degree >= 2 &&
+    (translated || !foldCase(r.relation).includes(r.side));
+  const relative = showSide
+    ? t(language, 'relative_side', { relation, side: t(language, `side_${r.side}`) })
+    : relation;
+  if (!r.condition) return relative;
+  return r.age_at_diagnosis != null
+    ? t(language, 'relative_condition_age', {
+        relative,
+        condition: r.condition,
+        age: r.age_at_diagnosis,
+      })
+    : t(language, 'relative_condition', { relative, condition: r.condition });
+}
+
+function matchesFilter(r, filter = {}) {
+  if (filter.degree && !filter.degree.includes(r.degree)) return false;
+  if (filter.side && !filter.side.includes(r.side)) return false;
+  if (filter.sex && !filter.sex.includes(r.sex)) return false;
+  if (filter.vital_status && !filter.vital_status.includes(r.vital_status)) return false;
+  if (filter.condition) {
+    // "no cancer", "breast cancer ruled out": not an affected relative
+    const mention = bestMention(r.condition, filter.condition);
+    if (!mention || mention.status === 'negated') return false;
+  }
+  if (filter.max_age_at_diagnosis != null) {
+    if (r.age_at_diagnosis == null || r.age_at_diagnosis > filter.max_age_at_diagnosis) {
+      return false;
+    }
+  }
+  if (filter.min_age_at_diagnosis != null) {
+    if (r.age_at_diagnosis == null || r.age_at_diagnosis < filter.min_age_at_diagnosis) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Largest group of relatives on one side of the family.
+ * Relatives on "both" sides (siblings, children) count for each side.
+ */
+function largestSameSideGroup(list) {
+  let best = [];
+  for (const side of ['maternal', 'paternal']) {
+    const group = list.filter((r) => r.side === side || r.side === 'both');
+    if (group.length > best.length) best = group;
+  }
+  return best;
+}
+
+/**
+ * Evaluates relative rules. Returns [{ rule, relatives, reason }] for every rule that
+ * fires; reason names the relatives that triggered it (in language).
+ */
+export function evaluateRelativeRules(
+  relatives,
+  rules = [],
+  language = DEFAULT_LANGUAGE,
+) {
+  const hits = [];
+
+  for (const rule of rules) {
+    let matched = relatives.filter(
+      (r) => r.degree !== 0 && matchesFilter(r, rule.filter),
+    );
+    if (rule.same_side) matched = largestSameSideGroup(matched);
+    if (matched.length < (rule.min_count ?? 1)) continue;
+
+    hits.push({
+      rule,
+      relatives: matched,
+      reason: t(language, 'relative_rule_reason', {
+        reason: rule.reason,
+        relatives: matched.map((r) => describeRelative(r, language)).join(', '),
+      }),
+    });
+  }
+
+  return hits;
+}
+
+/**
+ * Affected relatives (with a condition) whose age at diagnosis is missing.
+ */
+export function relativesMissingAge(relatives) {
+  return relatives.filter((r) => r.condition && r.age_at_diagnosis == null);
+}
@@ -0,0 +1,357 @@
+/**
+ * reproductive.js
+ * ------------------------------------------------------------
+ * Structured preconception inputs of the reproductive pathway (couples planning a
+ * pregnancy) and the carrier-screening strategy they lead to.
+ *
+ *   {
+ *     consanguinity: 'none' | 'unknown' | 'first_cousins' | 'second_cousins' | ...,
+ *     ancestry_groups: ['ashkenazi_jewish', 'mediterranean', ...],   (both partners)
+ *     carrier_status: [
+ *       { partner: 'patient' | 'partner', gene: 'CFTR', condition: 'cystic fibrosis',
+ *         status: 'carrier' | 'not_carrier' }     (any other answer: unknown, see below)
+ *     ],
+ *     pregnancy_losses: 3
+ *   }
+ *
+ * The rule pack maps each input to a rule id (carrier_screening section) and lists
+ * the ancestry groups with elevated carrier frequencies:
+ *
+ *   "carrier_screening": {
+ *     "consanguinity_flag": "consanguinity", "min_coefficient": 0.03125,
+ *     "ancestry_flag": "elevated_carrier_frequency_ancestry",
+ *     "ancestry_groups": { "ashkenazi_jewish": { "label": ..., "conditions": [...] } },
+ *     "carrier_flag": "known_carrier", "carrier_couple_flag": "carrier_couple_same_gene",
+ *     "pregnancy_loss_flag": "recurrent_pregnancy_loss", "min_pregnancy_losses": 2
+ *   }
+ */
+import { DEFAULT_LANGUAGE, t } from './i18n.js';
+import { foldCase } from './textMatcher.js';
+
+// degree of relatedness -> coefficient of relationship (labels: i18n.js, degree_*)
+export const CONSANGUINITY_DEGREES = {
+  uncle_niece: 1 / 4,
+  double_first_cousins: 1 / 4,
+  first_cousins: 1 / 8,
+  first_cousins_once_removed: 1 / 16,
+  second_cousins: 1 / 32,
+  second_cousins_once_removed: 1 / 64,
+  third_cousins: 1 / 128,
+};
+
+// Answers that are not a degree of relatedness
+const NOT_RELATED = ['none', 'no', 'not_related'];
+
+// Ancestry answers that are valid but carry no elevated carrier frequency
+const OTHER_ANCESTRY = ['other', 'none'];
+
+const PARTNERS = ['patient', 'partner'];
+
+// Carrier test results (keys, see toKey). A missing or unrecognized result is unknown:
+// it is reported as missing info, never read as a carrier.
+const CARRIER = [
+  'carrier',
+  'positive',
+  'tested_positive',
+  'heterozygous',
+  'porteur',
+  'porteuse',
+];
+const NOT_CARRIER = [
+  'not_carrier',
+  'non_carrier',
+  'noncarrier',
+  'not_a_carrier',
+  'negative',
+  'tested_negative',
+  'non_porteur',
+  'non_porteuse',
+  'negatif',
+  'negative_test',
+];
+
+function carrierStatusOf(value) {
+  const key = toKey(value);
+  if (CARRIER.includes(key)) return 'carrier';
+  if (NOT_CARRIER.includes(key)) return 'not_carrier';
+  return 'unknown';
+}
+
+function toKey(value) {
+  return foldCase(value)
+    .trim()
+    .replace(/[\s-]+/g, '_');
+}
+
+/**
+ * "1/8" for 0.125
+ */
+function asFraction(coefficient) {
+  return `1/${Math.round(1 / coefficient)}`;
+}
+
+/**
+ * Degree of relatedness of the couple:
+ * { answer: 'related' | 'not_related' | 'unknown', degree, label, coefficient } —
+ * null when the question was not answered. Accepts a degree key or { degree }.
+ */
+export function normalizeConsanguinity(value, language = DEFAULT_LANGUAGE) {
+  const raw = value && typeof value === 'object' ? value.degree : value;
+  const key = toKey(raw);
+  if (!key) return null;
+  if (NOT_RELATED.includes(key)) {
+    return { answer: 'not_related', degree: null, label: null, coefficient: 0 };
+  }
+  const coefficient = CONSANGUINITY_DEGREES[key];
+  if (!coefficient)
+    return { answer: 'unknown', degree: key, label: null, coefficient: null };
+  return {
+    answer: 'related',
+    degree: key,
+    label: t(language, `degree_${key}`),
+    coefficient,
+  };
+}
+
+/**
+ * Cleans up payload.carrier_status[]: { index, partner, gene, condition, status },
+ * status being carrier, not_carrier ("non-carrier", "negative"...) or unknown.
+ * Entries naming neither a gene nor a condition are dropped.
+ */
+export function normalizeCarrierStatus(list) {
+  if (!Array.isArray(list)) return [];
+
+  return list
+    .map((c, index) => ({ c, index }))
+    .filter(({ c }) => c && typeof c === 'object')
+    .map(({ c, index }) => {
+      const partner = foldCase(c.partner).trim();
+      return {
+        index,
+        partner: PARTNERS.includes(partner) ? partner : 'unknown',
+        gene: (c.gene ?? '').toString().trim().toUpperCase(),
+        condition: (c.condition ?? '').toString().trim(),
+        status: carrierStatusOf(c.status),
+      };
+    })
+    .filter((c) => c.gene || c.condition);
+}
+
+/**
+ * "CFTR (cystic fibrosis)"
+ */
+export function describeCarrier(c) {
+  if (c.gene && c.condition) return `${c.gene} (${c.condition})`;
+  return c.gene || c.condition;
+}
+
+// Same gene (or, without genes, same condition)
+function sameTarget(a, b) {
+  if (a.gene && b.gene) return a.gene === b.gene;
+  return !!a.condition && foldCase(a.condition) === foldCase(b.condition);
+}
+
+function unique(list) {
+  return Array.from(new Set(list));
+}
+
+/**
+ * Evaluates the structured preconception inputs (reasons and missing info in language).
+ * Returns {
+ *   hits: [{ flag, reason, evidence: [{ field, index, text }] }],
+ *   carrier_screening: { strategy, consanguinity, ancestry, carriers, at_risk,
+ *                        partner_testing, conditions, pregnancy_losses },
+ *   unknown_ancestry_groups, missing
+ * }.
+ *
+ * Strategy (most specific first):
+ *  - couple_at_risk: both partners carry the same gene
+ *  - partner_testing: one partner is a carrier, the other was not tested for that gene
+ *  - expanded: consanguineous couple
+ *  - ancestry_based: ancestry group(s) with elevated carrier frequencies
+ *  - standard: pan-ethnic carrier screening information
+ */
+export function evaluateCarrierScreening(
+  payload,
+  config = {},
+  language = DEFAULT_LANGUAGE,
+) {
+  const hits = [];
+  const missing = [];
+
+  // Consanguinity
+  const consanguinity = normalizeConsanguinity(payload.consanguinity, language);
+  const minCoefficient = config.min_coefficient ?? 1 / 32;
+  const consanguineous =
+    consanguinity?.answer === 'related' && consanguinity.coefficient >= minCoefficient;
+  if (consanguineous) {
+    hits.push({
+      flag: config.consanguinity_flag,
+      reason: t(language, 'consanguinity_reason', {
+        label: consanguinity.label,
+        fraction: asFraction(consanguinity.coefficient),
+      }),
+      evidence: [{ field: 'consanguinity', index: null, text: consanguinity.label }],
+    });
+  }
+  if (!consanguinity || consanguinity.answer === 'unknown') {
+    missing.push(t(language, 'missing_consanguinity'));
+  }
+
+  // Ancestry groups with elevated carrier frequencies
+  const groups = config.ancestry_groups || {};
+  const ancestry = [];
+  const unknownGroups = [];
+  const answeredAncestry = Array.isArray(payload.ancestry_groups);
+  (answeredAncestry ? payload.ancestry_groups : []).forEach((g, index) => {
+    const key = toKey(g);
+    if (!key || OTHER_ANCESTRY.includes(key)) return;
+    if (groups[key]) ancestry.push({ index, group: key, ...groups[key] });
+    else unknownGroups.push((g ?? '').toString().trim());
+  });
+  if (ancestry.length) {
+    hits.push({
+      flag: config.ancestry_flag,
+      reason: t(language, 'ancestry_reason', {
+        groups: ancestry.map((a) => a.label).join(', '),
+      }),
+      evidence: ancestry.map((a) => ({
+        field: 'ancestry_groups',
+        index: a.index,
+        text: a.label,
+      })),
+    });
+  }
+  if (!answeredAncestry || payload.ancestry_groups.length === 0) {
+    missing.push(t(language, 'missing_ancestry'));
+  }
+  if (unknownGroups.length) {
+    missing.push(
+      t(language, 'missing_unknown_ancestry', { groups: unknownGroups.join(', ') }),
+    );
+  }
+
+  // Known carrier status
+  const entries = normalizeCarrierStatus(payload.carrier_status);
+  const carriers = entries.filter((c) => c.status === 'carrier');
+  const unknownStatus = entries.filter((c) => c.status === 'unknown');
+  const at_risk = [];
+  const partner_testing = [];
+  for (const c of carriers) {
+    const other = c.partner === 'patient' ? 'partner' : 'patient';
+    const otherEntry = entries.find(
+      (e) => e.partner === other && e.status !== 'unknown' && sameTarget(e, c),
+    );
+    if (c.partner === 'unknown' || !otherEntry) {
+      partner_testing.push(c);
+    } else if (otherEntry.status === 'carrier' && c.partner === 'patient') {
+      at_risk.push(c);
+    }
+  }
+  const partnerLabel = (c) => t(language, `partner_${c.partner}`);
+  const evidenceOf = (list) =>
+    list.map((c) => ({
+      field: 'carrier_status',
+      index: c.index,
+      text: `${partnerLabel(c)}: ${describeCarrier(c)}`,
+    }));
+  if (at_risk.length) {
+    hits.push({
+      flag: config.carrier_couple_flag,
+      reason: t(language, 'carrier_couple_reason', {
+        carriers: unique(at_risk.map(describeCarrier)).join(', '),
+      }),
+      evidence: evidenceOf(carriers.filter((c) => at_risk.some((r) => sameTarget(r, c)))),
+    });
+  }
+  if (carriers.length) {
+    hits.push({
+      flag: config.carrier_flag,
+      reason: t(language, 'known_carrier_reason', {
+        carriers: carriers
+          .map((c) => `${partnerLabel(c)} ${describeCarrier(c)}`)
+          .join(', '),
+      }),
+      evidence: evidenceOf(carriers),
+    });
+  }
+  if (partner_testing.length) {
+    missing.push(
+      t(language, 'missing_partner_carrier', {
+        carriers: unique(partner_testing.map(describeCarrier)).join(', '),
+      }),
+    );
+  }
+  if (unknownStatus.length) {
+    missing.push(
+      t(language, 'missing_carrier_result', {
+        carriers: unknownStatus
+          .map((c) => `${partnerLabel(c)} ${describeCarrier(c)}`)
+          .join(', '),
+      }),
+    );
+  }
+
+  // Recurrent pregnancy loss
+  const losses = Number(payload.pregnancy_losses);
+  const pregnancy_losses =
+    payload.pregnancy_losses != null && payload.pregnancy_losses !== '' && losses >= 0
+      ? losses
+      : null;
+  if (
+    pregnancy_losses !== null &&
+    pregnancy_losses >= (config.min_pregnancy_losses ?? 2)
+  ) {
+    hits.push({
+      flag: config.pregnancy_loss_flag,
+      reason: t(language, 'pregnancy_losses_reason', { count: pregnancy_losses }),
+      evidence: [
+        { field: 'pregnancy_losses', index: null, text: `${pregnancy_losses} losses` },
+      ],
+    });
+  }
+
+  let strategy = 'standard';
+  if (at_risk.length) strategy = 'couple_at_risk';
+  else if (partner_testing.length) strategy = 'partner_testing';
+  else if (consanguineous) strategy = 'expanded';
+  else if (ancestry.length) strategy = 'ancestry_based';
+
+  return {
+    hits,
+    carrier_screening: {
+      strategy,
+      consanguinity: consanguinity && { ...consanguinity, consanguineous },
+      ancestry: ancestry.map(({ group, label, conditions }) => ({
+        group,
+        label,
+        conditions,
+      })),
+      carriers: carriers.map(({ partner, gene, condition }) => ({
+        partner,
+        gene,
+        condition,
+      })),
+      at_risk: unique(at_risk.map(describeCarrier)),
+      partner_testing: unique(partner_testing.map(describeCarrier)),
+      conditions: unique(ancestry.flatMap((a) => a.conditions)),
+      pregnancy_losses,
+    },
+    unknown_ancestry_groups: unknownGroups,
+    missing,
+  };
+}
+
+/**
+ * Next step of a carrier-screening strategy (named genes / conditions).
+ */
+export function carrierScreeningNextSteps(cs, language = DEFAULT_LANGUAGE) {
+  return [
+    t(language, `strategy_${cs.strategy}`, {
+      carriers: (cs.strategy === 'couple_at_risk' ? cs.at_risk : cs.partner_testing).join(
+        ', ',
+      ),
+      conditions: cs.conditions.join(', '),
+    }),
+  ];
+}
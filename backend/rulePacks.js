@@ -0,0 +1,310 @@
+/**
+ * rulePacks.js
+ * ------------------------------------------------------------
+ * Loads the versioned rule packs (one per pathway) from backend/rules/.
+ *
+ * - Packs are JSON or YAML files, validated against schemas/rulePack.schema.json.
+ * - Each pack carries a semantic version, returned as rules_version in every result.
+ * - Packs are loaded once at startup: an invalid pack stops the server immediately
+ *   (better than triaging with broken rules).
+ *
+ * Set DARA_RULES_DIR to load packs from another folder.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import Ajv from 'ajv';
+import YAML from 'yaml';
+
+import { HPO } from './hpo.js';
+import { DEFAULT_LANGUAGE, localized } from './i18n.js';
+import { normalizePattern } from './textMatcher.js';
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_RULES_DIR = path.join(HERE, 'rules');
+const SCHEMA_PATH = path.join(HERE, 'schemas', 'rulePack.schema.json');
+const PACK_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+const ajv = new Ajv({ allErrors: true });
+const validateSchema = ajv.compile(JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8')));
+
+function parsePackFile(file) {
+  const raw = fs.readFileSync(file, 'utf8');
+  try {
+    return path.extname(file) === '.json' ? JSON.parse(raw) : YAML.parse(raw);
+  } catch (err) {
+    throw new Error(
+      `Invalid rule pack ${path.basename(file)}: cannot parse (${err.message})`,
+    );
+  }
+}
+
+// Triage thresholds used when a pack has no triage section (or omits a value)
+export const DEFAULT_TRIAGE = {
+  not_prioritized: 20,
+  recommended: 70,
+  urgent: null,
+  max_score: 100,
+};
+
+/**
+ * Triage thresholds of a pack: { not_prioritized, recommended, urgent, max_score }.
+ */
+export function triageThresholds(pack) {
+  return { ...DEFAULT_TRIAGE, ...(pack?.triage || {}) };
+}
+
+// Pack entries that carry keyword patterns
+function packItems(pack) {
+  return [
+    ...pack.rules,
+    ...(pack.extra_flags || []),
+    ...(pack.finding_tags || []),
+    ...(pack.missing_info || []),
+  ];
+}
+
+/**
+ * Schema validation + checks JSON Schema cannot express
+ * (unique flag ids, ordered triage thresholds, consistent urgency windows,
+ * combinations, questions and supersedes[] pointing to known flags, no supersedes cycle,
+ * compilable regex patterns, tags pointing to known rules, HPO IDs present in the
+ * bundled subset).
+ * Throws an Error listing every problem found.
+ */
+export function validateRulePack(pack, source = 'rule pack') {
+  const problems = [];
+
+  if (!validateSchema(pack)) {
+    for (const e of validateSchema.errors) {
+      problems.push(`${e.instancePath || '/'} ${e.message}`);
+    }
+    throw new Error(`Invalid rule pack ${source}: ${problems.join('; ')}`);
+  }
+
+  const flags = [
+    ...pack.rules,
+    ...(pack.extra_flags || []),
+    ...(pack.relative_rules || []),
+  ];
+  const ids = new Set();
+  for (const r of flags) {
+    if (ids.has(r.id)) problems.push(`duplicate flag id "${r.id}"`);
+    ids.add(r.id);
+  }
+
+  const flagIds = new Set(ids);
+  for (const c of pack.combinations || []) {
+    if (ids.has(c.id)) problems.push(`duplicate flag id "${c.id}"`);
+    ids.add(c.id);
+    for (const flag of c.flags) {
+      if (!flagIds.has(flag)) {
+        problems.push(`combination "${c.id}": flag "${flag}" does not match any flag id`);
+      }
+    }
+    if (c.min_count != null && c.min_count > c.flags.length) {
+      problems.push(`combination "${c.id}": min_count exceeds the number of flags`);
+    }
+    if (c.min_age != null && c.max_age != null && c.min_age > c.max_age) {
+      problems.push(`combination "${c.id}": min_age must not exceed max_age`);
+    }
+  }
+
+  const supersedes = new Map();
+  for (const r of flags) {
+    for (const flag of r.supersedes || []) {
+      if (!flagIds.has(flag) || flag === r.id) {
+        problems.push(
+          `flag "${r.id}": supersedes "${flag}", which is not another flag id`,
+        );
+      }
+    }
+    supersedes.set(r.id, r.supersedes || []);
+  }
+  // A supersedes cycle would remove every flag of the cycle
+  const reaches = (from, to, seen = new Set()) =>
+    (supersedes.get(from) || []).some(
+      (f) => f === to || (!seen.has(f) && seen.add(f) && reaches(f, to, seen)),
+    );
+  for (const id of supersedes.keys()) {
+    if (reaches(id, id)) problems.push(`flag "${id}": supersedes cycle`);
+  }
+
+  const { not_prioritized, recommended, urgent, max_score } = triageThresholds(pack);
+  if (not_prioritized >= recommended) {
+    problems.push('triage: not_prioritized must be below recommended');
+  }
+  if (urgent != null && urgent <= recommended) {
+    problems.push('triage: urgent must be above recommended');
+  }
+  if (Math.max(recommended, urgent ?? 0) > max_score) {
+    problems.push('triage: thresholds cannot exceed max_score');
+  }
+
+  if (pack.early_onset && !pack.rules.some((r) => r.id === pack.early_onset.flag)) {
+    problems.push(
+      `early_onset flag "${pack.early_onset.flag}" does not match any rule id`,
+    );
+  }
+
+  if (pack.known_variant && !pack.rules.some((r) => r.id === pack.known_variant.flag)) {
+    problems.push(
+      `known_variant flag "${pack.known_variant.flag}" does not match any rule id`,
+    );
+  }
+
+  if (pack.carrier_screening) {
+    for (const key of [
+      'consanguinity_flag',
+      'ancestry_flag',
+      'carrier_flag',
+      'carrier_couple_flag',
+      'pregnancy_loss_flag',
+    ]) {
+      const flag = pack.carrier_screening[key];
+      if (!pack.rules.some((r) => r.id === flag)) {
+        problems.push(`carrier_screening ${key} "${flag}" does not match any rule id`);
+      }
+    }
+  }
+
+  const questionFields = new Set();
+  for (const q of pack.questions || []) {
+    if (questionFields.has(q.field))
+      problems.push(`duplicate question field "${q.field}"`);
+    questionFields.add(q.field);
+    for (const flag of q.flags) {
+      if (!flagIds.has(flag)) {
+        problems.push(`question "${q.field}": flag "${flag}" does not match any flag id`);
+      }
+    }
+    const needsOptions = ['choice', 'multi_choice'].includes(q.answer_type);
+    if (needsOptions !== !!q.options) {
+      problems.push(
+        `question "${q.field}": options are ${needsOptions ? 'required' : 'only allowed'} for choice questions`,
+      );
+    }
+  }
+
+  const windowIds = new Set();
+  for (const w of pack.urgency?.windows || []) {
+    if (windowIds.has(w.id)) problems.push(`duplicate urgency window "${w.id}"`);
+    windowIds.add(w.id);
+    if (w.from_weeks != null && w.from_weeks >= w.until_weeks) {
+      problems.push(`urgency window "${w.id}": from_weeks must be below until_weeks`);
+    }
+  }
+
+  for (const r of pack.rules) {
+    for (const id of r.hpo || []) {
+      if (HPO.obsolete?.[id]) problems.push(`rule "${r.id}": HPO term ${id} is obsolete`);
+      else if (!HPO.terms[id]) problems.push(`rule "${r.id}": unknown HPO term ${id}`);
+    }
+  }
+
+  for (const tag of pack.finding_tags || []) {
+    if (!pack.rules.some((r) => r.id === tag.id)) {
+      problems.push(`finding tag "${tag.id}" does not match any rule id`);
+    }
+  }
+
+  const allPatterns = packItems(pack).flatMap((r) => [
+    ...r.patterns,
+    ...(r.requires_any || []),
+  ]);
+  for (const r of pack.relative_rules || []) {
+    allPatterns.push(...(r.filter.condition || []));
+  }
+  for (const r of [...packItems(pack), ...(pack.relative_rules || [])]) {
+    for (const d of Object.values(r.i18n || {})) {
+      allPatterns.push(
+        ...(d.patterns || []),
+        ...(d.requires_any || []),
+        ...(d.condition || []),
+      );
+    }
+  }
+
+  for (const p of allPatterns) {
+    try {
+      const n = normalizePattern(p);
+      if (n.mode === 'regex') new RegExp(n.value, n.flags);
+    } catch (err) {
+      problems.push(err.message);
+    }
+  }
+
+  if (problems.length) {
+    throw new Error(`Invalid rule pack ${source}: ${problems.join('; ')}`);
+  }
+
+  return pack;
+}
+
+/**
+ * Loads every pack in a folder. Returns { [pathway]: pack }.
+ */
+export function loadRulePacks(dir = DEFAULT_RULES_DIR) {
+  const files = fs
+    .readdirSync(dir)
+    .filter((f) => PACK_EXTENSIONS.includes(path.extname(f)))
+    .sort();
+
+  const packs = {};
+  for (const f of files) {
+    const pack = validateRulePack(parsePackFile(path.join(dir, f)), f);
+    if (packs[pack.pathway]) {
+      throw new Error(
+        `Invalid rule pack ${f}: pathway "${pack.pathway}" is defined twice`,
+      );
+    }
+    packs[pack.pathway] = pack;
+  }
+
+  if (Object.keys(packs).length === 0) {
+    throw new Error(`No rule packs found in ${dir}`);
+  }
+
+  return packs;
+}
+
+// Loaded once at startup (throws if a pack is invalid)
+export const RULE_PACKS = loadRulePacks(process.env.DARA_RULES_DIR || DEFAULT_RULES_DIR);
+
+// "early_onset_cancer" -> "Early onset cancer"
+function flagLabel(id) {
+  const words = id.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Every flag a physician can confirm in a pathway, including the ones the engine
+ * did not suggest: [{ id, label, description, weight, source }], source being
+ * 'rules' | 'extra_flags' | 'relative_rules'. Null for an unknown pathway.
+ */
+export function flagCatalog(pathway, language = DEFAULT_LANGUAGE, packs = RULE_PACKS) {
+  const pack = packs[(pathway ?? '').toString().toLowerCase().trim()];
+  if (!pack) return null;
+
+  return [
+    ...pack.rules.map((r) => [r, 'rules']),
+    ...(pack.extra_flags || []).map((r) => [r, 'extra_flags']),
+    ...(pack.relative_rules || []).map((r) => [r, 'relative_rules']),
+  ].map(([r, source]) => ({
+    id: r.id,
+    label: flagLabel(r.id),
+    description: localized(r, 'reason', language),
+    weight: r.weight,
+    source,
+  }));
+}
+
+/**
+ * Rule pack version of a pathway (null for an unknown pathway).
+ */
+export function getRulesVersion(pathway, packs = RULE_PACKS) {
+  const key = (pathway ?? '').toString().toLowerCase().trim();
+  return packs[key]?.version ?? null;
+}
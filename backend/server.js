@@ -5,10 +5,15 @@ import { safeArray, toText } from './utils.js';
 import express from 'express';
 import cors from 'cors';
 
+import { readBatch, parseColumnMapping, runBatch } from './batch.js';
+import { validateCasePayload } from './caseValidation.js';
 import { runDecisionEngine } from './decisionEngine.js';
+import { evaluateWhatIf } from './whatIf.js';
+import { RULE_PACKS, flagCatalog, getRulesVersion } from './rulePacks.js';
+import { DEFAULT_LANGUAGE, LANGUAGES } from './i18n.js';
 import { generateExplanation } from './llmExplain.js';
 
-console.log('✅ RUNNING server.js (DARA) — ALWAYS 200 /cases');
+console.log('✅ RUNNING server.js (DARA) — ALWAYS 200 /cases, strict 422 /v2/cases');
 
 const app = express();
 
@@ -36,20 +41,54 @@ app.use(
       return callback(new Error('CORS blocked origin: ' + origin));
     },
     methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type'],
+    allowedHeaders: ['Content-Type', 'X-DARA-Strict'],
   }),
 );
 
 app.use(express.json({ limit: '1mb' }));
 
+// -------------------------
+// Strict mode (opt-in): /v2/cases or header X-DARA-Strict: true
+// Invalid payloads get 422 + field-level errors instead of the ALWAYS 200 fallback
+// -------------------------
+function isStrict(req) {
+  if (req.path.startsWith('/v2/')) return true;
+  return ['true', '1'].includes((req.get('X-DARA-Strict') || '').toLowerCase().trim());
+}
+
+// Coercion + schema validation: reported in input_errors, blocking in strict mode.
+// Returns the validation, or null once the 422 has been sent.
+function validateRequest(req, res) {
+  const validation = validateCasePayload(req.body ?? {});
+  if (isStrict(req) && !validation.valid) {
+    res.status(422).json({
+      error: 'Invalid case payload.',
+      rules_version: getRulesVersion(validation.payload?.pathway),
+      errors: validation.errors,
+      coercions: validation.coercions,
+    });
+    return null;
+  }
+  return validation;
+}
+
 // -------------------------
 // Handle invalid JSON bodies gracefully (prevent Express default 400)
 // -------------------------
 app.use((err, req, res, next) => {
   if (err && err.type === 'entity.parse.failed') {
     console.error('❌ Invalid JSON body:', err.message);
+    if (isStrict(req)) {
+      return res.status(422).json({
+        error: 'Invalid JSON body (cannot parse).',
+        errors: [
+          { field: null, code: 'invalid_json', message: err.message, value: null },
+        ],
+      });
+    }
     return res.status(200).json({
       fallback: true,
+      rules_version: null,
       error: 'Invalid JSON body (cannot parse).',
       llm_status: 'error',
       llm_explanation: 'Request body was not valid JSON. Returning fallback response.',
@@ -66,16 +105,48 @@ app.get('/health', (req, res) => {
     ok: true,
     name: 'DARA backend',
     port: Number(process.env.PORT || 3001),
+    rules: Object.fromEntries(
+      Object.values(RULE_PACKS).map((p) => [p.pathway, p.version]),
+    ),
+  });
+});
+
+// -------------------------
+// Flag catalog of a pathway (physician-added flags in Step 1)
+// -------------------------
+app.get('/flags', (req, res) => {
+  const pathway = (req.query.pathway || 'oncogenetics').toString().toLowerCase().trim();
+  const language = LANGUAGES.includes(req.query.language)
+    ? req.query.language
+    : DEFAULT_LANGUAGE;
+
+  const flags = flagCatalog(pathway, language);
+  if (!flags) {
+    return res.status(404).json({
+      error: `Unknown pathway "${pathway}".`,
+      pathways: Object.keys(RULE_PACKS),
+    });
+  }
+
+  return res.status(200).json({
+    pathway,
+    rules_version: getRulesVersion(pathway),
+    language,
+    flags,
   });
 });
 
 // -------------------------
-// Main endpoint: ALWAYS returns 200
+// Main endpoint: ALWAYS returns 200 (except in strict mode)
 // -------------------------
-app.post('/cases', async (req, res) => {
-  console.log('➡️ HIT /cases');
+async function handleCase(req, res) {
+  const strict = isStrict(req);
+  console.log(`➡️ HIT ${req.path}${strict ? ' (strict)' : ''}`);
 
-  const payload = req.body || {};
+  // 0) Coercion + schema validation
+  const validation = validateRequest(req, res);
+  if (!validation) return;
+  const payload = validation.payload || {};
 
   // 1) Deterministic decision ALWAYS first
   let decisionResult;
@@ -83,8 +154,12 @@ app.post('/cases', async (req, res) => {
     decisionResult = runDecisionEngine(payload);
   } catch (err) {
     console.error('❌ Decision engine error:', err);
+    if (strict) {
+      return res.status(500).json({ error: err?.message || 'Decision engine error' });
+    }
     return res.status(200).json({
       fallback: true,
+      rules_version: getRulesVersion(payload.pathway || 'oncogenetics'),
       error: err?.message || 'Decision engine error',
       llm_status: 'skipped',
       llm_explanation: 'Decision engine failed. No LLM call was made.',
@@ -125,18 +200,142 @@ app.post('/cases', async (req, res) => {
   // ✅ ALWAYS 200
   return res.status(200).json({
     ...decisionResult,
+    input_errors: validation.errors,
+    input_coercions: validation.coercions,
     llm_status,
     llm_explanation,
   });
+}
+
+app.post('/cases', handleCase);
+app.post('/v2/cases', handleCase);
+
+// -------------------------
+// What-if analysis: flags / missing data that would change the triage tier
+// -------------------------
+async function handleWhatIf(req, res) {
+  const strict = isStrict(req);
+  console.log(`➡️ HIT ${req.path}${strict ? ' (strict)' : ''}`);
+
+  const validation = validateRequest(req, res);
+  if (!validation) return;
+  const payload = validation.payload || {};
+
+  try {
+    return res.status(200).json({
+      ...evaluateWhatIf(payload),
+      input_errors: validation.errors,
+      input_coercions: validation.coercions,
+    });
+  } catch (err) {
+    console.error('❌ What-if error:', err);
+    if (strict) {
+      return res.status(500).json({ error: err?.message || 'What-if analysis error' });
+    }
+    return res.status(200).json({
+      fallback: true,
+      rules_version: getRulesVersion(payload.pathway || 'oncogenetics'),
+      error: err?.message || 'What-if analysis error',
+    });
+  }
+}
+
+app.post('/cases/what-if', handleWhatIf);
+app.post('/v2/cases/what-if', handleWhatIf);
+
+// -------------------------
+// Batch triage of backlogs (NDJSON / CSV). LLM skipped unless ?llm=true
+// -------------------------
+const BATCH_TYPES = {
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson',
+  'text/csv': 'csv',
+};
+const batchBody = express.text({
+  type: [...Object.keys(BATCH_TYPES), 'text/plain'],
+  limit: '10mb',
 });
 
+async function handleBatch(req, res) {
+  const strict = isStrict(req);
+  const format = (req.query.format || BATCH_TYPES[req.is(Object.keys(BATCH_TYPES))] || '')
+    .toString()
+    .toLowerCase();
+  const autoConfirm = req.query.auto_confirm === 'true';
+  console.log(
+    `➡️ HIT ${req.path} (${format || 'unknown format'})${strict ? ' (strict)' : ''}`,
+  );
+
+  let entries;
+  try {
+    entries = readBatch(req.body, format, parseColumnMapping(req.query.mapping));
+  } catch (err) {
+    if (strict) {
+      return res.status(422).json({
+        error: err.message,
+        errors: [
+          { field: null, code: 'invalid_batch', message: err.message, value: null },
+        ],
+      });
+    }
+    return res.status(200).json({
+      fallback: true,
+      rules_version: null,
+      error: err.message,
+      llm_status: 'skipped',
+    });
+  }
+
+  const batch = runBatch(entries, { autoConfirm, strict });
+
+  // LLM explanations are opt-in for batches (one call per scored case)
+  let llm_status = 'skipped';
+  const llmEnabled = process.env.LLM_ENABLED !== 'false';
+  if (req.query.llm === 'true' && llmEnabled && process.env.OPENAI_API_KEY) {
+    llm_status = 'ok';
+    for (const [i, row] of batch.rows.entries()) {
+      if (row.status !== 'ok' || row.priority_score === null) continue;
+      try {
+        row.llm_explanation = await generateExplanation({
+          pathway: row.pathway,
+          age: entries[i].payload?.patient_age,
+          score: row.priority_score,
+          recommendation: row.triage,
+          reasons: safeArray(row.reasons),
+          missingInfo: safeArray(row.missing_info),
+        });
+      } catch (e) {
+        console.error('⚠️ LLM error (ignored):', toText(e));
+        llm_status = 'error';
+      }
+    }
+  }
+
+  return res.status(200).json({
+    ...batch,
+    format,
+    warning: autoConfirm
+      ? 'UNREVIEWED: suggested flags were auto-confirmed without physician review. ' +
+        'Confirm each case before any referral decision.'
+      : null,
+    llm_status,
+  });
+}
+
+app.post('/cases/batch', batchBody, handleBatch);
+app.post('/v2/cases/batch', batchBody, handleBatch);
+
 // -------------------------
 // Global error handler (catch anything else) — ALWAYS 200
 // -------------------------
 app.use((err, req, res, next) => {
   console.error('❌ GLOBAL ERROR HANDLER:', err);
+  if (isStrict(req)) {
+    return res.status(500).json({ error: err?.message || String(err) });
+  }
   return res.status(200).json({
     fallback: true,
+    rules_version: getRulesVersion(req.body?.pathway || 'oncogenetics'),
     error: err?.message || String(err),
     llm_status: 'error',
     llm_explanation: 'Unhandled server error. Returning fallback response.',
@@ -150,4 +349,7 @@ const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
   console.log(`✅ DARA backend running on http://localhost:${PORT}`);
   console.log(`✅ CORS allowed origins: ${allowedOrigins.join(', ')}`);
+  for (const p of Object.values(RULE_PACKS)) {
+    console.log(`✅ Rule pack ${p.pathway} v${p.version}`);
+  }
 });
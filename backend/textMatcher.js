@@ -0,0 +1,194 @@
+/**
+ * textMatcher.js
+ * ------------------------------------------------------------
+ * Token-aware keyword matching for the decision engine.
+ *
+ * Replaces raw substring search (where "nt" matched "patient", "consent", "current").
+ * A pattern is a string (phrase mode) or an object with an explicit mode:
+ *  - 'increased nt' or { mode: 'phrase', value: 'increased nt' }
+ *      -> sequence of whole words, case/accent-insensitive, light plural stemming,
+ *         abbreviations expanded ("NT" = "nuchal translucency", "Dx" = "diagnosed")
+ *  - { mode: 'token', value: 'gdd' }
+ *      -> exact word(s): no stemming, no abbreviation expansion
+ *  - { mode: 'regex', value: 'trisomy[ -]?21', flags: 'i' }
+ *      -> regular expression on the raw text
+ *
+ * Every match carries character offsets into the ORIGINAL text.
+ */
+
+// Abbreviations expanded in phrase mode (text AND patterns are expanded the same way)
+const ABBREVIATIONS = {
+  nt: 'nuchal translucency',
+  t21: 'trisomy 21',
+  gdd: 'global developmental delay',
+  dx: 'diagnosed',
+  hx: 'history',
+  fhx: 'family history',
+  mca: 'multiple congenital anomalies',
+};
+
+const MATCH_MODES = ['phrase', 'token', 'regex'];
+
+// Words (letters/digits, any script); "r/o" and "h/o" stay one token
+const TOKEN_RE = /[\p{L}\p{N}]+(?:\/[\p{L}\p{N}]+)*/gu;
+
+/**
+ * Lowercase + strip accents ("Développement" -> "developpement").
+ */
+function foldCase(value) {
+  return (value ?? '').toString().normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Light English plural stemming ("seizures" -> "seizure", "anomalies" -> "anomaly").
+ * Numbers and short words are kept as-is.
+ */
+function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Splits text into word tokens with offsets: [{ text, lower, start, end }].
+ */
+function tokenize(text) {
+  const src = (text ?? '').toString();
+  const tokens = [];
+  for (const m of src.matchAll(TOKEN_RE)) {
+    tokens.push({
+      text: m[0],
+      lower: foldCase(m[0]),
+      start: m.index,
+      end: m.index + m[0].length,
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Phrase-mode terms: abbreviations expanded + stemmed.
+ * Expanded words keep the offsets of the abbreviation they come from.
+ */
+function toTerms(tokens) {
+  const terms = [];
+  for (const t of tokens) {
+    const expansion = ABBREVIATIONS[t.lower];
+    const words = expansion ? expansion.split(' ') : [t.lower];
+    for (const w of words) {
+      terms.push({ term: stem(w), start: t.start, end: t.end });
+    }
+  }
+  return terms;
+}
+
+// Single-entry cache: the engine runs many patterns over the same text
+let cachedText = null;
+let cachedTokens = null;
+let cachedTerms = null;
+
+function analyze(text) {
+  const src = (text ?? '').toString();
+  if (src !== cachedText) {
+    cachedText = src;
+    cachedTokens = tokenize(src);
+    cachedTerms = toTerms(cachedTokens);
+  }
+  return { tokens: cachedTokens, terms: cachedTerms };
+}
+
+/**
+ * Accepts a string or { mode, value, flags } and returns a normalized pattern.
+ * Throws on unknown modes / empty values (patterns are configuration errors).
+ */
+function normalizePattern(pattern) {
+  const p = typeof pattern === 'string' ? { mode: 'phrase', value: pattern } : pattern;
+  const mode = p?.mode || 'phrase';
+
+  if (!MATCH_MODES.includes(mode)) {
+    throw new Error(`Unknown pattern match mode: ${mode}`);
+  }
+  if (!p.value || typeof p.value !== 'string') {
+    throw new Error(`Pattern value must be a non-empty string (mode: ${mode})`);
+  }
+
+  return { mode, value: p.value, flags: p.flags || '' };
+}
+
+/**
+ * Human-readable label of a pattern (used in reasons / reports).
+ */
+function patternLabel(pattern) {
+  const p = normalizePattern(pattern);
+  return p.mode === 'regex' ? `/${p.value}/` : p.value;
+}
+
+// Finds a word sequence in a list of { term | lower, start, end }
+function findSequence(items, key, words) {
+  const spans = [];
+  for (let i = 0; i <= items.length - words.length; i++) {
+    let ok = true;
+    for (let j = 0; j < words.length; j++) {
+      if (items[i + j][key] !== words[j]) {
+        ok = false;
+        break;
+      }
+    }
+    if (ok) spans.push({ start: items[i].start, end: items[i + words.length - 1].end });
+  }
+  return spans;
+}
+
+/**
+ * All matches of one pattern in text: [{ pattern, start, end, text }].
+ */
+function findPatternMatches(text, pattern) {
+  const src = (text ?? '').toString();
+  const p = normalizePattern(pattern);
+  const label = patternLabel(p);
+  let spans = [];
+
+  if (p.mode === 'regex') {
+    const flags = p.flags.includes('g') ? p.flags : `${p.flags}g`;
+    for (const m of src.matchAll(new RegExp(p.value, flags))) {
+      if (m[0]) spans.push({ start: m.index, end: m.index + m[0].length });
+    }
+  } else if (p.mode === 'token') {
+    const words = tokenize(p.value).map((t) => t.lower);
+    spans = findSequence(analyze(src).tokens, 'lower', words);
+  } else {
+    const words = toTerms(tokenize(p.value)).map((t) => t.term);
+    spans = findSequence(analyze(src).terms, 'term', words);
+  }
+
+  // Expanded abbreviations can yield the same span twice
+  const seen = new Set();
+  return spans
+    .filter((s) => {
+      const key = `${s.start}:${s.end}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map((s) => ({ pattern: label, ...s, text: src.slice(s.start, s.end) }));
+}
+
+/**
+ * True if any of the patterns matches text.
+ */
+function matchesAny(text, patterns) {
+  return (patterns || []).some((p) => findPatternMatches(text, p).length > 0);
+}
+
+export {
+  ABBREVIATIONS,
+  MATCH_MODES,
+  foldCase,
+  stem,
+  tokenize,
+  normalizePattern,
+  patternLabel,
+  findPatternMatches,
+  matchesAny,
+};
@@ -0,0 +1,204 @@
+/**
+ * whatIf.js
+ * ------------------------------------------------------------
+ * Sensitivity analysis of a Step 2 assessment ("what would change the
+ * recommendation?"), built on assessCase:
+ *
+ *  - add_flags: flags of the pack that, confirmed on top of the others, would move
+ *    the case to a higher triage tier
+ *  - add_info: missing information the engine asks for that would move it: patient
+ *    age and sex (through the sex / age conditions of the combination rules), a
+ *    variant known in the family, the other partner's carrier result. Pedigree
+ *    (relatives[]) and gestational dating are asked for too but do not enter the
+ *    score, so they are not tried.
+ *  - remove_flags: confirmed flags that, removed, would drop it a tier
+ *
+ * Every alternative is assessed with a single change and carries its result:
+ *   { flag, label, score, score_change, triage }  or
+ *   { field, value, added_flags, score, score_change, triage }
+ * added_flags are the flags the information newly suggests, taken as confirmed.
+ *
+ * Without confirmed_flags, the flags suggested in Step 1 are taken as confirmed.
+ */
+import { assessCase } from './decisionEngine.js';
+import { describeCarrier } from './reproductive.js';
+import { RULE_PACKS, flagCatalog } from './rulePacks.js';
+
+// Triage tiers, lowest first
+export const TRIAGE_TIERS = ['not_prioritized', 'discuss', 'recommended', 'urgent'];
+
+function tierRank(triage) {
+  return TRIAGE_TIERS.indexOf(triage);
+}
+
+/**
+ * Score and triage of the payload with these confirmed flags.
+ * No confirmed flag at all scores 0 (assessCase would stay in Step 1).
+ */
+function outcome(payload, confirmed, options) {
+  if (!confirmed.length) return { score: 0, triage: TRIAGE_TIERS[0] };
+  const result = assessCase(
+    { ...structuredClone(payload), confirmed_flags: confirmed },
+    options,
+  );
+  return { score: result.priority_score, triage: result.triage };
+}
+
+function isMissingAge(value) {
+  return value == null || value === '' || !Number.isFinite(Number(value));
+}
+
+/**
+ * Values worth trying for the missing information: [{ field, value, payload }],
+ * payload being the case with that information given.
+ *  - patient_sex / patient_age, when a combination rule depends on them (ages are the
+ *    bounds of the age conditions)
+ *  - known_family_variant: "yes", when the answer is unknown or missing
+ *  - carrier_status: the other partner found carrier of the same gene, for each carrier
+ *    whose partner was not tested
+ */
+function missingInfoCandidates(payload, pack, step1) {
+  const rules = pack?.combinations || [];
+  const candidates = [];
+
+  const sex = (payload.patient_sex ?? '').toString().toLowerCase().trim();
+  if (!sex || sex === 'unknown') {
+    const values = new Set(rules.flatMap((c) => c.sex || []));
+    values.delete('unknown');
+    for (const value of values) {
+      candidates.push({
+        field: 'patient_sex',
+        value,
+        payload: { ...payload, patient_sex: value },
+      });
+    }
+  }
+
+  if (isMissingAge(payload.patient_age)) {
+    const values = new Set(
+      rules.flatMap((c) => [c.min_age, c.max_age]).filter((v) => v != null),
+    );
+    for (const value of [...values].sort((a, b) => a - b)) {
+      candidates.push({
+        field: 'patient_age',
+        value,
+        payload: { ...payload, patient_age: value },
+      });
+    }
+  }
+
+  if (
+    pack?.known_variant &&
+    [null, 'unknown'].includes(step1.known_family_variant?.status)
+  ) {
+    const value = { status: 'yes' };
+    candidates.push({
+      field: 'known_family_variant',
+      value,
+      payload: { ...payload, known_family_variant: value },
+    });
+  }
+
+  const given = Array.isArray(payload.carrier_status) ? payload.carrier_status : [];
+  const untested = step1.carrier_screening?.partner_testing || [];
+  for (const c of step1.carrier_screening?.carriers || []) {
+    if (c.partner === 'unknown' || !untested.includes(describeCarrier(c))) continue;
+    const value = {
+      partner: c.partner === 'patient' ? 'partner' : 'patient',
+      gene: c.gene,
+      condition: c.condition,
+      status: 'carrier',
+    };
+    candidates.push({
+      field: 'carrier_status',
+      value,
+      payload: { ...payload, carrier_status: [...given, value] },
+    });
+  }
+
+  return candidates;
+}
+
+/**
+ * What-if analysis of a case. options are passed to assessCase (rulePacks, now).
+ * Returns { pathway, rules_version, language, baseline: { confirmed_flags, score,
+ * triage }, add_flags, add_info, remove_flags }.
+ */
+export function evaluateWhatIf(payload, options = {}) {
+  const base = structuredClone(payload);
+  const step1 = assessCase(structuredClone({ ...base, confirmed_flags: [] }), options);
+  const confirmed = Array.from(
+    new Set(
+      Array.isArray(base.confirmed_flags) && base.confirmed_flags.length
+        ? base.confirmed_flags
+        : step1.suggested_flags,
+    ),
+  );
+
+  const baseline = outcome(base, confirmed, options);
+  const packs = options.rulePacks || RULE_PACKS;
+  const pack = packs[step1.pathway.toString().toLowerCase().trim()];
+  const catalog = flagCatalog(step1.pathway, step1.language, packs) || [];
+
+  const describe = (result) => ({
+    score: result.score,
+    score_change: result.score - baseline.score,
+    triage: result.triage,
+  });
+  const byScore = (a, b) => b.score - a.score;
+
+  const add_flags = catalog
+    .filter((f) => !confirmed.includes(f.id))
+    .map((f) => ({
+      flag: f.id,
+      label: f.label,
+      ...describe(outcome(base, [...confirmed, f.id], options)),
+    }))
+    .filter((x) => tierRank(x.triage) > tierRank(baseline.triage))
+    .sort(byScore);
+
+  const add_info = missingInfoCandidates(base, pack, step1)
+    .map(({ field, value, payload: changed }) => {
+      const suggested = assessCase(
+        structuredClone({ ...changed, confirmed_flags: [] }),
+        options,
+      ).suggested_flags;
+      const added_flags = suggested.filter(
+        (f) => !step1.suggested_flags.includes(f) && !confirmed.includes(f),
+      );
+      return {
+        field,
+        value,
+        added_flags,
+        ...describe(outcome(changed, [...confirmed, ...added_flags], options)),
+      };
+    })
+    .filter((x) => tierRank(x.triage) !== tierRank(baseline.triage))
+    .sort(byScore);
+
+  const labels = Object.fromEntries(catalog.map((f) => [f.id, f.label]));
+  const remove_flags = confirmed
+    .map((flag) => ({
+      flag,
+      label: labels[flag] ?? flag,
+      ...describe(
+        outcome(
+          base,
+          confirmed.filter((f) => f !== flag),
+          options,
+        ),
+      ),
+    }))
+    .filter((x) => tierRank(x.triage) < tierRank(baseline.triage))
+    .sort(byScore);
+
+  return {
+    pathway: step1.pathway,
+    rules_version: step1.rules_version,
+    language: step1.language,
+    baseline: { confirmed_flags: confirmed, ...baseline },
+    add_flags,
+    add_info,
+    remove_flags,
+  };
+}
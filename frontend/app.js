@@ -86,6 +86,28 @@ function demoStep2(pathway, confirmedFlags) {
     };
   }
 
+  if (pathway === "reproductive") {
+    return {
+      ...base,
+      next_steps: [
+        "Offer expanded carrier screening (consanguineous couple).",
+        "Offer karyotype analysis to both partners.",
+        "Preconception genetic counseling.",
+      ],
+    };
+  }
+
+  if (pathway === "cardiogenetics") {
+    return {
+      ...base,
+      next_steps: [
+        "Cardiogenetics referral.",
+        "Collect ECG, echocardiogram and lipid panel results.",
+        "Obtain autopsy reports of relatives who died suddenly.",
+      ],
+    };
+  }
+
   // oncogenetics
   return {
     ...base,
@@ -98,13 +120,23 @@ function demoStep2(pathway, confirmedFlags) {
 }
 // -------------------------
 const pathwayEl = document.getElementById("pathway");
+const oncogeneticsSection = document.getElementById("oncogenetics_section");
 const prenatalSection = document.getElementById("prenatal_section");
 const pediatricSection = document.getElementById("pediatric_section");
+const reproductiveSection = document.getElementById("reproductive_section");
+const RELATIVES_PATHWAYS = ["oncogenetics", "cardiogenetics"];
 
 // these might not exist in your HTML — we use ?. to be safe
 const pregnancyStatusEl = document.getElementById("pregnancy_status");
-const gestWeeksLabel = document.querySelector('label[for="gestational_weeks"]');
-const gestWeeksInput = document.getElementById("gestational_weeks");
+const gestDatingEl = document.getElementById("gestational_dating");
+const GA_DATING_FIELDS = [
+  "gestational_weeks",
+  "gestational_days",
+  "lmp_date",
+  "edd_date",
+  "ultrasound_date",
+  "ultrasound_ga",
+];
 
 let lastPayload = null;
 let lastResponse = null;
@@ -136,8 +168,11 @@ if (copyLlmBtn) {
 // -------------------------
 function toggleSections() {
   const p = pathwayEl.value;
+  // Structured relatives: oncogenetics and cardiogenetics
+  oncogeneticsSection?.classList.toggle("hidden", !RELATIVES_PATHWAYS.includes(p));
   prenatalSection?.classList.toggle("hidden", p !== "prenatal");
   pediatricSection?.classList.toggle("hidden", p !== "pediatric");
+  reproductiveSection?.classList.toggle("hidden", p !== "reproductive");
 }
 
 function toggleGestationalWeeks() {
@@ -146,12 +181,16 @@ function toggleGestationalWeeks() {
 
   const show = isPrenatal && isPregnant;
 
-  // Show/hide label + input together
-  if (gestWeeksLabel) gestWeeksLabel.classList.toggle("hidden", !show);
-  if (gestWeeksInput) gestWeeksInput.classList.toggle("hidden", !show);
+  // Show/hide all dating fields together
+  gestDatingEl?.classList.toggle("hidden", !show);
 
-  // If not shown, clear value to avoid confusion
-  if (!show && gestWeeksInput) gestWeeksInput.value = "";
+  // If not shown, clear values to avoid confusion
+  if (!show) {
+    GA_DATING_FIELDS.forEach((id) => {
+      const el = document.getElementById(id);
+      if (el) el.value = "";
+    });
+  }
 }
 
 pathwayEl?.addEventListener("change", () => {
@@ -201,12 +240,121 @@ function showSummary(text) {
   card?.classList.remove("hidden");
 }
 
+// -------------------------
+// Relatives (structured pedigree)
+// -------------------------
+const relativesList = document.getElementById("relatives_list");
+
+function selectHtml(cls, options, value) {
+  const opts = options
+    .map((o) => `<option value="${o}" ${o === value ? "selected" : ""}>${o}</option>`)
+    .join("");
+  return `<select class="${cls}">${opts}</select>`;
+}
+
+function addRelativeRow(rel = {}) {
+  if (!relativesList) return;
+
+  const row = document.createElement("div");
+  row.className = "relativeRow";
+  row.innerHTML = `
+    <input class="rel_relation" list="relation_options" placeholder="relation" value="${rel.relation || ""}" />
+    ${selectHtml("rel_side", ["unknown", "maternal", "paternal", "both"], rel.side || "unknown")}
+    ${selectHtml("rel_sex", ["unknown", "female", "male"], rel.sex || "unknown")}
+    <input class="rel_condition" placeholder="condition" value="${rel.condition || ""}" />
+    <input class="rel_age" type="number" min="0" placeholder="age" value="${rel.age_at_diagnosis ?? ""}" />
+    ${selectHtml("rel_vital", ["unknown", "alive", "deceased"], rel.vital_status || "unknown")}
+    <button type="button" class="rel_remove" title="Remove">✕</button>
+  `;
+  row.querySelector(".rel_remove").addEventListener("click", () => row.remove());
+  relativesList.appendChild(row);
+}
+
+function clearRelatives() {
+  if (relativesList) relativesList.innerHTML = "";
+}
+
+function readRelatives() {
+  return Array.from(document.querySelectorAll(".relativeRow"))
+    .map((row) => {
+      const age = row.querySelector(".rel_age").value;
+      return {
+        relation: row.querySelector(".rel_relation").value.trim(),
+        side: row.querySelector(".rel_side").value,
+        sex: row.querySelector(".rel_sex").value,
+        condition: row.querySelector(".rel_condition").value.trim(),
+        age_at_diagnosis: age === "" ? null : Number(age),
+        vital_status: row.querySelector(".rel_vital").value,
+      };
+    })
+    .filter((r) => r.relation || r.condition);
+}
+
+document.getElementById("addRelativeBtn")?.addEventListener("click", () => addRelativeRow());
+
+// -------------------------
+// Reproductive (consanguinity, ancestry, carrier status)
+// -------------------------
+const carrierList = document.getElementById("carrier_list");
+
+function addCarrierRow(c = {}) {
+  if (!carrierList) return;
+
+  const row = document.createElement("div");
+  row.className = "carrierRow";
+  row.innerHTML = `
+    ${selectHtml("car_partner", ["patient", "partner"], c.partner || "patient")}
+    <input class="car_gene" placeholder="gene (e.g., CFTR)" value="${c.gene || ""}" />
+    <input class="car_condition" placeholder="condition" value="${c.condition || ""}" />
+    ${selectHtml("car_status", ["carrier", "not_carrier"], c.status || "carrier")}
+    <button type="button" class="car_remove" title="Remove">✕</button>
+  `;
+  row.querySelector(".car_remove").addEventListener("click", () => row.remove());
+  carrierList.appendChild(row);
+}
+
+function clearCarriers() {
+  if (carrierList) carrierList.innerHTML = "";
+}
+
+function readCarriers() {
+  return Array.from(document.querySelectorAll(".carrierRow"))
+    .map((row) => ({
+      partner: row.querySelector(".car_partner").value,
+      gene: row.querySelector(".car_gene").value.trim(),
+      condition: row.querySelector(".car_condition").value.trim(),
+      status: row.querySelector(".car_status").value,
+    }))
+    .filter((c) => c.gene || c.condition);
+}
+
+// Nothing checked = question not answered (reported as missing info)
+function readAncestryGroups() {
+  const checked = Array.from(document.querySelectorAll("#ancestry_groups input:checked"));
+  return checked.length ? checked.map((el) => el.value) : null;
+}
+
+function setAncestryGroups(groups = []) {
+  document.querySelectorAll("#ancestry_groups input").forEach((el) => {
+    el.checked = groups.includes(el.value);
+  });
+}
+
+document.getElementById("addCarrierBtn")?.addEventListener("click", () => addCarrierRow());
+
 // -------------------------
 // Payload builders
 // -------------------------
+// Number input value (decimals kept), null when empty
+function readNumber(id) {
+  const value = document.getElementById(id)?.value;
+  return value === "" || value == null ? null : Number(value);
+}
+
 function buildPayloadFromForm() {
   const payload = {
     pathway: document.getElementById("pathway")?.value || "",
+    language: document.getElementById("language")?.value || "auto",
 
     patient_file_number: document.getElementById("patient_file_number")?.value.trim() || "",
 
@@ -216,9 +364,24 @@ function buildPayloadFromForm() {
     chief_concern: document.getElementById("chief_concern")?.value.trim() || "",
     clinical_notes: document.getElementById("clinical_notes")?.value.trim() || "",
     family_history_summary: document.getElementById("family_history_summary")?.value.trim() || "",
+    relatives: RELATIVES_PATHWAYS.includes(document.getElementById("pathway")?.value) ? readRelatives() : [],
+
+    personal_history_flags: csvToList(document.getElementById("personal_history_flags")?.value || ""),
+    personal_history_details: document.getElementById("personal_history_details")?.value.trim() || "",
+    known_family_variant: {
+      status: document.getElementById("known_variant_status")?.value || "",
+      details: document.getElementById("known_variant_details")?.value.trim() || "",
+    },
+    data_completeness_level: document.getElementById("data_completeness_level")?.value || "",
 
     pregnancy_status: document.getElementById("pregnancy_status")?.value || "",
-    gestational_weeks: Number(document.getElementById("gestational_weeks")?.value) || null,
+    // Dating: the backend computes weeks+days from any of these
+    gestational_weeks: readNumber("gestational_weeks"),
+    gestational_days: readNumber("gestational_days"),
+    lmp_date: document.getElementById("lmp_date")?.value || "",
+    edd_date: document.getElementById("edd_date")?.value || "",
+    ultrasound_date: document.getElementById("ultrasound_date")?.value || "",
+    ultrasound_ga: document.getElementById("ultrasound_ga")?.value.trim() || "",
 
     // If your input is free text, we still pass it as a list by splitting commas
     prenatal_findings: csvToList(document.getElementById("prenatal_findings")?.value || ""),
@@ -227,6 +390,14 @@ function buildPayloadFromForm() {
     hpo_terms: csvToList(document.getElementById("hpo_terms")?.value || ""),
   };
 
+  if (payload.pathway === "reproductive") {
+    const losses = document.getElementById("pregnancy_losses")?.value;
+    payload.consanguinity = document.getElementById("consanguinity")?.value || null;
+    payload.ancestry_groups = readAncestryGroups();
+    payload.carrier_status = readCarriers();
+    payload.pregnancy_losses = losses === "" || losses == null ? null : Number(losses);
+  }
+
   return payload;
 }
 
@@ -239,7 +410,12 @@ function validatePayload(payload) {
 
   // Prenatal pregnant => gestational weeks recommended / can be required
   if (payload.pathway === "prenatal" && payload.pregnancy_status === "pregnant") {
-    if (!payload.gestational_weeks) return "Please fill in Gestational age (weeks).";
+    const dated =
+      payload.gestational_weeks != null ||
+      payload.lmp_date ||
+      payload.edd_date ||
+      (payload.ultrasound_date && payload.ultrasound_ga);
+    if (!dated) return "Please fill in Gestational age (weeks), LMP, EDD or a dating ultrasound.";
   }
 
   return null;
@@ -249,19 +425,44 @@ function validatePayload(payload) {
 // Rendering
 // -------------------------
 function renderSuggestedFlags(data) {
-  if (!data.suggested_flags || data.suggested_flags.length === 0) {
-    return "";
+  // Demo mode has no flag catalog: nothing to confirm without suggestions
+  if (IS_VERCEL && (!data.suggested_flags || data.suggested_flags.length === 0)) {
+    return renderNegatedMatches(data);
   }
 
+  // Hedged mentions ("possible ...", "history of ...") are downgraded:
+  // uncertain ones start unchecked so the physician opts in explicitly.
+  const hedged = {};
+  (data.hedged_matches || []).forEach((m) => {
+    hedged[m.flag] = m;
+  });
+
+  // Evidence: which field / words triggered each flag (to check before confirming)
+  const evidence = {};
+  (data.evidence || []).forEach((e) => {
+    (evidence[e.flag] = evidence[e.flag] || []).push(e);
+  });
+
   const flags = (data.suggested_flags || [])
-    .map(
-      (f) => `
+    .map((f) => {
+      const h = hedged[f];
+      const checked = h && h.status === "uncertain" ? "" : "checked";
+      const note = h
+        ? ` <small class="muted">(${h.status}: "${h.context}")</small>`
+        : "";
+      const sources = (evidence[f] || [])
+        .map((e) => `${e.field.replace(/_/g, " ")}: "${e.text}"`)
+        .join(" · ");
+      const evidenceNote = sources
+        ? `<br /><small class="muted evidence">${sources}</small>`
+        : "";
+      return `
       <label class="flagRow">
-        <input type="checkbox" class="flagBox" value="${f}" checked />
-        <span class="flagLabel">${f}</span>
+        <input type="checkbox" class="flagBox" value="${f}" ${checked} />
+        <span class="flagLabel">${f}${note}${evidenceNote}</span>
       </label>
-    `
-  )
+    `;
+    })
   .join("");
 
   return `
@@ -270,15 +471,406 @@ function renderSuggestedFlags(data) {
       <p class="muted">
         Please confirm the relevant flags before computing the score and triage.
       </p>
-      ${flags}
+      ${flags || `<p class="muted">No red flag was detected. Add flags below if the engine missed something.</p>`}
+      ${renderCombinations(data)}
+      <div id="flag_catalog"></div>
 
       <button type="button" id="recalcBtn" class="primary">
         Confirm flags & compute score
       </button>
     </div>
+    ${renderNegatedMatches(data)}
   `;
 }
 
+// Flag catalog of the pathway (GET /flags): the physician can add flags
+// the engine did not suggest
+const flagCatalogCache = {};
+
+async function loadFlagCatalog(data) {
+  const box = document.getElementById("flag_catalog");
+  if (!box || IS_VERCEL) return;
+
+  const language = data.language || "en";
+  const key = `${data.pathway}:${language}`;
+  try {
+    if (!flagCatalogCache[key]) {
+      const res = await fetch(
+        `${API_BASE}/flags?pathway=${encodeURIComponent(data.pathway)}&language=${language}`
+      );
+      if (!res.ok) return;
+      flagCatalogCache[key] = (await res.json()).flags;
+    }
+  } catch (e) {
+    console.error(e);
+    return;
+  }
+  renderFlagCatalog(box, flagCatalogCache[key], data.suggested_flags || []);
+}
+
+function renderFlagCatalog(box, catalog, suggested) {
+  box.innerHTML = `
+    <h4>Add a flag</h4>
+    <input type="search" id="flag_search" placeholder="Search flags (e.g. melanoma, long QT)" />
+    <div id="flag_search_results"></div>
+    <div id="added_flags"></div>
+  `;
+  const search = box.querySelector("#flag_search");
+  const results = box.querySelector("#flag_search_results");
+  const added = box.querySelector("#added_flags");
+
+  const isListed = (id) =>
+    suggested.includes(id) || !!added.querySelector(`input[value="${id}"]`);
+
+  const update = () => {
+    const q = search.value.trim().toLowerCase();
+    if (!q) {
+      results.innerHTML = "";
+      return;
+    }
+    const matches = catalog.filter(
+      (f) =>
+        !isListed(f.id) &&
+        `${f.id} ${f.label} ${f.description}`.toLowerCase().includes(q)
+    );
+    results.innerHTML =
+      matches
+        .map(
+          (f) => `
+        <div class="flagRow">
+          <button type="button" class="addFlagBtn" data-flag="${f.id}">Add</button>
+          <b>${f.label}</b> (+${f.weight}) <small class="muted">${f.description}</small>
+        </div>`
+        )
+        .join("") || `<p class="muted"><small>No other flag matches.</small></p>`;
+  };
+
+  results.addEventListener("click", (e) => {
+    const btn = e.target.closest(".addFlagBtn");
+    if (!btn) return;
+    const flag = catalog.find((f) => f.id === btn.dataset.flag);
+    added.insertAdjacentHTML(
+      "beforeend",
+      `<label class="flagRow">
+        <input type="checkbox" class="flagBox" value="${flag.id}" checked />
+        <span class="flagLabel">${flag.id} <small class="muted">(added by physician)</small></span>
+      </label>`
+    );
+    update();
+  });
+  search.addEventListener("input", update);
+}
+
+// Combinations formed by the suggested flags (weight added if they are all confirmed)
+function renderCombinations(data) {
+  if (!data.combinations || data.combinations.length === 0) return "";
+  const items = data.combinations
+    .map((c) => `<li><b>${c.flags.join(" + ")}</b> (+${c.weight}): ${c.reason}</li>`)
+    .join("");
+  return `<p class="muted"><small>Combinations of these flags:</small></p><ul>${items}</ul>`;
+}
+
+function renderNegatedMatches(data) {
+  if (!data.negated_matches || data.negated_matches.length === 0) {
+    return "";
+  }
+
+  const items = data.negated_matches
+    .map((m) => `<li><b>${m.flag}</b> — "${m.context}" (negated by "${m.trigger}")</li>`)
+    .join("");
+
+  return `
+    <div class="card">
+      <h4>Not suggested (negated in the text)</h4>
+      <ul>${items}</ul>
+    </div>
+  `;
+}
+
+// Guideline criteria (HBOC, Amsterdam II, revised Bethesda): shown next to the score
+function renderGuidelineCriteria(data) {
+  if (!data.guideline_criteria || data.guideline_criteria.length === 0) {
+    return "";
+  }
+
+  const label = (status) => status.replace(/_/g, " ");
+  const guidelines = data.guideline_criteria
+    .map((g) => {
+      const items = g.criteria
+        .map(
+          (c) =>
+            `<li><span class="criterion-${c.status}">${label(c.status)}</span> — ${c.label}` +
+            `${c.detail ? ` <small class="muted">(${c.detail})</small>` : ""}</li>`,
+        )
+        .join("");
+      return `
+        <details>
+          <summary><b>${g.name}:</b> <span class="criterion-${g.status}">${label(g.status)}</span></summary>
+          <ul>${items}</ul>
+        </details>
+      `;
+    })
+    .join("");
+
+  return `<h3>Guideline criteria</h3>${guidelines}`;
+}
+
+// What each confirmed flag adds to the score (data.score_breakdown, Step 2)
+const SCORE_SOURCES = {
+  rules: "Rule",
+  relative_rules: "Pedigree",
+  extra_flags: "Extra flag",
+  combination: "Combination",
+  legacy_combination: "Former combination flag",
+};
+
+function renderScoreBreakdown(data) {
+  const breakdown = data.score_breakdown;
+  if (!breakdown) return "";
+
+  const added = data.used_flag_origins?.physician_added || [];
+  const rows = breakdown.contributions
+    .map(
+      (c) =>
+        `<tr><td>${c.flag}${added.includes(c.flag) ? ` <small class="muted">(added by physician)</small>` : ""}</td><td>${SCORE_SOURCES[c.source] || c.source}</td><td class="num">+${c.weight}</td></tr>`,
+    )
+    .join("");
+  const cap = breakdown.cap_applied
+    ? `<tr><td colspan="2">Cap (max ${breakdown.max_score})</td><td class="num">−${breakdown.capped_points}</td></tr>`
+    : "";
+  const ignored = breakdown.ignored_flags.length
+    ? `<p class="muted"><small>Ignored (unknown in this pathway): ${breakdown.ignored_flags.join(", ")}</small></p>`
+    : "";
+  const superseded = breakdown.superseded_flags?.length
+    ? `<p class="muted"><small>Not counted twice (replaced by a more specific flag): ${breakdown.superseded_flags.map((s) => `${s.flag} → ${s.by}`).join(", ")}</small></p>`
+    : "";
+
+  return `
+    <h3>Score breakdown</h3>
+    <table class="score-breakdown">
+      <thead><tr><th>Flag</th><th>Source</th><th class="num">Points</th></tr></thead>
+      <tbody>${rows || `<tr><td colspan="3">None</td></tr>`}${cap}</tbody>
+      <tfoot><tr><th colspan="2">Score</th><th class="num">${data.priority_score}</th></tr></tfoot>
+    </table>
+    ${ignored}
+    ${superseded}
+  `;
+}
+
+// What-if analysis (POST /cases/what-if): alternatives that change the triage tier
+function describeAlternative(a) {
+  const value =
+    typeof a.value === "object" ? Object.values(a.value).filter(Boolean).join(" ") : a.value;
+  const added = a.added_flags?.length ? ` (adds ${a.added_flags.join(", ")})` : "";
+  const what = a.flag ? a.label : `${a.field} = ${value}${added}`;
+  const change = a.score_change > 0 ? `+${a.score_change}` : `${a.score_change}`;
+  return `<li>${what} → ${a.triage} (score ${a.score}, ${change})</li>`;
+}
+
+function renderWhatIf(box, whatIf) {
+  const section = (title, list) =>
+    `<h4>${title}</h4><ul>${list.map(describeAlternative).join("") || "<li>None</li>"}</ul>`;
+  box.innerHTML = `
+    ${section("Extra flag that would raise the tier", whatIf.add_flags)}
+    ${section("Missing information that would change the tier", whatIf.add_info)}
+    ${section("Confirmed flag whose removal would lower the tier", whatIf.remove_flags)}
+  `;
+}
+
+async function loadWhatIf() {
+  const box = document.getElementById("what_if_result");
+  if (!box || !lastPayload) return;
+  box.textContent = "Loading…";
+  try {
+    const res = await fetch(`${API_BASE}/cases/what-if`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(lastPayload),
+    });
+    const data = await res.json();
+    if (!res.ok || data.fallback) {
+      box.textContent = data.error || "What-if analysis unavailable.";
+      return;
+    }
+    renderWhatIf(box, data);
+  } catch (e) {
+    console.error(e);
+    box.textContent = "Cannot reach the API. Make sure the backend is running on port 3001.";
+  }
+}
+
+// Carrier-screening strategy (reproductive pathway)
+const CARRIER_STRATEGIES = {
+  couple_at_risk: "Couple at risk — both partners carry the same gene",
+  partner_testing: "Targeted carrier testing of the other partner",
+  expanded: "Expanded carrier screening",
+  ancestry_based: "Ancestry-based carrier screening",
+  standard: "Carrier screening information (standard offer)",
+};
+
+function renderCarrierScreening(data) {
+  const cs = data.carrier_screening;
+  if (!cs) return "";
+
+  const items = [];
+  if (cs.consanguinity?.label) items.push(`<li>Consanguinity: ${cs.consanguinity.label}</li>`);
+  if (cs.ancestry?.length) {
+    items.push(`<li>Ancestry: ${cs.ancestry.map((a) => a.label).join(", ")}</li>`);
+  }
+  if (cs.at_risk?.length) items.push(`<li>Both partners carry: ${cs.at_risk.join(", ")}</li>`);
+  if (cs.partner_testing?.length) {
+    items.push(`<li>Other partner to test for: ${cs.partner_testing.join(", ")}</li>`);
+  }
+  if (cs.conditions?.length) items.push(`<li>Conditions to screen for: ${cs.conditions.join(", ")}</li>`);
+  if (cs.pregnancy_losses != null) items.push(`<li>Pregnancy losses: ${cs.pregnancy_losses}</li>`);
+
+  return `
+    <h3>Carrier screening</h3>
+    <p><b>${CARRIER_STRATEGIES[cs.strategy] || cs.strategy}</b></p>
+    ${items.length ? `<ul>${items.join("")}</ul>` : ""}
+  `;
+}
+
+// "12+3 weeks (dated by ultrasound, EDD 2026-09-14)"
+function describeGestationalAge(ga) {
+  if (!ga || ga.total_days == null) return "";
+  const source = { ultrasound: "ultrasound", edd: "EDD", lmp: "LMP", entered: "entered GA" }[ga.source];
+  return `${ga.label} weeks (dated by ${source}, EDD ${ga.edd})`;
+}
+
+// Countdown to the next prenatal testing deadline (data.urgency, computed by the API)
+function describeUrgency(urgency) {
+  if (!urgency) return "";
+  if (urgency.level === "unknown") return "gestational age missing, deadlines unknown";
+  if (urgency.level === "passed") return "all testing windows have passed";
+  const days = urgency.days_remaining;
+  return `${days} day(s) left for ${urgency.window.label} (deadline ${urgency.deadline})`;
+}
+
+function renderUrgencyPill(data) {
+  if (data.pathway !== "prenatal") return "";
+  const u = data.urgency;
+  if (!u || u.level === "unknown") {
+    return `<span class="pill time-sensitive">⏱️ Time-sensitive</span>`;
+  }
+  if (u.level === "passed") return `<span class="pill urgency-passed">⏱️ Windows passed</span>`;
+  return `<span class="pill urgency-${u.level}">⏱️ ${u.days_remaining} day(s) left</span>`;
+}
+
+function renderUrgencyNote(data) {
+  if (data.pathway !== "prenatal") return "";
+  const u = data.urgency;
+  if (!u || u.level === "unknown") {
+    return `<p class="muted" style="margin-top:6px;">
+             <b>Discuss urgently:</b> prenatal cases are time-sensitive and should be reviewed promptly.
+           </p>`;
+  }
+  const windows = (u.windows || [])
+    .map((w) => {
+      const when =
+        w.status === "closed"
+          ? "closed"
+          : w.status === "upcoming"
+            ? `opens ${w.opens_on}, closes ${w.deadline}`
+            : `open, closes ${w.deadline} (${w.days_remaining} day(s) left)`;
+      return `<li>${w.label} (${w.from_weeks ?? "–"}–${w.until_weeks} weeks): ${when}</li>`;
+    })
+    .join("");
+  return `
+    <p style="margin-top:6px;"><b>Urgency (${u.level}):</b> ${describeUrgency(u)} at ${describeGestationalAge(data.gestational_age) || `${u.gestational_weeks} weeks`}.</p>
+    ${windows ? `<ul>${windows}</ul>` : ""}
+  `;
+}
+
+// Follow-up questions of the flags (data.follow_up_questions), answered inline
+const ANSWER_ERRORS = {
+  number: "enter a number",
+  range: "out of range",
+  boolean: "answer yes or no",
+  date: "enter a date",
+  option: "choose an option",
+};
+
+function renderFollowUpInput(q) {
+  const attrs = `class="followUpInput" data-field="${q.field}" data-type="${q.answer_type}"`;
+  const options = q.options || [];
+  if (q.answer_type === "choice") {
+    const opts = options.map((o) => `<option value="${o.value}">${o.label}</option>`).join("");
+    return `<select ${attrs}><option value="">Select</option>${opts}</select>`;
+  }
+  if (q.answer_type === "multi_choice") {
+    return options
+      .map(
+        (o) => `<label class="flagRow"><input type="checkbox" ${attrs} value="${o.value}" /> ${o.label}</label>`
+      )
+      .join("");
+  }
+  if (q.answer_type === "boolean") {
+    return `<select ${attrs}><option value="">Select</option><option value="yes">Yes</option><option value="no">No</option></select>`;
+  }
+  const type = { number: "number", date: "date" }[q.answer_type] || "text";
+  const range = [q.min != null ? `min="${q.min}"` : "", q.max != null ? `max="${q.max}"` : ""].join(" ");
+  return `<input type="${type}" ${attrs} ${range} />`;
+}
+
+function renderFollowUpQuestions(data) {
+  const questions = data.follow_up_questions || [];
+  if (!questions.length) return "";
+  const items = questions
+    .map((q) => {
+      const unit = q.unit ? ` (${q.unit})` : "";
+      const error = q.error ? ` <small class="error">${ANSWER_ERRORS[q.error] || q.error}</small>` : "";
+      return `<div class="followUpQuestion"><label>${q.question}${unit}${error}</label>${renderFollowUpInput(q)}</div>`;
+    })
+    .join("");
+  const button =
+    data.triage === "pending_confirmation"
+      ? ""
+      : `<button type="button" id="resubmitAnswersBtn">Submit answers</button>`;
+  return `
+    <h3>Follow-up questions</h3>
+    <p class="muted">Answers are sent with the case to complete the referral.</p>
+    ${items}
+    ${button}
+  `;
+}
+
+// Answers typed in the follow-up questions, merged with the ones already sent
+function readFollowUpAnswers() {
+  const answers = { ...(lastPayload?.follow_up_answers || {}) };
+  document.querySelectorAll(".followUpInput").forEach((el) => {
+    const field = el.dataset.field;
+    if (el.dataset.type === "multi_choice") {
+      if (!Array.isArray(answers[field])) answers[field] = [];
+      if (el.checked) answers[field].push(el.value);
+    } else if (el.value !== "") {
+      answers[field] = el.dataset.type === "number" ? Number(el.value) : el.value;
+    }
+  });
+  return answers;
+}
+
+// Distance to the next triage tier, from the pathway thresholds returned by the API
+function describeNextTier(data) {
+  const th = data.triage_thresholds;
+  const score = data.priority_score;
+  if (!th || score == null) return "";
+  const breakdown = data.score_breakdown;
+  if (breakdown) {
+    const next = breakdown.next_tier;
+    if (!next) return "highest tier reached";
+    return `${next.points_needed} point(s) below ${next.tier} (${next.threshold})`;
+  }
+  const tiers = [
+    ["discuss", th.not_prioritized + 1],
+    ["recommended", th.recommended],
+    ["urgent", th.urgent],
+  ].filter(([, min]) => min != null && score < min);
+  if (!tiers.length) return "highest tier reached";
+  const [tier, min] = tiers[0];
+  return `${min - score} point(s) below ${tier} (${min})`;
+}
+
 function renderResult(data) {
   const empty = document.getElementById("result_empty");
   const result = document.getElementById("result");
@@ -298,10 +890,12 @@ function renderResult(data) {
         Please confirm the relevant flags before a score and referral recommendation can be generated.
       </p>
       ${renderSuggestedFlags(data)}
+      ${renderFollowUpQuestions(data)}
       <p class="muted"><small>${data.disclaimer || ""}</small></p>
     `;
 
     document.getElementById("summary_actions")?.classList.add("hidden");
+    loadFlagCatalog(data);
 
 // Attach click handler for the injected button
   const recalcBtn = document.getElementById("recalcBtn");
@@ -314,7 +908,11 @@ function renderResult(data) {
     }
 
     const confirmed = Array.from(document.querySelectorAll(".flagBox:checked")).map(cb => cb.value);
-    const payload2 = { ...lastPayload, confirmed_flags: confirmed };
+    const payload2 = {
+      ...lastPayload,
+      confirmed_flags: confirmed,
+      follow_up_answers: readFollowUpAnswers(),
+    };
 
   // ✅ Vercel: demo Step 2 (no backend)
     if (IS_VERCEL) {
@@ -368,25 +966,29 @@ function renderResult(data) {
     <div style="display:flex; flex-wrap:wrap; gap:8px;">
       ${fileNum ? `<span class="pill"><b>File #:</b> ${fileNum}</span>` : ""}
       <span class="pill"><b>Pathway:</b> ${data.pathway}</span>
+      ${data.language ? `<span class="pill"><b>Language:</b> ${data.language}${data.language_detection?.mixed ? " (mixed notes)" : ""}</span>` : ""}
       ${!isProposeOnly ? `<span class="pill"><b>Triage:</b> ${data.triage}</span>` : ""}
-      ${!isProposeOnly ? `<span class="pill"><b>Score:</b> ${data.priority_score}/100</span>` : ""}
-      ${
-        data.pathway === "prenatal"
-          ? `<span class="pill time-sensitive">⏱️ Time-sensitive</span>`
-          : ""
-      }
+      ${!isProposeOnly ? `<span class="pill"><b>Score:</b> ${data.priority_score}/${data.triage_thresholds?.max_score ?? 100}</span>` : ""}
+      ${!isProposeOnly && describeNextTier(data) ? `<span class="pill"><b>Next tier:</b> ${describeNextTier(data)}</span>` : ""}
+      ${renderUrgencyPill(data)}
     </div>
 
+    ${renderUrgencyNote(data)}
+
+    ${renderScoreBreakdown(data)}
     ${
-      data.pathway === "prenatal"
-        ? `<p class="muted" style="margin-top:6px;">
-             <b>Discuss urgently:</b> prenatal cases are time-sensitive and should be reviewed promptly.
-           </p>`
+      !IS_VERCEL
+        ? `<h3>What would change the recommendation?</h3>
+           <button type="button" id="whatIfBtn">Run what-if analysis</button>
+           <div id="what_if_result"></div>`
         : ""
     }
+    ${renderGuidelineCriteria(data)}
+    ${renderCarrierScreening(data)}
 
     <h3>Reasons</h3><ul>${reasons || "<li>None</li>"}</ul>
     <h3>Missing information</h3><ul>${missing || "<li>None</li>"}</ul>
+    ${renderFollowUpQuestions(data)}
     <h3>Next steps</h3><ul>${steps || "<li>None</li>"}</ul>
 
     ${
@@ -412,6 +1014,36 @@ function renderResult(data) {
     <p class="muted"><small>${data.disclaimer || ""}</small></p>
   `;
 
+  document.getElementById("whatIfBtn")?.addEventListener("click", loadWhatIf);
+
+  document.getElementById("resubmitAnswersBtn")?.addEventListener("click", async () => {
+    showError("");
+    if (IS_VERCEL) {
+      showError("Follow-up answers need the local backend.");
+      return;
+    }
+    const payload3 = { ...lastPayload, follow_up_answers: readFollowUpAnswers() };
+    try {
+      const res = await fetch(`${API_BASE}/cases`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload3),
+      });
+      if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        showError(err.error || "API error");
+        return;
+      }
+      const data3 = await res.json();
+      lastPayload = payload3;
+      lastResponse = data3;
+      renderResult(data3);
+    } catch (e) {
+      console.error(e);
+      showError("Cannot reach the API. Make sure the backend is running on port 3001.");
+    }
+  });
+
   // If you have a "summary_actions" container that you want to show after a result:
   if (!isProposeOnly) {
   document.getElementById("summary_actions")?.classList.remove("hidden");
@@ -437,18 +1069,69 @@ function buildReferralSummary(payload, data) {
   if (fileNum) lines.push(`Patient file number: ${fileNum}`);
   lines.push(`Created at: ${createdAt}`);
   lines.push(`Pathway: ${data.pathway || payload?.pathway || "unknown"}`);
-  lines.push(`Triage: ${data.triage || "unknown"} (score: ${data.priority_score ?? "N/A"}/100)`);
+  lines.push(`Triage: ${data.triage || "unknown"} (score: ${data.priority_score ?? "N/A"}/${data.triage_thresholds?.max_score ?? 100})`);
+  if (data.triage_thresholds) {
+    const th = data.triage_thresholds;
+    const urgent = th.urgent != null ? `, urgent >= ${th.urgent}` : "";
+    lines.push(`Thresholds: not prioritized <= ${th.not_prioritized}, recommended >= ${th.recommended}${urgent}`);
+    if (describeNextTier(data)) lines.push(`Next tier: ${describeNextTier(data)}`);
+    const breakdown = data.score_breakdown;
+    if (breakdown) {
+      breakdown.contributions.forEach((c) => lines.push(`  + ${c.weight} ${c.flag} (${c.source})`));
+      if (breakdown.cap_applied) lines.push(`  - ${breakdown.capped_points} (cap at ${breakdown.max_score})`);
+      if (breakdown.ignored_flags.length) lines.push(`  Ignored flags: ${breakdown.ignored_flags.join(", ")}`);
+      if (breakdown.superseded_flags?.length) {
+        lines.push(`  Superseded flags: ${breakdown.superseded_flags.map((s) => `${s.flag} (by ${s.by})`).join(", ")}`);
+      }
+    }
+    const added = data.used_flag_origins?.physician_added || [];
+    if (added.length) {
+      lines.push(`Flags added by the physician: ${added.join(", ")}`);
+    }
+  }
   lines.push("");
 
   lines.push("Clinical context");
   lines.push(`- Chief concern: ${payload?.chief_concern || "N/A"}`);
   if (payload?.patient_age) lines.push(`- Age: ${payload.patient_age}`);
   if (payload?.patient_sex) lines.push(`- Sex: ${payload.patient_sex}`);
-  if (payload?.gestational_weeks) lines.push(`- Gestational age: ${payload.gestational_weeks} weeks`);
+  if (describeGestationalAge(data.gestational_age)) {
+    lines.push(`- Gestational age: ${describeGestationalAge(data.gestational_age)}`);
+  } else if (payload?.gestational_weeks) {
+    lines.push(`- Gestational age: ${payload.gestational_weeks} weeks`);
+  }
+  if (payload?.personal_history_details) lines.push(`- Personal history: ${payload.personal_history_details}`);
   if (payload?.family_history_summary) lines.push(`- Family history: ${payload.family_history_summary}`);
+  if (data.known_family_variant?.status) {
+    const details = data.known_family_variant.details ? ` (${data.known_family_variant.details})` : "";
+    lines.push(`- Known familial variant: ${data.known_family_variant.status}${details}`);
+  }
+  if (data.data_completeness) {
+    const c = data.data_completeness;
+    lines.push(`- Data completeness: ${c.declared ? `declared ${c.declared}, ` : ""}assessed ${c.assessed}`);
+  }
+  (payload?.relatives || []).forEach((r) => {
+    const age = r.age_at_diagnosis != null ? ` at ${r.age_at_diagnosis}` : "";
+    const side = r.side && r.side !== "unknown" ? ` (${r.side})` : "";
+    lines.push(`- Relative: ${r.relation || "relative"}${side}: ${r.condition || "condition not specified"}${age}`);
+  });
   if (payload?.clinical_notes) lines.push(`- Clinical notes: ${payload.clinical_notes}`);
   lines.push("");
 
+  (data.guideline_criteria || []).forEach((g) => {
+    lines.push(`Guideline: ${g.name}: ${g.status.replace(/_/g, " ")}`);
+  });
+  if (data.guideline_criteria?.length) lines.push("");
+
+  if (data.carrier_screening) {
+    const cs = data.carrier_screening;
+    lines.push(`Carrier screening: ${CARRIER_STRATEGIES[cs.strategy] || cs.strategy}`);
+    if (cs.consanguinity?.label) lines.push(`- Consanguinity: ${cs.consanguinity.label}`);
+    if (cs.ancestry?.length) lines.push(`- Ancestry: ${cs.ancestry.map((a) => a.label).join(", ")}`);
+    if (cs.pregnancy_losses != null) lines.push(`- Pregnancy losses: ${cs.pregnancy_losses}`);
+    lines.push("");
+  }
+
   lines.push("Key reasons");
   (data.reasons || []).forEach((r) => lines.push(`- ${r}`));
   if (!data.reasons || data.reasons.length === 0) lines.push("- None");
@@ -464,6 +1147,20 @@ function buildReferralSummary(payload, data) {
   if (!data.used_flags || data.used_flags.length === 0) lines.push("- None");
   lines.push("");
 
+  if (data.follow_up_answers?.length) {
+    lines.push("Follow-up answers");
+    data.follow_up_answers.forEach((a) => {
+      const answer = Array.isArray(a.answer) ? a.answer.join(", ") : a.answer;
+      lines.push(`- ${a.question}: ${answer === true ? "yes" : answer === false ? "no" : answer}`);
+    });
+    lines.push("");
+  }
+  if (data.follow_up_questions?.length) {
+    lines.push("Open follow-up questions");
+    data.follow_up_questions.forEach((q) => lines.push(`- ${q.question}`));
+    lines.push("");
+  }
+
   lines.push("Missing information to collect");
   (data.missing_info || []).forEach((m) => lines.push(`- ${m}`));
   if (!data.missing_info || data.missing_info.length === 0) lines.push("- None");
@@ -476,6 +1173,7 @@ function buildReferralSummary(payload, data) {
 
   if ((data.pathway || payload?.pathway) === "prenatal") {
     lines.push("Prenatal note (time-sensitive)");
+    if (data.urgency) lines.push(`- Urgency: ${data.urgency.level}, ${describeUrgency(data.urgency)}`);
     lines.push("- Please review promptly and prepare ultrasound + screening results before counseling.");
     lines.push("");
   }
@@ -575,6 +1273,38 @@ function demoStep1(pathway) {
     };
   }
 
+  if (p === "reproductive") {
+    return {
+      pathway: "reproductive",
+      triage: "pending_confirmation",
+      priority_score: null,
+      suggested_flags: [
+        "Consanguineous couple",
+        "Ancestry with elevated carrier frequencies",
+        "Recurrent pregnancy loss",
+      ],
+      disclaimer: "Demo: physician confirms detected flags before scoring.",
+      llm_explanation:
+        "DEMO GenAI: DARA detected preconception red flags (consanguinity, ancestry, pregnancy losses). Please confirm the relevant flags to compute the carrier-screening recommendation.",
+    };
+  }
+
+  if (p === "cardiogenetics") {
+    return {
+      pathway: "cardiogenetics",
+      triage: "pending_confirmation",
+      priority_score: null,
+      suggested_flags: [
+        "Sudden unexplained death under 40",
+        "Long QT or Brugada",
+        "Cardiomyopathy in the family",
+      ],
+      disclaimer: "Demo: physician confirms detected flags before scoring.",
+      llm_explanation:
+        "DEMO GenAI: DARA detected possible inherited cardiac red flags. Please confirm the relevant flags to compute the final score and referral recommendation.",
+    };
+  }
+
   return {
     pathway: "pediatric",
     triage: "pending_confirmation",
@@ -786,6 +1516,10 @@ document.getElementById("demoOnco")?.addEventListener("click", () => {
     "Mother breast cancer at 45, maternal aunt ovarian cancer at 52";
   document.getElementById("clinical_notes").value = "Patient requests risk assessment and referral guidance.";
 
+  clearRelatives();
+  addRelativeRow({ relation: "mother", side: "maternal", sex: "female", condition: "breast cancer", age_at_diagnosis: 45, vital_status: "alive" });
+  addRelativeRow({ relation: "aunt", side: "maternal", sex: "female", condition: "ovarian cancer", age_at_diagnosis: 52, vital_status: "deceased" });
+
   safeSetValue("family_history_red_flags", "");
 
   document.getElementById("pregnancy_status").value = "not_applicable";
@@ -853,6 +1587,70 @@ document.getElementById("demoPediatric")?.addEventListener("click", () => {
   showError("");
 });
 
+// Demo: Cardiogenetics
+document.getElementById("demoCardio")?.addEventListener("click", () => {
+  document.getElementById("pathway").value = "cardiogenetics";
+  toggleSections();
+  toggleGestationalWeeks();
+  hideSummary();
+
+  document.getElementById("patient_file_number")?.value && (document.getElementById("patient_file_number").value = "CAR-001");
+  document.getElementById("patient_age").value = 28;
+  document.getElementById("patient_sex").value = "male";
+
+  document.getElementById("chief_concern").value = "Exertional syncope";
+  document.getElementById("clinical_notes").value =
+    "Two episodes of syncope while running. ECG: QTc 480 ms. Echocardiogram not done yet.";
+  document.getElementById("family_history_summary").value =
+    "Brother died suddenly at 24 while swimming. Father has hypertrophic cardiomyopathy.";
+
+  clearRelatives();
+  addRelativeRow({ relation: "brother", side: "both", sex: "male", condition: "sudden cardiac death", age_at_diagnosis: 24, vital_status: "deceased" });
+  addRelativeRow({ relation: "father", side: "paternal", sex: "male", condition: "hypertrophic cardiomyopathy", age_at_diagnosis: 50, vital_status: "alive" });
+
+  safeSetValue("family_history_red_flags", "");
+  document.getElementById("pregnancy_status").value = "not_applicable";
+  document.getElementById("gestational_weeks").value = "";
+  document.getElementById("prenatal_findings").value = "";
+  document.getElementById("pediatric_red_flags").value = "";
+  document.getElementById("hpo_terms").value = "";
+
+  showError("");
+});
+
+// Demo: Reproductive / carrier screening
+document.getElementById("demoRepro")?.addEventListener("click", () => {
+  document.getElementById("pathway").value = "reproductive";
+  toggleSections();
+  toggleGestationalWeeks();
+  hideSummary();
+
+  document.getElementById("patient_file_number")?.value && (document.getElementById("patient_file_number").value = "REP-001");
+  document.getElementById("patient_age").value = 29;
+  document.getElementById("patient_sex").value = "female";
+
+  document.getElementById("chief_concern").value = "Planning a pregnancy, partners are first cousins";
+  document.getElementById("clinical_notes").value =
+    "Three early miscarriages. Partner is a known carrier of beta-thalassemia (HBB).";
+  document.getElementById("family_history_summary").value = "";
+
+  clearRelatives();
+  clearCarriers();
+  document.getElementById("consanguinity").value = "first_cousins";
+  setAncestryGroups(["south_asian"]);
+  addCarrierRow({ partner: "partner", gene: "HBB", condition: "beta-thalassemia", status: "carrier" });
+  document.getElementById("pregnancy_losses").value = 3;
+
+  safeSetValue("family_history_red_flags", "");
+  document.getElementById("pregnancy_status").value = "not_applicable";
+  document.getElementById("gestational_weeks").value = "";
+  document.getElementById("prenatal_findings").value = "";
+  document.getElementById("pediatric_red_flags").value = "";
+  document.getElementById("hpo_terms").value = "";
+
+  showError("");
+});
+
 // Reset
 document.getElementById("resetForm")?.addEventListener("click", () => {
   showError("");
@@ -861,9 +1659,13 @@ document.getElementById("resetForm")?.addEventListener("click", () => {
   // Reset all fields (inputs/textarea/select)
   document.querySelectorAll("input, textarea, select").forEach((el) => {
     if (el.tagName === "SELECT") el.selectedIndex = 0;
+    else if (el.type === "checkbox") el.checked = false;
     else el.value = "";
   });
 
+  clearRelatives();
+  clearCarriers();
+
   // Force placeholders (because placeholder options are disabled)
   document.getElementById("pathway").value = "";
   document.getElementById("pregnancy_status").value = "";